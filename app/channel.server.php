@@ -51,6 +51,7 @@ use bX\Async\TaskRouter;
 use bX\Async\SwooleResponseBus;
 use bX\Async\SwooleAsyncBusAdapter;
 use bX\ChannelContext;
+use bX\Channel\IdempotencyStore;
 
 class ChannelServer
 {
@@ -58,6 +59,7 @@ class ChannelServer
     private ?\Swoole\Table $channelsTable = null; # Memoria compartida entre workers
     private ?\Swoole\Table $authTable = null; # Autenticaciones compartidas
     private ?\Swoole\Table $rateLimitTable = null; # Token bucket per FD
+    private ?IdempotencyStore $idempotency = null; # meta.idempotency_key → respuesta guardada
     # Per-worker arrays — crecen con conexiones, se limpian en onClose.
     # heartbeat_idle_time (65s) fuerza onClose en conexiones muertas sin FIN.
     private array $authenticatedConnections = [];
@@ -107,6 +109,9 @@ class ChannelServer
         $this->rateLimitTable->column('last_ts', \Swoole\Table::TYPE_FLOAT);
         $this->rateLimitTable->create();
 
+        # Respuestas guardadas de la cola offline del cliente (claim atómico entre workers)
+        $this->idempotency = new IdempotencyStore(IdempotencyStore::createTable(8192));
+
         # Cache compartido entre workers (GeoService, FeePolicyRepository, EDC, HolidayProvider)
         $cacheTable = new \Swoole\Table(65536); # 64k entries
         $cacheTable->column('data', \Swoole\Table::TYPE_STRING, 8192);
@@ -203,6 +208,7 @@ class ChannelServer
         string $method
     ): void {
         $snapshot = SuperGlobalHydrator::snapshot();
+        $idempotencyKey = null;
         try {
             Profile::resetStaticProfileData();
 
@@ -229,6 +235,10 @@ class ChannelServer
                 $headers['X-System-Key'] = $systemKey;
             }
 
+            # X-Bintelx-Meta: el meta que el frame WS lleva (idempotency_key, fingerprint), en JSON
+            $meta = json_decode($request->header['x-bintelx-meta'] ?? '', true);
+            $meta = is_array($meta) ? $meta : [];
+
             SuperGlobalHydrator::hydrate([
                 'method' => $method,
                 'uri' => $uri,
@@ -240,6 +250,7 @@ class ChannelServer
             SuperGlobalHydrator::hydrateArgs($method, $body, $query);
 
             # Auth
+            $accountId = 0;
             $token = str_replace('Bearer ', '', $headers['Authorization'] ?? '');
             if ($token) {
                 $jwtSecret = Config::get('JWT_SECRET');
@@ -259,6 +270,24 @@ class ChannelServer
             # Transport coroutine-safe (no static — evita race condition entre coroutines)
             \Swoole\Coroutine::getContext()['_transport'] = 'http';
 
+            # Idempotencia: misma store que WS (la cola del cliente puede reenviar por cualquier transporte)
+            $idempotencyKey = $this->idempotencyKey((int)$accountId, $meta);
+            $claimed = $idempotencyKey !== null ? $this->idempotency->claim($idempotencyKey) : null;
+            if ($claimed === null) {
+                $idempotencyKey = null;
+            } elseif (!$claimed) {
+                $stored = $this->idempotency->stored($idempotencyKey);
+                $idempotencyKey = null;
+                if ($stored === null) {
+                    $response->status(503);
+                    $response->header('Content-Type', 'application/json');
+                    $response->end(json_encode(['success' => false, 'message' => 'A request with this idempotency key is still in progress']));
+                    return;
+                }
+                $this->sendStoredHttpResponse($response, $stored);
+                return;
+            }
+
             ob_start();
             $route = new Router($uri, '/api');
             Router::dispatch($method, $uri);
@@ -271,8 +300,19 @@ class ChannelServer
             $response->header('Content-Type', $contentType);
             $response->end($output);
 
+            if ($idempotencyKey !== null) {
+                if ($httpStatus < 500) {
+                    $this->idempotency->store($idempotencyKey, $this->apiResponsePayload(null, $httpStatus, $method, $uri, $contentType, $output));
+                } else {
+                    $this->idempotency->release($idempotencyKey);
+                }
+            }
+
         } catch (\Exception $e) {
             if (ob_get_level() > 0) ob_end_clean();
+            if ($idempotencyKey !== null) {
+                $this->idempotency->release($idempotencyKey);
+            }
             $response->status(500);
             $response->header('Content-Type', 'application/json');
             $response->end(json_encode(['error' => 'Internal server error. Check logs for details.']));
@@ -506,6 +546,7 @@ class ChannelServer
         }
 
         $t0 = microtime(true);
+        $idempotencyKey = null;
 
         # 1. SNAPSHOT de superglobales (aislamiento entre requests)
         $snapshot = SuperGlobalHydrator::snapshot();
@@ -560,6 +601,35 @@ class ChannelServer
             # Verificar fingerprint del dispositivo contra JWT device_hash
             $this->verifyDeviceFingerprint($fd, $data);
 
+            # Idempotencia: replays de la cola offline (mismo meta.idempotency_key) reciben la respuesta guardada
+            $idempotencyKey = $this->idempotencyKey((int)($this->authenticatedConnections[$fd]['account_id'] ?? 0), $data['meta'] ?? []);
+            $claimed = $idempotencyKey !== null ? $this->idempotency->claim($idempotencyKey) : null;
+            if ($claimed === null) {
+                $idempotencyKey = null; # Sin key o tabla llena: se ejecuta sin idempotencia
+            } elseif (!$claimed) {
+                $stored = $this->idempotency->stored($idempotencyKey);
+                $idempotencyKey = null; # No es nuestro claim: ni guardar ni liberar
+                if ($stored === null) {
+                    # Otro worker sigue ejecutándolo: 503 es reintentable para la cola del cliente
+                    $server->push($fd, json_encode([
+                        'type' => 'api_error',
+                        'correlation_id' => $correlationId,
+                        'status' => 'error',
+                        'status_code' => 503,
+                        'message' => 'A request with this idempotency key is still in progress',
+                        '_l' => "503 {$method} {$uri}",
+                        'timestamp' => time()
+                    ]));
+                    $this->info("← fd={$fd} IN PROGRESS: {$method} {$uri}");
+                    return;
+                }
+                $stored['correlation_id'] = $correlationId;
+                $stored['replayed'] = true;
+                $server->push($fd, json_encode($stored));
+                $this->info("← fd={$fd} REPLAY: {$method} {$uri}");
+                return;
+            }
+
             # 6. EJECUTAR Router
             ob_start();
 
@@ -582,28 +652,19 @@ class ChannelServer
             $contentType = ChannelContext::getContextValue('_content_type', 'application/json; charset=utf-8');
 
             $elapsed = round((microtime(true) - $t0) * 1000, 1);
-            $responsePayload = [
-                'type' => 'api_response',
-                'correlation_id' => $correlationId,
-                'status' => $statusCode >= 200 && $statusCode < 400 ? 'success' : 'error',
-                'status_code' => $statusCode,
-                '_l' => "{$statusCode} {$method} {$uri}",
-                'timestamp' => time()
-            ];
+            $responsePayload = $this->apiResponsePayload($correlationId, $statusCode, $method, $uri, $contentType, $output);
+
+            $server->push($fd, json_encode($responsePayload));
 
-            if (str_contains($contentType, 'application/json')) {
-                $responsePayload['data'] = json_decode($output, true) ?? ['raw' => $output];
-            } else {
-                # Non-JSON (scon, toon, etc): enviar string raw, frontend decodifica por _fmt
-                $responsePayload['data'] = $output;
-                # Extraer formato del content-type (text/scon → scon, text/toon → toon)
-                if (preg_match('#text/(\w+)#', $contentType, $m)) {
-                    $responsePayload['_fmt'] = $m[1];
+            # 5xx no se guarda: se libera el claim y el cliente puede reintentar
+            if ($idempotencyKey !== null) {
+                if ($statusCode < 500) {
+                    $this->idempotency->store($idempotencyKey, $responsePayload);
+                } else {
+                    $this->idempotency->release($idempotencyKey);
                 }
             }
 
-            $server->push($fd, json_encode($responsePayload));
-
             # Verbose logging: response out
             $outSize = strlen($output);
             $this->info("← fd={$fd} OUT: {$statusCode} {$method} {$uri} ({$elapsed}ms, {$outSize}B)");
@@ -612,6 +673,9 @@ class ChannelServer
             if (ob_get_level() > 0) {
                 ob_end_clean();
             }
+            if ($idempotencyKey !== null) {
+                $this->idempotency->release($idempotencyKey);
+            }
 
             $elapsed = round((microtime(true) - $t0) * 1000, 1);
             $server->push($fd, json_encode([
@@ -712,6 +776,57 @@ class ChannelServer
         }
     }
 
+    # meta.idempotency_key (cola persistente del cliente), aislado por cuenta
+    private function idempotencyKey(int $accountId, array $meta): ?string
+    {
+        $key = $meta['idempotency_key'] ?? null;
+        if (!is_string($key) || !preg_match('/^[A-Za-z0-9_-]{8,64}$/', $key)) {
+            return null;
+        }
+        return "{$accountId}:{$key}";
+    }
+
+    # api_response que se pushea por WS (y se guarda para replays idempotentes de ambos transportes)
+    private function apiResponsePayload(?string $correlationId, int $statusCode, string $method, string $uri, string $contentType, string $output): array
+    {
+        $payload = [
+            'type' => 'api_response',
+            'correlation_id' => $correlationId,
+            'status' => $statusCode >= 200 && $statusCode < 400 ? 'success' : 'error',
+            'status_code' => $statusCode,
+            '_l' => "{$statusCode} {$method} {$uri}",
+            'timestamp' => time()
+        ];
+
+        if (str_contains($contentType, 'application/json')) {
+            $payload['data'] = json_decode($output, true) ?? ['raw' => $output];
+        } else {
+            # Non-JSON (scon, toon, etc): enviar string raw, frontend decodifica por _fmt
+            $payload['data'] = $output;
+            # Extraer formato del content-type (text/scon → scon, text/toon → toon)
+            if (preg_match('#text/(\w+)#', $contentType, $m)) {
+                $payload['_fmt'] = $m[1];
+            }
+        }
+        return $payload;
+    }
+
+    # Replay HTTP de una respuesta guardada; partial = guardada sin data (no cabía), sin body
+    private function sendStoredHttpResponse(Swoole\Http\Response $response, array $stored): void
+    {
+        $partial = !empty($stored['partial']);
+        $response->status((int)($stored['status_code'] ?? 200));
+        $response->header('X-Bintelx-Replayed', $partial ? 'partial' : '1');
+        $response->header('Access-Control-Expose-Headers', 'X-Bintelx-Replayed');
+        if (isset($stored['_fmt'])) {
+            $response->header('Content-Type', "text/{$stored['_fmt']}; charset=utf-8");
+            $response->end($partial ? '' : (string)$stored['data']);
+            return;
+        }
+        $response->header('Content-Type', 'application/json; charset=utf-8');
+        $response->end($partial ? '' : json_encode($stored['data'] ?? null));
+    }
+
     # Compara device_hash del JWT (source of truth) contra meta.fingerprint del mensaje
     # Configurable via DEVICE_FINGERPRINT_MODE: off | log | strict
     private function verifyDeviceFingerprint(int $fd, array $data): void
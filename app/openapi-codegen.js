@@ -0,0 +1,412 @@
+#!/usr/bin/env node
+/**
+ * openapi-codegen - Builds a typed BintelxApi wrapper from /api/openapi/spec.json.
+ *
+ * Works from a saved spec so CI does not need a running server:
+ *
+ *    curl -s https://dev.local/api/openapi/spec.json > spec.json
+ *    node app/openapi-codegen.js spec.json --out public/bintelx.api
+ *      → public/bintelx.api.js + public/bintelx.api.d.ts
+ *
+ * Every operation becomes a namespaced method built from the literal path
+ * segments (version segments like v1 and format suffixes are dropped):
+ *
+ *    POST /api/entities/{id}/update              → api.entities.update(id, body, options)
+ *    POST /api/edc/v1/forms/{formDefId}/publish  → api.edc.forms.publish(formDefId, body, options)
+ *    GET  /api/entities/{id}                     → api.entities.get(id, query, options)
+ *
+ * Paths that end in a parameter, or that serve several methods, get a verb
+ * instead (list | get | create | update | delete).
+ *
+ *    const api = new BintelxApi(client, { validate: true }); // validate in development
+ */
+const fs = require('fs');
+const path = require('path');
+
+class OpenApiCodegen {
+    constructor(spec) {
+        this.spec = spec;
+        this.operations = this.collectOperations();
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Spec → operations                                                  */
+    /* ------------------------------------------------------------------ */
+
+    collectOperations() {
+        const operations = [];
+        Object.entries(this.spec.paths || {}).forEach(([rawPath, item]) => {
+            const methods = Object.keys(item).filter(key => OpenApiCodegen.METHODS.includes(key));
+            methods.forEach((key) => {
+                const operation = item[key];
+                // @method WS endpoints are POST routes reached over the socket
+                const method = key === 'ws' ? 'POST' : key.toUpperCase();
+                const routePath = this.normalizePath(rawPath);
+                operations.push({
+                    method,
+                    path: routePath,
+                    pathParams: [...routePath.matchAll(/\{(\w+)\}/g)].map(match => match[1]),
+                    query: this.querySchema(operation.parameters || []),
+                    body: this.bodySchema(operation.requestBody),
+                    summary: operation.summary || '',
+                    scope: operation.security ? 'private' : 'public',
+                    multiMethod: methods.length > 1
+                });
+            });
+        });
+        this.assignNames(operations);
+        return operations;
+    }
+
+    // Docblock paths come as "/api/x/{id}", "/api/x/<id>.json", "GET /api/x.json?a=X" or "/ws/x"
+    normalizePath(rawPath) {
+        let route = rawPath.trim().replace(/^[A-Z]+\s+/, '').split('?')[0];
+        route = route.replace(/<(\w+)>/g, '{$1}');
+        if (!route.startsWith('/api/')) {
+            route = `/api${route.startsWith('/') ? '' : '/'}${route}`;
+        }
+        return route;
+    }
+
+    querySchema(parameters) {
+        const query = parameters.filter(param => param.in === 'query');
+        if (!query.length) return null;
+        const schema = { type: 'object', properties: {}, required: [] };
+        query.forEach((param) => {
+            schema.properties[param.name] = this.cleanSchema({ ...(param.schema || {}), description: param.description });
+            if (param.required) schema.required.push(param.name);
+        });
+        return schema;
+    }
+
+    bodySchema(requestBody) {
+        const schema = requestBody?.content?.['application/json']?.schema;
+        return schema ? this.cleanSchema(schema) : null;
+    }
+
+    // Types inferred from @body examples: a null example says nothing about the real type
+    cleanSchema(schema) {
+        const clean = {};
+        if (schema.type && schema.type !== 'null') clean.type = schema.type;
+        if (schema.enum) clean.enum = schema.enum;
+        if (schema.description) clean.description = schema.description;
+        if (schema.properties) {
+            clean.properties = {};
+            Object.entries(schema.properties).forEach(([key, value]) => {
+                clean.properties[key] = this.cleanSchema(value);
+            });
+        }
+        if (schema.required?.length) clean.required = schema.required;
+        if (schema.items) clean.items = this.cleanSchema(schema.items);
+        return clean;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Naming                                                             */
+    /* ------------------------------------------------------------------ */
+
+    assignNames(operations) {
+        operations.forEach((operation) => {
+            const segments = operation.path.split('/').slice(2);
+            const literals = segments
+                .filter(segment => !segment.includes('{'))
+                .map(segment => this.identifier(segment))
+                .filter(segment => segment && !/^v\d+$/.test(segment));
+            operation.extension = (operation.path.match(/\.(\w+)$/) || [])[1] || null;
+            if (segments[segments.length - 1]?.includes('{') || operation.multiMethod || literals.length < 2) {
+                operation.namespace = literals;
+                operation.name = this.verb(operation);
+            } else {
+                operation.namespace = literals.slice(0, -1);
+                operation.name = literals[literals.length - 1];
+            }
+        });
+
+        // A leaf that is also a namespace (files.documents + files.documents.get) moves inside it
+        const namespaces = new Set();
+        operations.forEach((operation) => {
+            operation.namespace.forEach((_, i) => namespaces.add(operation.namespace.slice(0, i + 1).join('.')));
+        });
+        operations.forEach((operation) => {
+            const full = [...operation.namespace, operation.name].join('.');
+            if (namespaces.has(full)) {
+                operation.namespace = [...operation.namespace, operation.name];
+                operation.name = this.verb(operation);
+            }
+        });
+
+        const taken = new Set();
+        operations.forEach((operation) => {
+            const suffixes = [operation.extension, operation.method.toLowerCase()].filter(Boolean);
+            let name = operation.name;
+            for (let i = 0; taken.has([...operation.namespace, name].join('.')); i++) {
+                name = operation.name + this.pascal(suffixes[i] || String(i));
+            }
+            operation.name = name;
+            operation.id = [...operation.namespace, name].join('.');
+            taken.add(operation.id);
+        });
+    }
+
+    verb(operation) {
+        const endsWithParam = /\}[^/]*$/.test(operation.path);
+        switch (operation.method) {
+            case 'GET': return endsWithParam ? 'get' : 'list';
+            case 'POST': return 'create';
+            case 'PUT':
+            case 'PATCH': return 'update';
+            case 'DELETE': return 'delete';
+            default: return operation.method.toLowerCase();
+        }
+    }
+
+    // "upload-simple" → uploadSimple, "list-all.json" → listAll, "_demo" → demo
+    identifier(segment) {
+        return segment
+            .replace(/\.(json|scon|toon|tpls)$/i, '')
+            .replace(/^[^A-Za-z]+/, '')
+            .replace(/[^A-Za-z0-9]+(.)?/g, (_, next) => (next ? next.toUpperCase() : ''));
+    }
+
+    pascal(word) {
+        return word.charAt(0).toUpperCase() + word.slice(1);
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Output                                                             */
+    /* ------------------------------------------------------------------ */
+
+    renderJs() {
+        const table = {};
+        this.operations.forEach((operation) => {
+            const entry = { method: operation.method, path: operation.path, pathParams: operation.pathParams };
+            if (operation.query) entry.query = operation.query;
+            if (operation.body) entry.body = operation.body;
+            table[operation.id] = entry;
+        });
+        return `${this.banner()}
+class BintelxApi {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.validate = !!options.validate;
+        Object.entries(BintelxApi.operations).forEach(([id, operation]) => {
+            const keys = id.split('.');
+            const name = keys.pop();
+            let node = this;
+            keys.forEach((key) => {
+                node[key] = node[key] || {};
+                node = node[key];
+            });
+            node[name] = (...args) => this.call(id, operation, args);
+        });
+    }
+
+    // (…pathParams, query | body, options) → client.request(); resolves with the response body
+    call(id, operation, args) {
+        const params = {};
+        operation.pathParams.forEach((name, i) => {
+            params[name] = args[i];
+        });
+        const input = args[operation.pathParams.length];
+        const { query: extraQuery, ...options } = args[operation.pathParams.length + 1] || {};
+        const query = operation.method === 'GET' ? input : extraQuery;
+        const body = operation.method === 'GET' ? {} : (input ?? {});
+        if (this.validate) {
+            this.check(id, operation, params, query, body);
+        }
+
+        const route = operation.path.replace(/\\{(\\w+)\\}/g, (_, key) => encodeURIComponent(params[key]));
+        const reqOptions = { ...options, method: operation.method };
+        if (query && Object.keys(query).length) {
+            reqOptions.query = query;
+        }
+        return this.client.request(route, body, reqOptions).then(response => response?.data);
+    }
+
+    check(id, operation, params, query, body) {
+        const errors = [];
+        operation.pathParams.forEach((name) => {
+            const value = params[name];
+            if ((typeof value !== 'string' && typeof value !== 'number') || value === '') {
+                errors.push(\`\${name}: required path parameter\`);
+            }
+        });
+        if (operation.query) this.checkSchema(operation.query, query || {}, 'query', errors);
+        if (operation.body) this.checkSchema(operation.body, body, 'body', errors);
+        if (errors.length) {
+            const err = new TypeError(\`api.\${id}: \${errors.join('; ')}\`);
+            err.errors = errors;
+            throw err;
+        }
+    }
+
+    checkSchema(schema, value, at, errors) {
+        if (value === undefined) return;
+        if (schema.type && !this.matchesType(schema.type, value)) {
+            errors.push(\`\${at}: expected \${schema.type}\`);
+            return;
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(\`\${at}: expected one of \${schema.enum.join(', ')}\`);
+        }
+        if (schema.properties && value && typeof value === 'object' && !Array.isArray(value)) {
+            (schema.required || []).forEach((key) => {
+                if (value[key] === undefined) errors.push(\`\${at}.\${key}: required\`);
+            });
+            Object.entries(schema.properties).forEach(([key, sub]) => this.checkSchema(sub, value[key], \`\${at}.\${key}\`, errors));
+        }
+        if (schema.items && Array.isArray(value)) {
+            value.forEach((item, i) => this.checkSchema(schema.items, item, \`\${at}[\${i}]\`, errors));
+        }
+    }
+
+    matchesType(type, value) {
+        switch (type) {
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'string': return typeof value === 'string';
+            case 'boolean': return typeof value === 'boolean';
+            // PHP arrays cover both lists and maps ({} examples decode as [])
+            case 'array': return value !== null && typeof value === 'object';
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            default: return true;
+        }
+    }
+}
+
+BintelxApi.operations = ${JSON.stringify(table, null, 4)};
+
+if (typeof window !== 'undefined') {
+    window.BintelxApi = BintelxApi;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BintelxApi;
+}
+`;
+    }
+
+    renderDts() {
+        const tree = {};
+        this.operations.forEach((operation) => {
+            let node = tree;
+            operation.namespace.forEach((key) => {
+                node[key] = node[key] || {};
+                node = node[key];
+            });
+            node[operation.name] = operation;
+        });
+
+        return `${this.banner()}
+declare namespace BintelxApi {
+    interface Client {
+        request(route: string, body?: unknown, options?: Record<string, unknown>): Promise<any>;
+    }
+
+    interface Options {
+        /** Check path params, query and body against the spec before sending (development). */
+        validate?: boolean;
+    }
+
+    interface RequestOptions {
+        query?: Record<string, unknown>;
+        headers?: Record<string, string>;
+        meta?: Record<string, unknown>;
+        timeoutMs?: number;
+        format?: 'json' | 'scon' | 'toon';
+        [option: string]: unknown;
+    }
+
+    interface ResponseBody {
+        data?: any;
+        [key: string]: unknown;
+    }
+
+    type PathParam = string | number;
+}
+
+declare class BintelxApi {
+    constructor(client: BintelxApi.Client, options?: BintelxApi.Options);
+    static operations: Record<string, { method: string; path: string; pathParams: string[]; query?: object; body?: object }>;
+${this.renderTree(tree, 1)}}
+
+export = BintelxApi;
+`;
+    }
+
+    renderTree(node, depth) {
+        const pad = '    '.repeat(depth);
+        return Object.entries(node).map(([key, value]) => {
+            if (value.method) {
+                return this.renderMethod(value, pad);
+            }
+            return `${pad}${key}: {\n${this.renderTree(value, depth + 1)}${pad}};\n`;
+        }).join('');
+    }
+
+    renderMethod(operation, pad) {
+        const args = operation.pathParams.map(name => `${name}: BintelxApi.PathParam`);
+        if (operation.method === 'GET') {
+            args.push(`query?: ${operation.query ? this.tsType(operation.query, pad) : 'Record<string, unknown>'}`);
+        } else {
+            const required = operation.body?.required?.length ? '' : '?';
+            args.push(`body${required}: ${operation.body ? this.tsType(operation.body, pad) : 'Record<string, unknown>'}`);
+        }
+        args.push('options?: BintelxApi.RequestOptions');
+        const summary = operation.summary.replace(/\*\//g, '*\\/');
+        return `${pad}/** ${summary} — ${operation.method} ${operation.path} */\n`
+            + `${pad}${operation.name}(${args.join(', ')}): Promise<BintelxApi.ResponseBody>;\n`;
+    }
+
+    tsType(schema, pad) {
+        if (schema.enum) return schema.enum.map(value => JSON.stringify(value)).join(' | ');
+        switch (schema.type) {
+            case 'integer':
+            case 'number': return 'number';
+            case 'string': return 'string';
+            case 'boolean': return 'boolean';
+            case 'array': return schema.items ? `Array<${this.tsType(schema.items, pad)}>` : 'unknown[] | Record<string, unknown>';
+            case 'object': {
+                if (!schema.properties) return 'Record<string, unknown>';
+                const required = new Set(schema.required || []);
+                const fields = Object.entries(schema.properties).map(([key, value]) => {
+                    const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+                    return `${name}${required.has(key) ? '' : '?'}: ${this.tsType(value, pad)}`;
+                });
+                return `{ ${fields.join('; ')}${fields.length ? ';' : ''} [key: string]: unknown }`;
+            }
+            default: return 'unknown';
+        }
+    }
+
+    banner() {
+        const info = this.spec.info || {};
+        return `/**
+ * ${info.title || 'Bintelx API'} ${info.version || ''} — generated by app/openapi-codegen.js
+ * from the OpenAPI spec (${this.operations.length} operations). Do not edit; regenerate.
+ */`;
+    }
+}
+
+OpenApiCodegen.METHODS = ['get', 'post', 'put', 'patch', 'delete', 'ws'];
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const outIndex = args.indexOf('--out');
+    const out = outIndex >= 0 ? args.splice(outIndex, 2)[1] : 'public/bintelx.api';
+    const source = args[0];
+    if (!source || !out) {
+        console.error('Usage: node app/openapi-codegen.js <spec.json> [--out public/bintelx.api]');
+        process.exit(1);
+    }
+
+    let spec = JSON.parse(fs.readFileSync(source, 'utf8'));
+    // /api/openapi/spec wraps the document in Response::success
+    if (!spec.paths && spec.data) spec = spec.data.spec || spec.data;
+    const codegen = new OpenApiCodegen(spec);
+    fs.mkdirSync(path.dirname(path.resolve(out)), { recursive: true });
+    fs.writeFileSync(`${out}.js`, codegen.renderJs());
+    fs.writeFileSync(`${out}.d.ts`, codegen.renderDts());
+    console.log(`Wrote ${out}.js and ${out}.d.ts (${codegen.operations.length} operations)`);
+}
+
+module.exports = OpenApiCodegen;
@@ -0,0 +1,71 @@
+<?php // app/test/ws_ack.php
+# Batched delivery ACKs through /api/ws/ack (HTTP fallback path, Profile auth)
+# Usage: php ws_ack.php   (DB from .env, account 1 must exist)
+
+require_once '../../bintelx/WarmUp.php';
+new \bX\Args();
+
+use bX\Router;
+use bX\Channel\MessagePersistence;
+
+$failures = 0;
+$check = function (string $label, bool $ok) use (&$failures) {
+    echo ($ok ? "   ✓ " : "   ✗ ") . $label . "\n";
+    if (!$ok) $failures++;
+};
+$dispatch = function (string $method, string $uri, array $body = []): ?array {
+    $_SERVER['REQUEST_METHOD'] = $method;
+    $_POST = $body;
+    ob_start();
+    Router::dispatch($method, $uri);
+    return json_decode(ob_get_clean(), true);
+};
+
+$profile = new \bX\Profile();
+$profile->load(['account_id' => 1]);
+$profileId = \bX\Profile::ctx()->profileId;
+$accountId = \bX\Profile::ctx()->accountId;
+
+Router::load(
+    ["find_str" => \bX\WarmUp::$BINTELX_HOME . '../package/', 'pattern' => '{*/,}*{endpoint,controller}.php'],
+    function ($route) {
+        if (is_file($route['real']) && strpos($route['real'], "/ws/") !== false) {
+            require_once $route['real'];
+        }
+    }
+);
+
+echo "=== /api/ws/ack ===\n\n";
+
+$channel = 'test.ack.' . uniqid();
+MessagePersistence::subscribe($channel, $profileId, $accountId);
+$first = MessagePersistence::persistMessage($channel, ['n' => 1], null, null);
+$second = MessagePersistence::persistMessage($channel, ['n' => 2], null, null);
+$check("two pending messages on {$channel}", count(MessagePersistence::getPendingMessages($profileId, $channel)) === 2);
+
+echo "1. Batch with one invalid entry\n";
+$reply = $dispatch('POST', '/api/ws/ack', ['acks' => [
+    ['message_id' => $first, 'ack_level' => 'client'],
+    ['message_id' => $second, 'ack_level' => 'bogus'],
+    ['message_id' => null]
+]]);
+$results = $reply['results'] ?? [];
+$check('one result per entry, in order', array_column($results, 'message_id') === [$first, $second, null]);
+$check('valid entry recorded', ($results[0]['success'] ?? null) === true);
+$check('invalid level and missing id rejected per entry', ($results[1]['success'] ?? null) === false && ($results[2]['success'] ?? null) === false);
+$check('batch success is false', ($reply['success'] ?? null) === false);
+$check('only the second message is still pending', array_column(MessagePersistence::getPendingMessages($profileId, $channel), 'message_id') === [$second]);
+
+echo "2. Single ACK (pre-batch form)\n";
+$reply = $dispatch('POST', '/api/ws/ack', ['message_id' => $second, 'ack_level' => 'client']);
+$check('single reply keeps its shape', ($reply['type'] ?? null) === 'ack' && ($reply['message_id'] ?? null) === $second && ($reply['success'] ?? null) === true);
+$check('nothing pending', MessagePersistence::getPendingMessages($profileId, $channel) === []);
+
+echo "3. App ACK with data\n";
+$reply = $dispatch('POST', '/api/ws/ack', ['acks' => [['message_id' => $first, 'ack_level' => 'app', 'ack_data' => ['read' => true]]]]);
+$levels = array_column(MessagePersistence::getMessageAcks($first), 'ack_data', 'ack_level');
+$check('app ack stored with its data', ($reply['success'] ?? null) === true && ($levels['app'] ?? null) === ['read' => true]);
+
+MessagePersistence::unsubscribe($channel, $profileId);
+echo "\n" . ($failures ? "✗ {$failures} check(s) failed\n" : "✓ All checks passed\n");
+exit($failures ? 1 : 0);
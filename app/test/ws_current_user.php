@@ -0,0 +1,52 @@
+<?php // app/test/ws_current_user.php
+# ChannelContext::currentUser(): authTable for WS frames, Profile for HTTP (FPM or channel server without ws_fd)
+# Usage: php ws_current_user.php   (needs the swoole extension; DB from .env, account 1 must exist)
+
+require_once '../../bintelx/WarmUp.php';
+new \bX\Args();
+
+use bX\ChannelContext;
+use bX\Profile;
+
+$failures = 0;
+$check = function (string $label, bool $ok) use (&$failures) {
+    echo ($ok ? "   ✓ " : "   ✗ ") . $label . "\n";
+    if (!$ok) $failures++;
+};
+
+$profile = new Profile();
+$profile->load(['account_id' => 1]);
+$expected = ['profile_id' => Profile::ctx()->profileId, 'account_id' => Profile::ctx()->accountId];
+
+echo "=== ChannelContext::currentUser() ===\n\n";
+
+echo "1. FPM/CLI (no channel server)\n";
+$check('falls back to Profile', ChannelContext::currentUser() === $expected);
+
+# Worker state as onWorkerStart leaves it; the server is never started
+ChannelContext::$server = new \Swoole\WebSocket\Server('127.0.0.1', 0);
+ChannelContext::$authTable = new \Swoole\Table(16);
+ChannelContext::$authTable->column('account_id', \Swoole\Table::TYPE_INT);
+ChannelContext::$authTable->column('profile_id', \Swoole\Table::TYPE_INT);
+ChannelContext::$authTable->create();
+ChannelContext::$authTable->set('5', ['account_id' => 90, 'profile_id' => 91]);
+
+\Swoole\Coroutine\run(function () use ($check, $expected) {
+    echo "2. HTTP request on the channel server (no ws_fd)\n";
+    $check('isChannel() is true', ChannelContext::isChannel());
+    $check('falls back to Profile', ChannelContext::currentUser() === $expected);
+
+    echo "3. WS frame\n";
+    \Swoole\Coroutine::create(function () use ($check) {
+        \Swoole\Coroutine::getContext()->ws_fd = 5;
+        $user = ChannelContext::currentUser();
+        $check('reads the authTable row of the fd', ($user['profile_id'] ?? null) === 91 && ($user['account_id'] ?? null) === 90);
+    });
+    \Swoole\Coroutine::create(function () use ($check) {
+        \Swoole\Coroutine::getContext()->ws_fd = 6;
+        $check('unauthenticated fd gets null, not the Profile', ChannelContext::currentUser() === null);
+    });
+});
+
+echo "\n" . ($failures ? "✗ {$failures} check(s) failed\n" : "✓ All checks passed\n");
+exit($failures ? 1 : 0);
@@ -0,0 +1,71 @@
+<?php // app/test/ws_http_idempotency.php
+# HTTP fallback: channel.server replays keyed requests (X-Bintelx-Meta) instead of running them twice
+# Usage: php ws_http_idempotency.php [http://127.0.0.1:8000]   (channel.server running)
+
+require_once '../../bintelx/WarmUp.php';
+new \bX\Args();
+
+use bX\Config;
+
+$failures = 0;
+$check = function (string $label, bool $ok) use (&$failures) {
+    echo ($ok ? "   ✓ " : "   ✗ ") . $label . "\n";
+    if (!$ok) $failures++;
+};
+
+$base = rtrim($argv[1] ?? ('http://127.0.0.1:' . Config::getInt('CHANNEL_PORT', 8000)), '/');
+
+# POST con meta opcional; devuelve [status, headers (lowercase), body]
+$post = function (string $route, array $body, ?array $meta = null) use ($base): array {
+    $headers = ['Content-Type: application/json'];
+    if ($meta !== null) {
+        $headers[] = 'X-Bintelx-Meta: ' . json_encode($meta);
+    }
+    $received = [];
+    $ch = curl_init($base . $route);
+    curl_setopt_array($ch, [
+        CURLOPT_POST => true,
+        CURLOPT_POSTFIELDS => json_encode($body),
+        CURLOPT_HTTPHEADER => $headers,
+        CURLOPT_RETURNTRANSFER => true,
+        CURLOPT_TIMEOUT => 10,
+        CURLOPT_HEADERFUNCTION => function ($ch, $line) use (&$received) {
+            $parts = explode(':', $line, 2);
+            if (count($parts) === 2) $received[strtolower(trim($parts[0]))] = trim($parts[1]);
+            return strlen($line);
+        }
+    ]);
+    $output = curl_exec($ch);
+    $status = (int)curl_getinfo($ch, CURLINFO_RESPONSE_CODE);
+    curl_close($ch);
+    return [$status, $received, $output === false ? null : $output];
+};
+
+echo "=== channel.server HTTP idempotency ({$base}) ===\n\n";
+
+$key = 'http-' . bin2hex(random_bytes(8));
+
+echo "1. First keyed request runs the route\n";
+[$status, $headers, $body] = $post('/api/_demo/validate', [], ['idempotency_key' => $key]);
+$check('server reachable', $status > 0);
+$check('not marked as a replay', !isset($headers['x-bintelx-replayed']));
+
+echo "2. Same key again is replayed\n";
+[$againStatus, $againHeaders, $againBody] = $post('/api/_demo/validate', [], ['idempotency_key' => $key]);
+$check('X-Bintelx-Replayed: 1', ($againHeaders['x-bintelx-replayed'] ?? null) === '1');
+$check('header exposed to fetch()', stripos($againHeaders['access-control-expose-headers'] ?? '', 'X-Bintelx-Replayed') !== false);
+$check('same status', $againStatus === $status);
+$check('same body', json_decode((string)$againBody, true) === json_decode((string)$body, true));
+
+echo "3. Without meta nothing is replayed\n";
+[, $plainHeaders] = $post('/api/_demo/validate', []);
+[, $plainAgainHeaders] = $post('/api/_demo/validate', []);
+$check('no replay header', !isset($plainHeaders['x-bintelx-replayed']) && !isset($plainAgainHeaders['x-bintelx-replayed']));
+
+echo "4. Invalid keys are ignored\n";
+[, $badHeaders] = $post('/api/_demo/validate', [], ['idempotency_key' => 'short']);
+[, $badAgainHeaders] = $post('/api/_demo/validate', [], ['idempotency_key' => 'short']);
+$check('no replay for a key under 8 chars', !isset($badHeaders['x-bintelx-replayed']) && !isset($badAgainHeaders['x-bintelx-replayed']));
+
+echo "\n" . ($failures ? "✗ {$failures} check(s) failed\n" : "✓ All checks passed\n");
+exit($failures ? 1 : 0);
@@ -0,0 +1,52 @@
+<?php // app/test/ws_idempotency.php
+# IdempotencyStore: atomic claim across coroutines, stored/partial replay, release on 5xx
+# Usage: php ws_idempotency.php   (needs the swoole extension)
+
+require_once '../../bintelx/WarmUp.php';
+new \bX\Args();
+
+use bX\Channel\IdempotencyStore;
+
+$failures = 0;
+$check = function (string $label, bool $ok) use (&$failures) {
+    echo ($ok ? "   ✓ " : "   ✗ ") . $label . "\n";
+    if (!$ok) $failures++;
+};
+
+echo "=== IdempotencyStore ===\n\n";
+
+$store = new IdempotencyStore(IdempotencyStore::createTable(64));
+
+echo "1. Concurrent claims of one key\n";
+$results = [];
+\Swoole\Coroutine\run(function () use ($store, &$results) {
+    for ($i = 0; $i < 20; $i++) {
+        \Swoole\Coroutine::create(function () use ($store, &$results) {
+            \Swoole\Coroutine::sleep(0.001);
+            $results[] = $store->claim('1:order-000001');
+        });
+    }
+});
+$check('exactly one claim wins', count(array_filter($results, fn($r) => $r === true)) === 1);
+$check('the rest see it as taken', count(array_filter($results, fn($r) => $r === false)) === 19);
+$check('nothing stored while in progress', $store->stored('1:order-000001') === null);
+
+echo "2. Stored response is replayed whole\n";
+$payload = ['type' => 'api_response', 'status_code' => 201, 'data' => ['id' => 42]];
+$store->store('1:order-000001', $payload);
+$check('full payload kept', $store->stored('1:order-000001') === $payload);
+$check('a later claim still loses', $store->claim('1:order-000001') === false);
+
+echo "3. Oversized response\n";
+$store->claim('1:report-000001');
+$store->store('1:report-000001', ['type' => 'api_response', 'status_code' => 200, '_fmt' => 'scon', 'data' => str_repeat('x', IdempotencyStore::MAX_BYTES)]);
+$stored = $store->stored('1:report-000001');
+$check('kept without data and marked partial', $stored === ['type' => 'api_response', 'status_code' => 200, 'partial' => true]);
+
+echo "4. Release after 5xx\n";
+$store->claim('1:retry-000001');
+$store->release('1:retry-000001');
+$check('the key can be claimed again', $store->claim('1:retry-000001') === true);
+
+echo "\n" . ($failures ? "✗ {$failures} check(s) failed\n" : "✓ All checks passed\n");
+exit($failures ? 1 : 0);
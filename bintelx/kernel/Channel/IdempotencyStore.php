@@ -0,0 +1,92 @@
+<?php # bintelx/kernel/Channel/IdempotencyStore.php
+
+namespace bX\Channel;
+
+use bX\Log;
+
+# Respuestas guardadas por meta.idempotency_key (cola persistente del cliente), compartidas entre workers
+# claims: incr() es atómico por fila y crea la fila si no existe → set-if-absent sin locks
+# response: api_response completo en JSON; si no cabe en la columna se guarda sin data y con partial = true
+class IdempotencyStore
+{
+    public const TTL = 86400; # 24h, igual al queueTtlMs por defecto del cliente
+    public const MAX_BYTES = 8192;
+
+    private \Swoole\Table $table;
+
+    public function __construct(\Swoole\Table $table)
+    {
+        $this->table = $table;
+    }
+
+    public static function createTable(int $size = 8192): \Swoole\Table
+    {
+        $table = new \Swoole\Table($size);
+        $table->column('claims', \Swoole\Table::TYPE_INT);
+        $table->column('expires_at', \Swoole\Table::TYPE_INT);
+        $table->column('response', \Swoole\Table::TYPE_STRING, self::MAX_BYTES);
+        $table->create();
+        return $table;
+    }
+
+    # true = claim propio (ejecutar), false = otro request ya la tiene, null = tabla llena (ejecutar sin idempotencia)
+    # Una fila vencida se borra antes del claim; expires_at 0 = claim recién tomado
+    public function claim(string $key): ?bool
+    {
+        $row = $this->table->get($key);
+        if ($row && $row['expires_at'] > 0 && $row['expires_at'] < time()) {
+            $this->table->del($key);
+        }
+        $claims = $this->table->incr($key, 'claims');
+        if ($claims === false) {
+            $this->evictExpired();
+            $claims = $this->table->incr($key, 'claims');
+        }
+        if ($claims === false) {
+            Log::logWarning("Idempotency: table full, key '{$key}' runs without replay protection");
+            return null;
+        }
+        if ($claims !== 1) {
+            return false;
+        }
+        $this->table->set($key, ['expires_at' => time() + self::TTL]);
+        return true;
+    }
+
+    # Respuesta guardada, o null mientras el primer request sigue en curso
+    public function stored(string $key): ?array
+    {
+        $json = $this->table->get($key, 'response');
+        $stored = $json ? json_decode($json, true) : null;
+        return is_array($stored) ? $stored : null;
+    }
+
+    public function store(string $key, array $payload): void
+    {
+        $json = json_encode($payload);
+        if ($json === false || strlen($json) > self::MAX_BYTES) {
+            $json = json_encode(array_diff_key($payload, ['data' => true, '_fmt' => true]) + ['partial' => true]);
+        }
+        $this->table->set($key, ['response' => $json]);
+    }
+
+    # 5xx o excepción: el cliente puede reintentar con la misma key
+    public function release(string $key): void
+    {
+        $this->table->del($key);
+    }
+
+    private function evictExpired(): void
+    {
+        $now = time();
+        $expired = [];
+        foreach ($this->table as $key => $row) {
+            if ($row['expires_at'] > 0 && $row['expires_at'] < $now) {
+                $expired[] = $key;
+            }
+        }
+        foreach ($expired as $key) {
+            $this->table->del($key);
+        }
+    }
+}
@@ -94,6 +94,17 @@ class ChannelContext
         return \Swoole\Coroutine::getContext()[$key] ?? $default;
     }
 
+    # Usuario del request: authTable por FD en frames WS, Profile en HTTP (FPM o channel server, sin ws_fd)
+    public static function currentUser(): ?array {
+        $fd = self::getWsFd();
+        if ($fd !== null) {
+            if (!self::$authTable || !self::$authTable->exists((string)$fd)) return null;
+            return self::$authTable->get((string)$fd);
+        }
+        if (!Profile::isLoggedIn()) return null;
+        return ['profile_id' => Profile::ctx()->profileId, 'account_id' => Profile::ctx()->accountId];
+    }
+
     # Helper: obtener FDs por scope (workspace)
     public static function getFdsByScope(int $scopeEntityId): array {
         $fds = [];
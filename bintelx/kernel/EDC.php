@@ -372,7 +372,7 @@ class EDC {
      * @param array $contextPayload Optional context overrides (macro_context, event_context, sub_context, parent_context_id)
      * @param string|null $sourceSystem Optional source system override
      * @param string|null $deviceId Optional device id override
-     * @return array ['success' => bool, 'context_group_id' => int, 'fields_saved' => int]
+     * @return array ['success' => bool, 'context_group_id' => int, 'fields_saved' => int, 'versions' => ['field_id' => int]]
      */
     public static function saveResponseData(
         int $formResponseId,
@@ -385,8 +385,8 @@ class EDC {
     ): array {
         CONN::begin();
         try {
-            // Actor desde sesión
-            $actorId = Profile::ctx()->accountId;
+            // Actor desde sesión (perfil: queda en last_updated_by_profile_id; la cuenta la registra DataCaptureService)
+            $actorId = Profile::ctx()->profileId;
             if (!$actorId) {
                 throw new Exception('Not authenticated');
             }
@@ -497,6 +497,13 @@ class EDC {
 
             CONN::commit();
 
+            // Versión vigente de cada campo (la misma si el valor no cambió)
+            $versions = [];
+            $prefix = "edc.{$formDefId}.";
+            foreach ($saveResult['saved_fields_info'] ?? [] as $info) {
+                $versions[substr($info['variable_name'], strlen($prefix))] = (int)$info['version'];
+            }
+
             Log::logInfo('EDC.saveResponseData', [
                 'form_response_id' => $formResponseId,
                 'fields_saved' => count($valuesData),
@@ -509,6 +516,7 @@ class EDC {
                 'form_response_id' => $formResponseId,
                 'context_group_id' => $saveResult['context_group_id'],
                 'fields_saved' => count($valuesData),
+                'versions' => $versions,
                 'status' => $newStatus ?? $response['status']
             ];
 
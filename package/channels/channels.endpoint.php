@@ -77,12 +77,46 @@ Router::register(['POST'], 'channels/join', function(...$params) {
         'channel' => $channel
     ]);
 
+    # members: perfiles activos del canal (los clientes E2E solo aceptan dispositivos de estos perfiles)
+    # Sin ACL: cualquier perfil autenticado entra; salas E2E deben restringir el join (invite/aprobación)
     return Response::success([
         'channel' => $channel,
-        'subscribed' => true
+        'subscribed' => true,
+        'members' => channelMembers($channel)
     ], 'Subscribed successfully');
 }, ROUTER_SCOPE_PRIVATE);
 
+/**
+ * @endpoint   /api/channels/members
+ * @method     GET
+ * @scope      ROUTER_SCOPE_PRIVATE
+ * @purpose    Lists the active member profiles of a channel the user belongs to
+ * @param      channel string Channel name
+ * @tag        Channels
+ */
+Router::register(['GET'], 'channels/members', function(...$params) {
+    $userId = Profile::ctx()->profileId;
+    $channel = Args::ctx()->opt['channel'] ?? null;
+
+    if (!$userId) {
+        return Response::error('Not authenticated', 401);
+    }
+
+    if (!$channel) {
+        return Response::error('Channel name required', 400);
+    }
+
+    $members = channelMembers($channel);
+    if (!in_array((int)$userId, $members, true)) {
+        return Response::error('Not a member of this channel', 403);
+    }
+
+    return Response::success([
+        'channel' => $channel,
+        'members' => $members
+    ], 'Members retrieved');
+}, ROUTER_SCOPE_PRIVATE);
+
 /**
  * @endpoint   /api/channels/leave
  * @method     POST
@@ -118,3 +152,19 @@ Router::register(['POST'], 'channels/leave', function(...$params) {
         'unsubscribed' => true
     ], 'Unsubscribed successfully');
 }, ROUTER_SCOPE_PRIVATE);
+
+# user_id (profile) de las suscripciones activas del canal
+function channelMembers(string $channel): array
+{
+    $members = [];
+    CONN::dml("SELECT user_id FROM sys_channel_subscriptions
+               WHERE channel_name = :ch AND status = 'active'
+               ORDER BY user_id",
+        [':ch' => $channel],
+        function($row) use (&$members) {
+            $members[] = (int)$row['user_id'];
+            return true;
+        }
+    );
+    return $members;
+}
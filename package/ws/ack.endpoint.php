@@ -12,55 +12,82 @@ use bX\ChannelContext;
  * @method     WS
  * @scope      ROUTER_SCOPE_PUBLIC
  * @purpose    Acknowledges message delivery (confirms receipt)
- * @body       (JSON) {"message_id": "msg_...", "type": "ack" or "ack_digest"}
+ * @body       (JSON) {"message_id": "msg_...", "ack_level": "client" or "app", "ack_data": {...}}
+ *             or batched: {"acks": [{"message_id": "msg_...", "ack_level": "client", "ack_data": null}, ...]}
  * @tag        WebSocket
  */
 Router::register(['POST'], 'ack', function(...$params) {
-    $authTable = ChannelContext::$authTable;
-    $fd = ChannelContext::getWsFd();
-
-    $messageId = $_POST['message_id'] ?? null;
-    $ackLevel = $_POST['ack_level'] ?? 'client'; # client o app
-    $ackData = $_POST['ack_data'] ?? null;
-
-    if (!$authTable->exists((string)$fd)) {
+    $user = ChannelContext::currentUser();
+    if (!$user) {
         return Response::error('Authentication required', 401);
     }
 
-    $user = $authTable->get((string)$fd);
     $profileId = $user['profile_id'];
     $accountId = $user['account_id'];
 
-    if (!$messageId) {
-        return Response::error('message_id is required', 400);
-    }
+    # Batch (cliente agrupa ACKs con debounce) o forma simple de un solo mensaje
+    $batch = is_array($_POST['acks'] ?? null);
+    $acks = $batch ? $_POST['acks'] : [[
+        'message_id' => $_POST['message_id'] ?? null,
+        'ack_level' => $_POST['ack_level'] ?? 'client', # client o app
+        'ack_data' => $_POST['ack_data'] ?? null
+    ]];
 
-    # Validar ack_level
-    if (!in_array($ackLevel, ['client', 'app'])) {
-        return Response::error('Invalid ack_level. Use: client, app', 400);
+    if (!$acks) {
+        return Response::error('acks must not be empty', 400);
     }
 
-    # Registrar ACK
-    $success = MessagePersistence::recordAck(
-        $messageId,
-        $profileId,
-        $accountId,
-        $ackLevel,
-        $ackData
-    );
+    $results = [];
+    foreach ($acks as $ack) {
+        $messageId = $ack['message_id'] ?? null;
+        $ackLevel = $ack['ack_level'] ?? 'client';
+        $ackData = $ack['ack_data'] ?? null;
+
+        if (!$messageId) {
+            if (!$batch) return Response::error('message_id is required', 400);
+            $results[] = ['message_id' => null, 'ack_level' => $ackLevel, 'success' => false, 'error' => 'message_id is required'];
+            continue;
+        }
+
+        # Validar ack_level
+        if (!in_array($ackLevel, ['client', 'app'])) {
+            if (!$batch) return Response::error('Invalid ack_level. Use: client, app', 400);
+            $results[] = ['message_id' => $messageId, 'ack_level' => $ackLevel, 'success' => false, 'error' => 'Invalid ack_level. Use: client, app'];
+            continue;
+        }
+
+        # Registrar ACK
+        $success = MessagePersistence::recordAck(
+            $messageId,
+            $profileId,
+            $accountId,
+            $ackLevel,
+            is_array($ackData) ? $ackData : null
+        );
+
+        if ($success) {
+            Log::logDebug("Message ACK recorded", [
+                'message_id' => $messageId,
+                'profile_id' => $profileId,
+                'ack_level' => $ackLevel
+            ]);
+        }
+
+        $results[] = ['message_id' => $messageId, 'ack_level' => $ackLevel, 'success' => $success];
+    }
 
-    if ($success) {
-        Log::logDebug("Message ACK recorded", [
-            'message_id' => $messageId,
-            'profile_id' => $profileId,
-            'ack_level' => $ackLevel
+    if (!$batch) {
+        return Response::json([
+            'type' => 'ack',
+            'message_id' => $results[0]['message_id'],
+            'ack_level' => $results[0]['ack_level'],
+            'success' => $results[0]['success']
         ]);
     }
 
     return Response::json([
         'type' => 'ack',
-        'message_id' => $messageId,
-        'ack_level' => $ackLevel,
-        'success' => $success
+        'success' => !in_array(false, array_column($results, 'success'), true),
+        'results' => $results
     ]);
 }, ROUTER_SCOPE_PUBLIC);
@@ -10,8 +10,10 @@ use bX\Args;
 # El cliente recolecta canvas, WebGL, audio, hardware, screen, math, fonts, media
 # y envía los componentes al server. El server ordena y hashea con xxh128.
 # Funciona vía WS (route: /ws/fingerprint) y vía HTTP (POST /fingerprint en onRequest)
+# schema_version: versión del set de collectors del cliente; la 1 (o sin versión) hashea igual que antes
 Router::register(['POST'], 'fingerprint', function(...$params) {
     $components = Args::ctx()->opt['components'] ?? null;
+    $schemaVersion = Args::ctx()->opt['schema_version'] ?? null;
     if (!is_array($components) || empty($components)) {
         return Response::json(['success' => false, 'error' => 'components array required'], 400);
     }
@@ -21,11 +23,15 @@ Router::register(['POST'], 'fingerprint', function(...$params) {
         $parts[] = $key . ':' . (is_string($value) ? $value : json_encode($value));
     }
     $raw = implode('||', $parts);
+    if ($schemaVersion !== null && (string)$schemaVersion !== '1') {
+        $raw = 'v' . $schemaVersion . '||' . $raw;
+    }
     $hash = Crypto::xxh128($raw);
     return Response::json([
         'success' => true,
         'hash' => $hash,
         'algorithm' => 'xxh128',
-        'components_count' => count($components)
+        'components_count' => count($components),
+        'schema_version' => $schemaVersion ?? 1
     ]);
 }, ROUTER_SCOPE_PUBLIC);
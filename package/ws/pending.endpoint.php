@@ -15,14 +15,12 @@ use bX\ChannelContext;
  * @tag        WebSocket
  */
 Router::register(['GET'], 'pending', function(...$params) {
-    $authTable = ChannelContext::$authTable;
-    $fd = ChannelContext::getWsFd();
-
-    if (!$authTable->exists((string)$fd)) {
+    # WS o HTTP (polling del cliente cuando el socket no está disponible)
+    $user = ChannelContext::currentUser();
+    if (!$user) {
         return Response::error('Authentication required', 401);
     }
 
-    $user = $authTable->get((string)$fd);
     $profileId = $user['profile_id'];
 
     $channel = $_GET['channel'] ?? null;
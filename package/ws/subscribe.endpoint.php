@@ -16,13 +16,12 @@ use bX\ChannelContext;
  * @tag        WebSocket
  */
 Router::register(['POST'], 'subscribe', function(...$params) {
-    $server = ChannelContext::$server;
     $fd = ChannelContext::getWsFd();
     $channelsTable = ChannelContext::$channelsTable;
-    $authTable = ChannelContext::$authTable;
 
-    # Require authentication
-    if (!$authTable->exists((string)$fd)) {
+    # Require authentication (WS o HTTP: el cliente en modo polling solo necesita la suscripción en DB)
+    $user = ChannelContext::currentUser();
+    if (!$user) {
         return Response::error('Authentication required', 401);
     }
 
@@ -32,23 +31,24 @@ Router::register(['POST'], 'subscribe', function(...$params) {
         return Response::error('Missing channel name', 400);
     }
 
-    # Add to Swoole\Table (memoria compartida entre workers)
-    # Key format: "{channel}\x00{fd}" — \x00 evita colisiones con ":" en channel names
-    $key = $channel . "\x00" . $fd;
-    $channelsTable->set($key, ['subscribed' => 1]);
-
-    # Contar suscriptores actuales de este canal
     $subscribers = 0;
-    $prefix = $channel . "\x00";
-    $prefixLen = strlen($prefix);
-    foreach ($channelsTable as $k => $v) {
-        if (strncmp($k, $prefix, $prefixLen) === 0) {
-            $subscribers++;
+    if ($fd !== null) {
+        # Add to Swoole\Table (memoria compartida entre workers)
+        # Key format: "{channel}\x00{fd}" — \x00 evita colisiones con ":" en channel names
+        $key = $channel . "\x00" . $fd;
+        $channelsTable->set($key, ['subscribed' => 1]);
+
+        # Contar suscriptores actuales de este canal
+        $prefix = $channel . "\x00";
+        $prefixLen = strlen($prefix);
+        foreach ($channelsTable as $k => $v) {
+            if (strncmp($k, $prefix, $prefixLen) === 0) {
+                $subscribers++;
+            }
         }
     }
 
     # Persistir suscripción en DB
-    $user = $authTable->get((string)$fd);
     MessagePersistence::subscribe(
         $channel,
         $user['profile_id'],
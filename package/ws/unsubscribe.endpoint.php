@@ -4,6 +4,7 @@ namespace ws;
 use bX\Router;
 use bX\Response;
 use bX\Log;
+use bX\Channel\MessagePersistence;
 use bX\ChannelContext;
 
 /**
@@ -11,7 +12,7 @@ use bX\ChannelContext;
  * @method     WS
  * @scope      ROUTER_SCOPE_PUBLIC
  * @purpose    Unsubscribes from a channel
- * @body       (JSON) {"channel": "..."}
+ * @body       (JSON) {"channel": "...", "persistent": true}
  * @tag        WebSocket
  */
 Router::register(['POST'], 'unsubscribe', function(...$params) {
@@ -30,8 +31,18 @@ Router::register(['POST'], 'unsubscribe', function(...$params) {
         return;
     }
 
-    # Remove from Swoole\Table — key format: "{channel}\x00{fd}"
-    $channelsTable->del($channel . "\x00" . $fd);
+    # Remove from Swoole\Table — key format: "{channel}\x00{fd}" (sin fd = HTTP: solo la fila en DB)
+    if ($fd !== null && $channelsTable) {
+        $channelsTable->del($channel . "\x00" . $fd);
+    }
+
+    # persistent: desactivar también la suscripción en DB (si no, /api/ws/pending sigue entregando el canal)
+    $user = ChannelContext::currentUser();
+    if ($user && !empty($_POST['persistent'])) {
+        MessagePersistence::unsubscribe($channel, $user['profile_id']);
+    }
+
+    Log::logInfo("WebSocket: Unsubscribed from channel", ['fd' => $fd, 'channel' => $channel]);
 
     return Response::json([
         'type' => 'unsubscribe',
@@ -39,6 +50,4 @@ Router::register(['POST'], 'unsubscribe', function(...$params) {
         'channel' => $channel,
         'timestamp' => time()
     ]);
-
-    Log::logInfo("WebSocket: Unsubscribed from channel", ['fd' => $fd, 'channel' => $channel]);
 }, ROUTER_SCOPE_PUBLIC);
@@ -1,28 +1,200 @@
 'use strict';
 
-// Device fingerprint collector — matches server-side fingerprint.endpoint.php
-// No client-side hashing: components sent to server for deterministic xxh128
+// Device fingerprint collector — matches server-side fingerprint.endpoint.php. Components go
+// to the server unhashed (deterministic xxh128 there); the last result is cached in `bnx_fp`.
 class BintelxFingerprint {
-    constructor() { this.components = {}; }
+    constructor(options = {}) {
+        this.components = {};
+        this.collectors = new Map(BintelxFingerprint.collectors);
+        const extra = options.collectors instanceof Map ? [...options.collectors] : Object.entries(options.collectors || {});
+        extra.forEach(([name, collector]) => (collector ? this.register(name, collector) : this.unregister(name)));
+        this.schemaVersion = options.schemaVersion ?? BintelxFingerprint.schemaVersion;
+        this.timeoutMs = options.timeoutMs ?? 1000;
+        // { setTimeout, clearTimeout }; BintelxClient passes its own
+        this.timers = options.timers || {
+            setTimeout: (fn, ms) => setTimeout(fn, ms),
+            clearTimeout: (id) => clearTimeout(id)
+        };
+        this.cacheTtlMs = options.cacheTtlMs ?? 86400000;
+        // Share of the total weight that has to change before it counts as another device
+        this.deviceThreshold = options.deviceThreshold ?? 0.5;
+        this.storageKey = options.storageKey || 'bnx_fp';
+        this.storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.memory = null;
+    }
+
+    static async generate(options) {
+        return new BintelxFingerprint(options).generate();
+    }
+
+    // Default registry for new instances
+    static register(name, collect, options = {}) {
+        BintelxFingerprint.collectors.set(name, BintelxFingerprint.collector(collect, options));
+    }
+
+    static unregister(name) {
+        BintelxFingerprint.collectors.delete(name);
+    }
+
+    static collector(collect, options = {}) {
+        const spec = typeof collect === 'function' ? { ...options, collect } : { ...collect, ...options };
+        return { weight: 1, timeoutMs: null, ...spec };
+    }
+
+    register(name, collect, options = {}) {
+        this.collectors.set(name, BintelxFingerprint.collector(collect, options));
+        return this;
+    }
+
+    unregister(name) {
+        this.collectors.delete(name);
+        return this;
+    }
 
-    static async generate() {
-        const instance = new BintelxFingerprint();
-        return { components: await instance.collect() };
+    // { components, schemaVersion, collectedAt, cached, diagnostics }; fresh skips the cache
+    async generate(options = {}) {
+        const stored = this.readStored();
+        if (!options.fresh && this.isFresh(stored)) {
+            return { components: stored.components, schemaVersion: stored.schemaVersion, collectedAt: stored.collectedAt, cached: true, diagnostics: null };
+        }
+        const { components, digests, timedOut } = await this.collectAll(stored);
+        const collectedAt = Date.now();
+        const diagnostics = this.compare(stored, digests, collectedAt, timedOut);
+        this.writeStored({ schemaVersion: this.schemaVersion, collectedAt, collectors: [...this.collectors.keys()], components, digests });
+        return { components, schemaVersion: this.schemaVersion, collectedAt, cached: false, diagnostics };
     }
 
     async collect() {
-        this.components = {};
-        this.add('canvas', this.canvas());
-        this.add('webgl', this.webgl());
-        this.add('hardware', this.hardware());
-        this.add('screen', this.screenInfo());
-        this.add('math', this.math());
-        this.add('fonts', this.fonts());
-        this.add('media', await this.media());
-        this.add('audio', await this.audio());
+        this.components = (await this.collectAll()).components;
         return this.components;
     }
 
+    /**
+     * Collects now and reports against the stored fingerprint without replacing it:
+     * { verdict: 'new' | 'same' | 'drift' | 'device-changed', score (changed weight / total),
+     *   changed: [{ name, weight, before, after }], added, removed, unchanged, timedOut, schemaChanged }
+     */
+    async diagnose() {
+        const stored = this.readStored();
+        const { digests, timedOut } = await this.collectAll(stored);
+        return this.compare(stored, digests, Date.now(), timedOut);
+    }
+
+    async collectAll(stored = null) {
+        const components = {};
+        const digests = {};
+        const timedOut = [];
+        const cached = stored?.schemaVersion === this.schemaVersion ? stored : null;
+        await Promise.all([...this.collectors].map(async ([name, collector]) => {
+            const value = await this.run(name, collector);
+            if (value === BintelxFingerprint.TIMED_OUT) {
+                timedOut.push(name);
+                if (cached?.digests?.[name] === undefined) return;
+                digests[name] = cached.digests[name];
+                if (collector.weight > 0 && cached.components?.[name] != null) components[name] = cached.components[name];
+                return;
+            }
+            if (value == null) return;
+            digests[name] = this.digest(value);
+            if (collector.weight > 0) components[name] = value;
+        }));
+        // Same key order as the old fixed sequence, whatever finished first
+        const ordered = {};
+        this.collectors.forEach((collector, name) => {
+            if (name in components) ordered[name] = components[name];
+        });
+        return { components: ordered, digests, timedOut };
+    }
+
+    // Collector value, or TIMED_OUT: a slow collector must not put a fixed string in the hash
+    run(name, collector) {
+        const timeoutMs = collector.timeoutMs ?? this.timeoutMs;
+        let timer = null;
+        const timeout = new Promise((resolve) => {
+            timer = this.timers.setTimeout(() => resolve(BintelxFingerprint.TIMED_OUT), timeoutMs);
+        });
+        const value = Promise.resolve()
+            .then(() => collector.collect.call(this, this))
+            .catch(() => `${name}-error`);
+        return Promise.race([value, timeout]).finally(() => this.timers.clearTimeout(timer));
+    }
+
+    // Components that timed out without a cached value are not counted either way
+    compare(stored, digests, collectedAt, timedOut = []) {
+        const report = {
+            verdict: 'new',
+            score: 0,
+            schemaVersion: this.schemaVersion,
+            schemaChanged: !!stored && stored.schemaVersion !== this.schemaVersion,
+            previousAt: stored?.collectedAt ?? null,
+            collectedAt,
+            changed: [],
+            added: [],
+            removed: [],
+            unchanged: [],
+            timedOut
+        };
+        if (!stored?.digests) return report;
+        const weightOf = name => this.collectors.get(name)?.weight ?? 1;
+        const names = new Set([...Object.keys(stored.digests), ...Object.keys(digests)]);
+        let total = 0;
+        let moved = 0;
+        names.forEach((name) => {
+            if (!(name in digests) && timedOut.includes(name)) return;
+            const before = stored.digests[name];
+            const after = digests[name];
+            const weight = weightOf(name);
+            total += weight;
+            if (before === after) {
+                report.unchanged.push(name);
+                return;
+            }
+            moved += weight;
+            if (before === undefined) {
+                report.added.push(name);
+            } else if (after === undefined) {
+                report.removed.push(name);
+            } else {
+                report.changed.push({ name, weight, before, after });
+            }
+        });
+        report.score = total ? Math.round((moved / total) * 1000) / 1000 : 0;
+        report.verdict = !moved ? 'same' : (report.score >= this.deviceThreshold ? 'device-changed' : 'drift');
+        return report;
+    }
+
+    isFresh(stored) {
+        if (!stored?.components || stored.schemaVersion !== this.schemaVersion) return false;
+        if (Date.now() - stored.collectedAt >= this.cacheTtlMs) return false;
+        // A collector added or removed since then means a different component set; one that
+        // timed out or returned nothing is still part of the set it was collected with
+        const names = [...this.collectors.keys()].sort().join(',');
+        return [...(stored.collectors || [])].sort().join(',') === names;
+    }
+
+    // Short per-component digest: enough to see what changed, not the raw canvas/audio data
+    digest(value) {
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return new BintelxSha256().update(new TextEncoder().encode(text)).digest().slice(0, 16);
+    }
+
+    readStored() {
+        if (this.memory) return this.memory;
+        if (!this.storage) return null;
+        try {
+            this.memory = JSON.parse(this.storage.getItem(this.storageKey));
+        } catch { /* corrupt or unavailable */ }
+        return this.memory;
+    }
+
+    writeStored(entry) {
+        this.memory = entry;
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(entry));
+        } catch { /* quota or disabled storage: memory only */ }
+    }
+
     add(name, value) { if (value != null) this.components[name] = value; }
 
     canvas() {
@@ -121,238 +293,3663 @@ class BintelxFingerprint {
     }
 }
 
+// Schema 1 is the original fixed set; fingerprint.endpoint.php hashes it as before
+BintelxFingerprint.schemaVersion = 1;
+BintelxFingerprint.TIMED_OUT = Symbol('timed out');
+BintelxFingerprint.collectors = new Map([
+    ['canvas', BintelxFingerprint.collector(fp => fp.canvas(), { weight: 2 })],
+    ['webgl', BintelxFingerprint.collector(fp => fp.webgl(), { weight: 3 })],
+    ['hardware', BintelxFingerprint.collector(fp => fp.hardware(), { weight: 2 })],
+    // Monitor swaps and new microphones are everyday drift
+    ['screen', BintelxFingerprint.collector(fp => fp.screenInfo(), { weight: 1 })],
+    ['math', BintelxFingerprint.collector(fp => fp.math(), { weight: 2 })],
+    ['fonts', BintelxFingerprint.collector(fp => fp.fonts(), { weight: 1 })],
+    ['media', BintelxFingerprint.collector(fp => fp.media(), { weight: 0.5 })],
+    ['audio', BintelxFingerprint.collector(fp => fp.audio(), { weight: 2 })]
+]);
+
 /**
- * BintelxClient - Reference WebSocket client for ChannelServer.
- *
- * Features:
- *  - Automatic connection + exponential backoff reconnection.
- *  - WebSocket-only authentication via {route, method, body}.
- *  - Keep-alive ping every 30s (channel.server disconnects after 65s idle default).
- *  - Subscription resume (restores channels after reconnect/auth).
- *  - System channels baked in for logout + permission updates.
- *  - Event-driven API (client.on('event', cb)).
- *
- * Usage:
- *    const client = new BintelxClient({
- *        url: 'wss://dev.local/ws/',
- *        handshakeRoute: '/api/_demo/validate'
- *    });
- *
- *    client.on('ready', async () => {
- *        await client.request('/api/_demo/login', {
- *            username: 'demo',
- *            password: 'test123'
- *        }, { method: 'POST' });
- *
- *        client.subscribe('chat.general');
- *        client.ping(); // Manual ping outside heartbeat if needed.
- *    });
+ * Error hierarchy for rejected requests and server `error` frames.
  *
- *    client.on('system:logout', payload => {});
+ * BintelxError.from(payload) picks the class from status_code and the frame type.
+ * Every error carries statusCode, correlationId, route (from `_l`), the original
+ * payload and `retryable`: the failure is transient (timeout, lost connection,
+ * 429, 5xx). Whether a resend is safe still depends on the method.
  */
-class BintelxClient {
-    constructor(options = {}) {
-        this.url = options.url;
-        if (!this.url) {
-            throw new Error('BintelxClient requires a WebSocket URL.');
+class BintelxError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = details.code || null;
+        this.statusCode = details.statusCode ?? null;
+        this.correlationId = details.correlationId ?? null;
+        this.route = details.route ?? null;
+        this.payload = details.payload ?? null;
+        this.retryable = details.retryable ?? this.constructor.retryable;
+    }
+
+    static from(payload, route = null) {
+        if (payload instanceof BintelxError) return payload;
+        if (payload instanceof Error) {
+            return Object.assign(new BintelxTransportError(payload.message, { code: payload.code, route }), { cause: payload });
         }
+        const statusCode = Number(payload?.status_code) || (payload?.type === 'api_error' ? 500 : null);
+        // _l is "<status> <METHOD> <route>"
+        route = String(payload?._l || '').split(' ')[2] || route;
+        const body = payload?.data?.data ?? payload?.data;
+        const message = payload?.message || body?.message || body?.reason || body?.error
+            || `${route || 'Request'} failed (${statusCode ?? 'error'})`;
+        const details = { statusCode, route, correlationId: payload?.correlation_id ?? null, payload };
+        if (payload?.event === 'device_mismatch') {
+            return new BintelxAuthError(message, { ...details, code: 'EDEVICE' });
+        }
+        return BintelxError.create(statusCode, message, details);
+    }
 
-        this.cookieName = options.cookieName || 'bnxt';
-        this.tokenProvider = options.tokenProvider || (() => this.resolveBrowserToken(options.token));
-        this.handshakeRoute = options.handshakeRoute || '/api/_demo/validate';
-        this.handshakeMethod = options.handshakeMethod || 'POST';
-        this.keepAliveIntervalMs = options.keepAliveIntervalMs || 30000;
-        this.maxBackoffMs = options.maxBackoffMs || 30000;
-        this.systemChannels = new Set([
-            'sys.session.logout',
-            'sys.permissions.update'
-        ]);
-        this.activeSubscriptions = new Set(options.autoSubscribe || []);
-        this.eventHandlers = new Map();
-        this.pendingQueue = [];
-        this.correlationResolvers = new Map();
+    static create(statusCode, message, details = {}) {
+        const ErrorClass = statusCode === 401 ? BintelxAuthError
+            : statusCode === 403 ? BintelxPermissionError
+            : statusCode === 429 ? BintelxRateLimitError
+            : statusCode >= 400 && statusCode < 500 ? BintelxValidationError
+            : BintelxServerError;
+        return new ErrorClass(message, { ...details, statusCode });
+    }
+}
 
-        this.backoffMs = 0;
-        this.reconnectTimer = null;
-        this.heartbeat = null;
-        this.ws = null;
-        this.state = 'disconnected';
-        this.correlationPrefix = `client_${Date.now()}`;
-        this.correlationCounter = 0;
-        this.deviceId = null;
-        this.serverFingerprint = null;
+// 401 and device_mismatch: the token or device must change before a retry helps
+class BintelxAuthError extends BintelxError {}
 
-        this.connect();
+class BintelxPermissionError extends BintelxError {}
 
-        this.fingerprintData = null;
-        this.fingerprintPromise = BintelxFingerprint.generate()
-            .then(data => {
-                this.fingerprintData = data;
-                this.emit('fingerprint', data);
-                return data;
-            })
-            .catch(err => {
-                this.emit('warn', err);
-                return null;
-            });
+// Other 4xx: the request itself is wrong
+class BintelxValidationError extends BintelxError {}
+
+class BintelxRateLimitError extends BintelxError {
+    constructor(message, details = {}) {
+        super(message, details);
+        const retryAfter = Number(details.payload?.retry_after ?? details.payload?.data?.retry_after);
+        this.retryAfterMs = retryAfter > 0 ? retryAfter * 1000 : null;
     }
+}
 
-    /* ------------------------------------------------------------------ */
-    /* Public API                                                         */
-    /* ------------------------------------------------------------------ */
+// 5xx and api_error; a 501 will not change on a resend
+class BintelxServerError extends BintelxError {
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: details.retryable ?? details.statusCode !== 501 });
+    }
+}
 
-    on(event, handler) {
-        if (!this.eventHandlers.has(event)) {
-            this.eventHandlers.set(event, new Set());
+// Socket closed or unavailable, fetch failed
+class BintelxTransportError extends BintelxError {}
+
+// Rejection for requests that got no api_response within their timeout window
+class BintelxTimeoutError extends BintelxError {
+    constructor(route, timeoutMs, correlationId = null) {
+        super(`Request ${route} timed out after ${timeoutMs}ms`, { code: 'ETIMEDOUT', route, correlationId });
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+BintelxError.retryable = false;
+BintelxRateLimitError.retryable = true;
+BintelxTransportError.retryable = true;
+BintelxTimeoutError.retryable = true;
+
+/**
+ * Outbound queue storage for request(..., { persist: true }).
+ *
+ * Adapters implement load() → Promise<entry[]>, put(entry) and delete(key);
+ * entries are plain objects { key, route, body, options, createdAt, expiresAt }
+ * keyed by their idempotency key. IndexedDB in browsers, memory for Node/tests.
+ */
+class BintelxIdbQueueStorage {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'bintelx';
+        this.storeName = options.storeName || 'outbound_queue';
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
         }
-        this.eventHandlers.get(event).add(handler);
-        return () => this.eventHandlers.get(event)?.delete(handler);
+        return this.dbPromise;
     }
 
-    isConnected() {
-        return this.ws && this.ws.readyState === WebSocket.OPEN;
+    transaction(mode, run) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = run(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        }));
     }
 
-    subscribe(channel, options = {}) {
-        if (!channel) return;
-        this.activeSubscriptions.add(channel);
-        return this.request('/api/ws/subscribe', {
-            channel,
-            ...options
-        });
+    load() {
+        return this.transaction('readonly', store => store.getAll());
     }
 
-    unsubscribe(channel) {
-        if (!channel) return;
-        this.activeSubscriptions.delete(channel);
-        return this.request('/api/ws/unsubscribe', { channel });
+    put(entry) {
+        return this.transaction('readwrite', store => store.put(entry));
     }
 
-    publish(channel, message) {
-        return this.request('/api/ws/publish', { channel, message });
+    delete(key) {
+        return this.transaction('readwrite', store => store.delete(key));
     }
+}
 
-    ping(options = {}) {
-        return this.request('/api/ws/ping', {}, {
-            method: 'GET',
-            correlationId: options.correlationId || `ping_${Date.now()}`,
-            meta: options.meta
-        });
+class BintelxMemoryQueueStorage {
+    constructor() {
+        this.entries = new Map();
     }
 
-    fetchPending(channel = null) {
-        const options = {
-            method: 'GET',
-            correlationId: this.nextCorrelationId()
-        };
-        if (channel) {
-            options.query = { channel };
-        }
+    load() {
+        return Promise.resolve([...this.entries.values()]);
+    }
 
-        return this.request('/api/ws/pending', {}, options).then(response => {
-            this.emit('pending', response.data);
-            return response.data;
-        });
+    put(entry) {
+        this.entries.set(entry.key, entry);
+        return Promise.resolve();
     }
 
-    request(route, body = {}, reqOptions = {}) {
-        const payload = this.buildRequestPayload(route, body, reqOptions);
+    delete(key) {
+        this.entries.delete(key);
+        return Promise.resolve();
+    }
+}
 
-        if (!this.isConnected()) {
-            this.pendingQueue.push(payload);
-            return Promise.resolve({ queued: true });
+/**
+ * BintelxHttpTransport - fetch() transport for when WebSocket upgrades are blocked.
+ *
+ * Takes the same {route, method, body, query, headers, token} payload the socket
+ * carries and resolves with the api_response shape channel.server pushes
+ * (correlation_id, status, status_code, _l, data, _fmt), so the client handles
+ * both transports the same way. Routes are served by channel.server's HTTP handler,
+ * which replays keyed requests from the same idempotency store as the socket;
+ * app/api.php ignores X-Bintelx-Meta, so an httpUrl pointed there runs replays twice.
+ */
+class BintelxHttpTransport {
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || '').replace(/\/$/, '');
+        this.fetch = options.fetch || (typeof fetch === 'function' ? fetch.bind(globalThis) : null);
+        this.credentials = options.credentials || 'include';
+    }
+
+    async send(payload) {
+        if (!this.fetch) {
+            throw new Error('HTTP transport requires fetch()');
         }
+        const method = (payload.method || 'POST').toUpperCase();
+        const [path, qs] = payload.route.split('?');
+        const params = new URLSearchParams(qs || '');
+        Object.entries(payload.query || {}).forEach(([key, value]) => params.set(key, value));
+        const search = params.toString();
 
-        return this.sendPayload(payload);
-    }
+        const headers = { Accept: 'application/json', ...(payload.headers || {}) };
+        if (payload.token) {
+            headers.Authorization = `Bearer ${payload.token}`;
+        }
+        // idempotency_key, fingerprint, device_id: what the socket frame carries in meta
+        if (payload.meta) {
+            headers['X-Bintelx-Meta'] = JSON.stringify(payload.meta);
+        }
+        const init = { method, headers, credentials: this.credentials };
+        if (method !== 'GET' && method !== 'HEAD') {
+            headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(payload.body || {});
+        }
 
-    disconnect(code = 1000, reason = 'client closed') {
-        if (this.ws) {
-            this.ws.onopen = null;
-            this.ws.onmessage = null;
-            this.ws.onerror = null;
-            this.ws.onclose = null;
-            this.ws.close(code, reason);
+        const response = await this.fetch(`${this.baseUrl}${path}${search ? `?${search}` : ''}`, init);
+        const contentType = response.headers.get('content-type') || 'application/json';
+        const text = await response.text();
+        const statusCode = response.status;
+
+        const reply = {
+            type: 'api_response',
+            correlation_id: payload.correlation_id,
+            status: statusCode >= 200 && statusCode < 400 ? 'success' : 'error',
+            status_code: statusCode,
+            _l: `${statusCode} ${method} ${path}`,
+            timestamp: Math.floor(Date.now() / 1000),
+            transport: 'http'
+        };
+        // Answered from the server's idempotency store; a partial replay has no body
+        const replayed = response.headers.get('x-bintelx-replayed');
+        if (replayed) {
+            reply.replayed = true;
+            if (replayed === 'partial') {
+                reply.partial = true;
+                return reply;
+            }
         }
-        this.cleanupConnection();
-        this.state = 'disconnected';
-        this.emit('close', { code, reason, manual: true });
+        if (contentType.includes('application/json')) {
+            try {
+                reply.data = JSON.parse(text) ?? { raw: text };
+            } catch {
+                reply.data = { raw: text };
+            }
+        } else {
+            reply.data = text;
+            const match = contentType.match(/text\/(\w+)/);
+            if (match) reply._fmt = match[1];
+        }
+        return reply;
     }
+}
 
-    /* ------------------------------------------------------------------ */
-    /* Connection Lifecycle                                               */
-    /* ------------------------------------------------------------------ */
+/**
+ * BintelxTabHub - one socket per origin, shared by every tab (options.shareAcrossTabs).
+ *
+ * Tabs elect a leader through the Web Locks API; the leader owns the socket and the
+ * other tabs talk to it over a BroadcastChannel. API payloads go to the leader and
+ * replies come back to the tab that sent them; every frame without a correlation id
+ * is relayed to every tab; subscribe, unsubscribe, reauthenticate and ping run on the leader.
+ * The lock is released when the leader tab goes away and the next tab in line takes over.
+ */
+class BintelxTabHub {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.name = options.name || 'bintelx';
+        this.tabId = `tab_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+        // 'follower' | 'leader'
+        this.role = 'follower';
+        this.leaderId = null;
+        this.leaderReady = false;
+        // Leader: correlation_id → tab waiting for the reply; channel → Set<tabId>
+        this.proxied = new Map();
+        this.tabChannels = new Map();
+        // Follower: call id → { resolve, reject }
+        this.calls = new Map();
+        this.callCounter = 0;
+        this.channel = null;
+        this.lockAbort = null;
+        this.releaseLock = null;
+    }
 
-    connect() {
-        if (this.state === 'connecting' || this.isConnected()) {
-            return;
+    static isSupported() {
+        return typeof BroadcastChannel !== 'undefined'
+            && typeof navigator !== 'undefined'
+            && typeof navigator.locks?.request === 'function';
+    }
+
+    start() {
+        this.channel = new BroadcastChannel(`${this.name}:tabs`);
+        this.channel.onmessage = (event) => this.handleMessage(event.data);
+        this.post({ type: 'hello' });
+
+        this.lockAbort = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        navigator.locks.request(`${this.name}:leader`, { signal: this.lockAbort?.signal }, () => new Promise((resolve) => {
+            this.releaseLock = resolve;
+            this.becomeLeader();
+        })).catch((err) => {
+            if (err?.name !== 'AbortError') this.client.emit('warn', err);
+        });
+
+        if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+            window.addEventListener('pagehide', () => this.post({ type: 'bye' }));
         }
-        this.state = 'connecting';
-        this.emit('connecting');
+    }
 
-        this.ws = new WebSocket(this.url);
-        this.ws.onopen = () => this.handleOpen();
-        this.ws.onerror = (err) => this.handleError(err);
-        this.ws.onclose = (event) => this.handleClose(event);
-        this.ws.onmessage = (event) => this.handleMessage(event);
+    // Leaves the group; a leader hands the socket over to the next tab
+    stop() {
+        this.post({ type: 'bye' });
+        this.lockAbort?.abort();
+        if (this.releaseLock) {
+            this.releaseLock();
+            this.releaseLock = null;
+        }
+        this.rejectCalls('Tab sharing stopped');
+        this.channel?.close();
+        this.channel = null;
     }
 
-    handleOpen() {
-        this.state = 'connected';
-        this.emit('open');
-        this.resetBackoff();
-        this.startHeartbeat();
-        this.flushQueue();
-        this.authenticate().catch((err) => this.emit('error', err));
+    isLeader() {
+        return this.role === 'leader';
     }
 
-    handleClose(event) {
-        this.emit('close', {
-            code: event.code,
-            reason: event.reason,
-            manual: false
-        });
-        this.cleanupConnection();
-        this.scheduleReconnect();
+    post(message) {
+        this.channel?.postMessage({ ...message, from: this.tabId });
     }
 
-    handleError(error) {
-        this.emit('error', error);
+    becomeLeader() {
+        this.role = 'leader';
+        this.leaderId = this.tabId;
+        this.leaderReady = false;
+        this.rejectCalls('Leader tab changed');
+        this.post({ type: 'leader', state: 'connecting' });
+        this.client.emit('tabs:leader', { tabId: this.tabId, leader: true });
+        this.client.startConnection();
     }
 
-    cleanupConnection() {
-        if (this.heartbeat) {
-            clearInterval(this.heartbeat);
-            this.heartbeat = null;
+    // Leader → followers: 'ready' | 'disconnected' | 'terminated'
+    announce(state, extra = {}) {
+        if (!this.isLeader()) return;
+        if (state !== 'ready') {
+            // Followers settle these themselves when they see the leader drop
+            this.client.pendingQueue = this.client.pendingQueue.filter(payload => !this.proxied.has(payload.correlation_id));
+            this.proxied.clear();
         }
-        if (this.reconnectTimer) {
-            clearTimeout(this.reconnectTimer);
-            this.reconnectTimer = null;
+        this.post({ type: 'state', state, auth: this.authState(), ...extra });
+    }
+
+    announceAuth() {
+        if (this.isLeader()) {
+            this.post({ type: 'auth', auth: this.authState() });
         }
     }
 
-    /* ------------------------------------------------------------------ */
-    /* Authentication + Resume                                            */
-    /* ------------------------------------------------------------------ */
+    // Followers sign their own requests with the leader's token and device hash
+    authState() {
+        const { authContext, cachedToken, serverFingerprint, permissions } = this.client;
+        return { authContext, token: cachedToken, fingerprint: serverFingerprint, permissions };
+    }
 
-    async authenticate() {
-        const token = await this.resolveToken();
-        const fp = await this.getFingerprint();
+    handleMessage(message) {
+        if (!message || message.from === this.tabId) return;
+        if (message.to && message.to !== this.tabId) return;
+        if (this.isLeader()) {
+            this.handleAsLeader(message);
+        } else {
+            this.handleAsFollower(message);
+        }
+    }
 
-        // Get server-computed xxh128 hash (deterministic, 32 hex)
-        if (fp?.components) {
-            try {
-                const fpRes = await this.request('/api/ws/fingerprint', {
-                    components: fp.components
-                }, { method: 'POST', correlationId: 'fingerprint' });
-                if (fpRes?.data?.hash) {
-                    this.serverFingerprint = fpRes.data.hash;
-                    this.deviceId = fpRes.data.hash;
+    /* ---- Leader ---- */
+
+    handleAsLeader(message) {
+        switch (message.type) {
+            case 'hello':
+                this.post({
+                    type: 'leader',
+                    to: message.from,
+                    state: ['ready', 'terminated'].includes(this.client.state) ? this.client.state : 'connecting',
+                    reason: this.client.sessionEnd?.reason,
+                    auth: this.authState()
+                });
+                return;
+            case 'send': {
+                const id = message.payload.correlation_id;
+                this.proxied.set(id, message.from);
+                if (!this.client.forwardPayload(message.payload)) {
+                    this.proxied.delete(id);
+                    this.post({ type: 'unsent', to: message.from, correlation_id: id });
                 }
-            } catch (e) { /* best-effort: server fingerprint unavailable */ }
+                return;
+            }
+            case 'call':
+                this.runCall(message);
+                return;
+            case 'bye':
+                this.dropTab(message.from);
+                return;
         }
+    }
 
-        if (!token) {
+    // Replies to proxied requests go back to their tab, uncorrelated frames go to all;
+    // replies to the leader's own requests stay here
+    relay(payload) {
+        if (!this.isLeader()) return false;
+        const tabId = payload.correlation_id ? this.proxied.get(payload.correlation_id) : null;
+        if (tabId) {
+            this.proxied.delete(payload.correlation_id);
+            this.post({ type: 'frame', to: tabId, payload });
+            return true;
+        }
+        if (!payload.correlation_id) {
+            this.post({ type: 'frame', payload });
+        }
+        return false;
+    }
+
+    runCall({ from, id, method, args }) {
+        const handlers = {
+            subscribe: (channel, options) => this.subscribeFor(from, channel, options),
+            unsubscribe: channel => this.unsubscribeFor(from, channel),
+            reauthenticate: token => this.client.reauthenticate(token),
+            setToken: token => this.client.setToken(token).then(() => null),
+            ping: options => this.client.ping(options)
+        };
+        Promise.resolve()
+            .then(() => {
+                if (!handlers[method]) throw new Error(`Unknown tab call: ${method}`);
+                return handlers[method](...(args || []));
+            })
+            .then(
+                value => this.post({ type: 'result', to: from, id, ok: true, value }),
+                error => this.post({ type: 'result', to: from, id, ok: false, error: this.serializeError(error) })
+            );
+    }
+
+    subscribeFor(tabId, channel, options = {}) {
+        if (!this.tabChannels.has(channel)) {
+            this.tabChannels.set(channel, new Set());
+        }
+        this.tabChannels.get(channel).add(tabId);
+        const client = this.client;
+        const confirmed = client.activeSubscriptions.has(channel) && client.subscriptionState(channel) !== 'failed'
+            ? client.whenSubscribed(channel)
+            : client.subscribeChannel(channel, options);
+        return confirmed.then(() => ({ channel }));
+    }
+
+    unsubscribeFor(tabId, channel) {
+        const tabs = this.tabChannels.get(channel);
+        if (tabs?.delete(tabId) && !tabs.size) {
+            this.tabChannels.delete(channel);
+        }
+        return this.needs(channel) ? null : this.client.unsubscribeChannel(channel);
+    }
+
+    dropTab(tabId) {
+        this.tabChannels.forEach((tabs, channel) => {
+            if (!tabs.delete(tabId) || tabs.size) return;
+            this.tabChannels.delete(channel);
+            if (!this.needs(channel)) {
+                this.client.unsubscribeChannel(channel).catch(() => {});
+            }
+        });
+    }
+
+    // Another tab still listens to the channel: keep it on the leader's socket
+    retains(channel) {
+        return this.isLeader() && !!this.tabChannels.get(channel)?.size;
+    }
+
+    needs(channel) {
+        return this.retains(channel)
+            || this.client.channelConsumers.has(channel)
+            || this.client.systemChannels.has(channel);
+    }
+
+    /* ---- Follower ---- */
+
+    handleAsFollower(message) {
+        switch (message.type) {
+            case 'leader':
+                if (message.from !== this.leaderId) {
+                    this.leaderId = message.from;
+                    this.rejectCalls('Leader tab changed');
+                    this.setLeaderReady(false);
+                    this.client.emit('tabs:leader', { tabId: message.from, leader: false });
+                }
+                this.applyLeaderState(message);
+                return;
+            case 'state':
+                if (message.from === this.leaderId) {
+                    this.applyLeaderState(message);
+                }
+                return;
+            case 'auth':
+                // A reauthenticate() of our own settles through its result instead
+                if (message.from === this.leaderId && ![...this.calls.values()].some(call => call.method === 'reauthenticate')) {
+                    this.client.applySharedAuth(message.auth);
+                }
+                return;
+            case 'bye':
+                if (message.from === this.leaderId) {
+                    this.leaderId = null;
+                    this.rejectCalls('Leader tab closed');
+                    this.setLeaderReady(false);
+                }
+                return;
+            case 'frame':
+                this.client.handlePayload(message.payload);
+                return;
+            case 'unsent':
+                this.client.settleUnsent(message.correlation_id);
+                return;
+            case 'result': {
+                const call = this.calls.get(message.id);
+                if (!call) return;
+                this.calls.delete(message.id);
+                if (message.ok) {
+                    call.resolve(message.value);
+                } else {
+                    call.reject(this.deserializeError(message.error));
+                }
+                return;
+            }
+        }
+    }
+
+    applyLeaderState({ state, auth, reason }) {
+        this.setLeaderReady(state === 'ready', auth);
+        // A session the leader ended is over in every tab
+        if (state === 'terminated') {
+            this.client.endSession(reason || 'logout');
+        }
+    }
+
+    setLeaderReady(ready, auth = null) {
+        if (auth) this.client.applySharedAuth(auth);
+        if (this.leaderReady === ready) return;
+        this.leaderReady = ready;
+        this.client.leaderStateChanged(ready);
+    }
+
+    send(payload) {
+        this.post({ type: 'send', to: this.leaderId, payload });
+    }
+
+    call(method, ...args) {
+        if (!this.leaderId) {
+            return Promise.reject(new BintelxTransportError('No leader tab', { code: 'ENOTCONN' }));
+        }
+        const id = ++this.callCounter;
+        return new Promise((resolve, reject) => {
+            this.calls.set(id, { method, resolve, reject });
+            this.post({ type: 'call', to: this.leaderId, id, method, args });
+        });
+    }
+
+    rejectCalls(reason) {
+        const calls = [...this.calls.values()];
+        this.calls.clear();
+        calls.forEach(call => call.reject(new BintelxTransportError(reason, { code: 'ECONNCLOSED' })));
+    }
+
+    // Errors cross tabs as plain objects (structured clone drops the class)
+    serializeError(error) {
+        const { name, message, code, statusCode, correlationId, route, payload, retryable, timeoutMs } = error || {};
+        return { name, message: message || String(error), code, statusCode, correlationId, route, payload, retryable, timeoutMs };
+    }
+
+    deserializeError(data = {}) {
+        if (data.name === 'BintelxTimeoutError') {
+            return new BintelxTimeoutError(data.route, data.timeoutMs, data.correlationId);
+        }
+        const ErrorClass = {
+            BintelxAuthError,
+            BintelxPermissionError,
+            BintelxValidationError,
+            BintelxRateLimitError,
+            BintelxServerError,
+            BintelxTransportError
+        }[data.name] || BintelxError;
+        return new ErrorClass(data.message, data);
+    }
+}
+
+/**
+ * BintelxInspector - opt-in protocol recorder (options.inspector).
+ *
+ * Keeps a ring buffer of what went over the wire: outbound payloads and native
+ * frames, inbound frames, and connection events (reconnects, endpoint and transport
+ * changes, subscription states). Tokens, passwords and any key listed in `redact`
+ * are masked before an entry is stored; large bodies are cut at maxPayloadBytes.
+ * Settled requests feed per-route metrics (latency percentiles, error rate), which
+ * client.metrics() returns; export() is the JSON attached to bug reports.
+ */
+class BintelxInspector {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.size = options.size || 500;
+        this.maxPayloadBytes = options.maxPayloadBytes ?? 4096;
+        // Latency samples kept per route for the percentiles
+        this.samples = options.samples || 200;
+        this.redactKeys = new Set(['token', 'password', 'authorization', 'refresh_token', 'secret',
+            ...(options.redact || [])].map(key => key.toLowerCase()));
+        this.startedAt = this.client.now();
+        this.clear();
+
+        const events = ['connecting', 'open', 'close', 'reconnecting', 'reconnect:failed', 'reconnect:paused',
+            'endpoint', 'transport', 'session:ended', 'device:mismatch', 'tabs:leader'];
+        events.forEach(event => client.on(event, data => this.event(event, data)));
+        client.on('subscription:state', ({ channel, state, previous }) => {
+            this.push({ dir: 'event', type: 'subscription:state', channel, state, previous });
+        });
+    }
+
+    clear() {
+        this.entries = [];
+        this.seq = 0;
+        // correlation_id → { at, route, method }
+        this.sent = new Map();
+        // 'METHOD /route' → { count, errors, timeouts, latencies: [] }
+        this.routes = new Map();
+        this.reconnects = [];
+    }
+
+    push(entry) {
+        entry.seq = ++this.seq;
+        entry.at = this.client.now();
+        this.entries.push(entry);
+        if (this.entries.length > this.size) this.entries.shift();
+        return entry;
+    }
+
+    outbound(payload) {
+        const correlationId = payload.correlation_id || null;
+        if (correlationId) {
+            this.sent.set(correlationId, { at: this.client.now(), route: payload.route, method: payload.method || 'POST' });
+            // Replies that never come (proxied for another tab, dropped) must not pile up
+            if (this.sent.size > this.size) this.sent.delete(this.sent.keys().next().value);
+        }
+        this.push({
+            dir: 'out',
+            type: payload.type || 'api',
+            route: payload.route || null,
+            method: payload.route ? (payload.method || 'POST') : null,
+            correlationId,
+            queued: this.client.pendingQueue.length,
+            inflight: this.client.correlationResolvers.size,
+            payload: this.capture(payload)
+        });
+    }
+
+    inbound(payload) {
+        const [status, method, route] = String(payload?._l || '').split(' ');
+        const sent = payload?.correlation_id ? this.sent.get(payload.correlation_id) : null;
+        this.push({
+            dir: 'in',
+            type: payload?.type || null,
+            route: route || sent?.route || null,
+            method: method || sent?.method || null,
+            status: Number(status) || Number(payload?.status_code) || null,
+            correlationId: payload?.correlation_id || null,
+            rtt: sent ? this.client.now() - sent.at : null,
+            payload: this.capture(payload)
+        });
+    }
+
+    event(type, data) {
+        const entry = this.push({ dir: 'event', type, data: this.capture(data) });
+        if (['reconnecting', 'endpoint', 'transport', 'reconnect:failed', 'reconnect:paused'].includes(type)) {
+            this.reconnects.push(entry);
+            if (this.reconnects.length > 50) this.reconnects.shift();
+        }
+    }
+
+    // A request settled (reply, server error, timeout or lost connection)
+    settle(correlationId, payload, error) {
+        const sent = this.sent.get(correlationId);
+        this.sent.delete(correlationId);
+        const key = `${payload.method || 'POST'} ${this.routeKey(payload.route)}`;
+        let stats = this.routes.get(key);
+        if (!stats) {
+            stats = { count: 0, errors: 0, timeouts: 0, latencies: [] };
+            this.routes.set(key, stats);
+        }
+        stats.count += 1;
+        if (error) stats.errors += 1;
+        if (error?.code === 'ETIMEDOUT') stats.timeouts += 1;
+        // Never sent (expired in the queue): no round trip to measure
+        if (sent) {
+            stats.latencies.push(this.client.now() - sent.at);
+            if (stats.latencies.length > this.samples) stats.latencies.shift();
+        }
+    }
+
+    // /api/orders/42?x=1 → /api/orders/:id, so ids don't explode the route table
+    routeKey(route) {
+        return String(route || '').split('?')[0]
+            .split('/')
+            .map(part => (/^\d+$/.test(part) || /^[0-9a-f-]{16,}$/i.test(part) ? ':id' : part))
+            .join('/');
+    }
+
+    metrics() {
+        const routes = {};
+        let requests = 0;
+        let errors = 0;
+        this.routes.forEach((stats, key) => {
+            const sorted = [...stats.latencies].sort((a, b) => a - b);
+            requests += stats.count;
+            errors += stats.errors;
+            routes[key] = {
+                count: stats.count,
+                errors: stats.errors,
+                timeouts: stats.timeouts,
+                errorRate: Math.round((stats.errors / stats.count) * 1000) / 1000,
+                p50: this.percentile(sorted, 50),
+                p90: this.percentile(sorted, 90),
+                p95: this.percentile(sorted, 95),
+                p99: this.percentile(sorted, 99),
+                max: sorted.length ? sorted[sorted.length - 1] : null
+            };
+        });
+        const client = this.client;
+        return {
+            since: this.startedAt,
+            requests,
+            errors,
+            errorRate: requests ? Math.round((errors / requests) * 1000) / 1000 : 0,
+            routes,
+            queue: {
+                depth: client.pendingQueue.length,
+                inflight: client.correlationResolvers.size,
+                durable: client.durableEntries.size
+            },
+            reconnects: this.reconnects.filter(entry => entry.type === 'reconnecting').length,
+            connection: client.stats()
+        };
+    }
+
+    // Nearest-rank percentile
+    percentile(sorted, p) {
+        if (!sorted.length) return null;
+        return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+    }
+
+    // Everything a bug report needs, already redacted
+    export() {
+        const client = this.client;
+        const subscriptions = {};
+        client.subscriptionStates.forEach((entry, channel) => {
+            subscriptions[channel] = entry.state;
+        });
+        return {
+            exportedAt: new Date().toISOString(),
+            client: {
+                url: client.url,
+                state: client.state,
+                transport: client.transport,
+                authContext: client.authContext
+            },
+            metrics: this.metrics(),
+            subscriptions,
+            reconnects: this.reconnects,
+            entries: this.entries
+        };
+    }
+
+    toJSON() {
+        return this.export();
+    }
+
+    capture(value) {
+        if (value === undefined || value === null) return null;
+        const redacted = this.redact(value, 0);
+        if (!this.maxPayloadBytes) return redacted;
+        const json = JSON.stringify(redacted) || '';
+        return json.length > this.maxPayloadBytes
+            ? { truncated: true, bytes: json.length, preview: json.slice(0, 256) }
+            : redacted;
+    }
+
+    redact(value, depth) {
+        if (value instanceof Error) {
+            return { name: value.name, message: value.message, code: value.code ?? null, statusCode: value.statusCode ?? null };
+        }
+        if (!value || typeof value !== 'object') return value;
+        if (depth > 8) return '[depth]';
+        if (Array.isArray(value)) return value.map(item => this.redact(item, depth + 1));
+        const out = {};
+        Object.entries(value).forEach(([key, val]) => {
+            out[key] = this.redactKeys.has(key.toLowerCase()) && val ? '[redacted]' : this.redact(val, depth + 1);
+        });
+        return out;
+    }
+}
+
+/**
+ * BintelxChannelCrypto - End-to-end encrypted channels (options.e2e). Each device
+ * keeps an ECDH key pair; messages are sealed with a per-channel AES-GCM key that
+ * members wrap for each other's devices and rotate when a device joins or leaves.
+ * Public keys are taken as announced and anyone who can join can read.
+ */
+class BintelxChannelCrypto {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.subtle = options.subtle || globalThis.crypto?.subtle || null;
+        // Names or RegExps; join() adds to it
+        this.patterns = [...(options.channels || [])];
+        this.storage = options.storage || (typeof indexedDB !== 'undefined'
+            ? new BintelxIdbQueueStorage({ dbName: 'bintelx_e2e', storeName: 'keys' })
+            : new BintelxMemoryQueueStorage());
+        // How long a newcomer waits for a member to send it the key before minting one
+        this.keyWaitMs = options.keyWaitMs ?? 3000;
+        // Several joins/leaves in a row cause one rotation
+        this.rotateDelayMs = options.rotateDelayMs ?? 250;
+        // channel → { keys: Map<kid, { key, createdAt }>, current, devices: Map<deviceId, { publicKey, jwk, profileId }>,
+        //   members: Set<profileId> | null, ... }
+        this.channels = new Map();
+        this.device = null;
+        this.ready = null;
+    }
+
+    static isSupported(subtle = globalThis.crypto?.subtle) {
+        return !!subtle && typeof TextEncoder !== 'undefined';
+    }
+
+    enabled(channel) {
+        return this.patterns.some(pattern => (pattern instanceof RegExp ? pattern.test(channel) : pattern === channel));
+    }
+
+    handles(payload) {
+        return this.enabled(payload.channel) && typeof payload.message?.e2e === 'string';
+    }
+
+    // Loads (or creates) the device key pair and the channel keys kept from earlier sessions
+    start() {
+        if (!this.ready) {
+            this.ready = this.load().catch((err) => {
+                this.ready = null;
+                throw err;
+            });
+        }
+        return this.ready;
+    }
+
+    async load() {
+        if (!BintelxChannelCrypto.isSupported(this.subtle)) {
+            throw new BintelxError('End-to-end channels need WebCrypto (crypto.subtle)', { code: 'ENOCRYPTO' });
+        }
+        await this.client.fingerprintPromise;
+        const entries = await this.storage.load();
+        let deviceId = this.client.deviceId;
+        if (!deviceId) {
+            deviceId = entries.find(entry => entry.key === 'device')?.deviceId || `dev_${this.client.generateIdempotencyKey()}`;
+            this.client.emit('warn', new Error('No fingerprint device id; end-to-end keys use a local device id'));
+        }
+        const stored = entries.find(entry => entry.key === 'device' && entry.deviceId === deviceId);
+        if (stored) {
+            this.device = { id: deviceId, privateKey: stored.privateKey, publicKey: stored.publicKey, jwk: stored.jwk };
+        } else {
+            const pair = await this.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+            const jwk = await this.subtle.exportKey('jwk', pair.publicKey);
+            this.device = { id: deviceId, privateKey: pair.privateKey, publicKey: pair.publicKey, jwk };
+            await this.storage.put({ key: 'device', deviceId, privateKey: pair.privateKey, publicKey: pair.publicKey, jwk });
+        }
+        const sender = async entry => (entry.from ? { id: entry.from.id, ...(await this.importMember(entry.from.jwk, entry.from.profileId)) } : null);
+        for (const entry of entries.filter(item => item.key.startsWith('channel:') && item.deviceId === deviceId)) {
+            this.addKey(entry.channel, entry.kid, entry.cryptoKey, entry.createdAt, entry.holders, await sender(entry));
+        }
+        return this.device;
+    }
+
+    state(channel) {
+        let state = this.channels.get(channel);
+        if (!state) {
+            state = {
+                keys: new Map(),
+                current: null,
+                devices: new Map(),
+                // Member profiles from /api/channels/join; null until known
+                members: null,
+                membersRefresh: null,
+                // Profiles already looked up in a refresh and not found
+                strangers: new Set(),
+                // kid → payloads that arrived before their key
+                waiting: new Map(),
+                waiters: new Set(),
+                chain: Promise.resolve(),
+                rotateTimer: null,
+                keyTimer: null
+            };
+            this.channels.set(channel, state);
+        }
+        return state;
+    }
+
+    // Persistent membership (sys_channel_subscriptions), then announce this device.
+    // channels/join admits any signed-in profile; the backend must gate E2E rooms
+    async join(channel) {
+        const joined = await this.client.request('/api/channels/join', { channel });
+        if (!this.enabled(channel)) this.patterns.push(channel);
+        await this.start();
+        this.setMembers(this.state(channel), joined?.data?.data?.members);
+        await this.announce(channel);
+        const state = this.state(channel);
+        // Nobody answered (first member, or everybody offline): mint the first key ourselves
+        if (!state.current && !state.keyTimer) {
+            state.keyTimer = this.client.timers.setTimeout(() => {
+                state.keyTimer = null;
+                if (!state.current) this.rotate(channel).catch(err => this.client.emit('warn', err));
+            }, this.keyWaitMs);
+        }
+        return { channel, deviceId: this.device.id };
+    }
+
+    async leave(channel) {
+        await this.start();
+        await this.client.request('/api/ws/publish', { channel, message: { e2e: 'leave', device_id: this.device.id } });
+        await this.client.request('/api/channels/leave', { channel });
+        const state = this.channels.get(channel);
+        if (state) {
+            if (state.rotateTimer) this.client.timers.clearTimeout(state.rotateTimer);
+            if (state.keyTimer) this.client.timers.clearTimeout(state.keyTimer);
+            state.keys.forEach((entry, kid) => this.storage.delete(`channel:${channel}:${kid}`).catch(() => {}));
+            this.channels.delete(channel);
+        }
+        this.patterns = this.patterns.filter(pattern => pattern !== channel);
+        return { channel };
+    }
+
+    announce(channel) {
+        const state = this.state(channel);
+        state.devices.set(this.device.id, this.member(this.device.publicKey, this.device.jwk, this.client.authContext?.profile_id));
+        return this.client.request('/api/ws/publish', {
+            channel,
+            message: { e2e: 'device', device_id: this.device.id, public_key: this.device.jwk }
+        });
+    }
+
+    // { e2e: 'msg', kid, iv, ct }; waits up to keyWaitMs for a first key
+    async seal(channel, message) {
+        await this.start();
+        const state = this.state(channel);
+        if (!state.current) await this.waitForKey(state);
+        const { kid, key } = state.current;
+        const iv = BintelxChannelCrypto.randomBytes(12);
+        const ct = await this.subtle.encrypt(
+            { name: 'AES-GCM', iv, additionalData: BintelxChannelCrypto.utf8(`${channel}|${kid}`) },
+            key,
+            BintelxChannelCrypto.utf8(JSON.stringify(message))
+        );
+        return { e2e: 'msg', kid, iv: BintelxChannelCrypto.toBase64(iv), ct: BintelxChannelCrypto.toBase64(ct) };
+    }
+
+    waitForKey(state) {
+        return new Promise((resolve, reject) => {
+            const timer = this.client.timers.setTimeout(() => {
+                state.waiters.delete(done);
+                reject(new BintelxError('No channel key yet; no member has shared one', { code: 'ENOKEY', route: '/api/ws/publish' }));
+            }, this.keyWaitMs);
+            const done = () => {
+                this.client.timers.clearTimeout(timer);
+                resolve();
+            };
+            state.waiters.add(done);
+        });
+    }
+
+    // Live and replayed frames of one channel are opened in arrival order
+    receive(payload) {
+        const state = this.state(payload.channel);
+        state.chain = state.chain
+            .then(() => this.start())
+            .then(() => this.process(payload, state))
+            .catch(err => this.client.emit('warn', err));
+    }
+
+    async process(payload, state) {
+        const message = payload.message;
+        const channel = payload.channel;
+        const profileId = payload.from?.profile_id ?? null;
+        switch (message.e2e) {
+        case 'msg':
+            if (!state.keys.has(message.kid)) {
+                this.hold(payload, state);
+                return;
+            }
+            await this.open(payload, state);
+            return;
+        case 'device':
+            if (message.device_id === this.device.id || !message.public_key) return;
+            if (!(await this.isMember(channel, state, profileId))) {
+                this.reject(channel, payload, 'not a member');
+                return;
+            }
+            if (!state.devices.has(message.device_id)) {
+                state.devices.set(message.device_id, await this.importMember(message.public_key, profileId));
+                this.client.emit('e2e:member', { channel, deviceId: message.device_id, profileId, joined: true });
+                this.scheduleRotation(channel, state);
+            }
+            return;
+        case 'leave': {
+            const member = state.devices.get(message.device_id);
+            // Only the device's own, verified profile can announce that it left
+            if (!member || member.profileId === null || member.profileId !== profileId) return;
+            state.devices.delete(message.device_id);
+            this.client.emit('e2e:member', { channel, deviceId: message.device_id, profileId, joined: false });
+            this.scheduleRotation(channel, state);
+            return;
+        }
+        case 'key':
+            await this.acceptKey(payload, state);
+            return;
+        default:
+            this.client.emit('warn', new Error(`Unknown e2e frame '${message.e2e}' on ${channel}`));
+        }
+    }
+
+    async open(payload, state) {
+        const { kid, iv, ct } = payload.message;
+        try {
+            const plain = await this.subtle.decrypt(
+                { name: 'AES-GCM', iv: BintelxChannelCrypto.fromBase64(iv), additionalData: BintelxChannelCrypto.utf8(`${payload.channel}|${kid}`) },
+                state.keys.get(kid).key,
+                BintelxChannelCrypto.fromBase64(ct)
+            );
+            const message = JSON.parse(new TextDecoder().decode(plain));
+            this.client.deliverChannelMessage({ ...payload, message, encrypted: true, kid });
+        } catch (err) {
+            this.client.emit('e2e:undecryptable', { channel: payload.channel, message_id: payload.message_id, kid, reason: 'tampered', error: err });
+        }
+    }
+
+    // Messages can arrive before the key that seals them (replay order, a slow rotator)
+    hold(payload, state) {
+        const kid = payload.message.kid;
+        if (!state.waiting.has(kid)) {
+            state.waiting.set(kid, []);
+            this.client.timers.setTimeout(() => {
+                const held = state.waiting.get(kid) || [];
+                state.waiting.delete(kid);
+                held.forEach(item => this.client.emit('e2e:undecryptable', {
+                    channel: item.channel, message_id: item.message_id, kid, reason: 'no-key'
+                }));
+            }, this.keyWaitMs);
+        }
+        state.waiting.get(kid).push(payload);
+    }
+
+    async acceptKey(payload, state) {
+        const message = payload.message;
+        const channel = payload.channel;
+        const wrapped = message.wraps?.[this.device.id];
+        if (!wrapped || state.keys.has(message.kid)) return;
+        const sender = await this.keySender(payload, state);
+        if (!sender) {
+            this.reject(channel, payload, 'untrusted sender');
+            return;
+        }
+        try {
+            const wrapKey = await this.wrappingKey(sender.publicKey, channel, message.kid);
+            const raw = await this.subtle.decrypt(
+                { name: 'AES-GCM', iv: BintelxChannelCrypto.fromBase64(wrapped.iv), additionalData: BintelxChannelCrypto.utf8(`${channel}|${message.kid}|${this.device.id}`) },
+                wrapKey,
+                BintelxChannelCrypto.fromBase64(wrapped.ct)
+            );
+            const key = await this.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+            // The wrap proves the sender; its roster fills in devices of member profiles we have not seen announce
+            state.devices.set(sender.id, this.member(sender.publicKey, sender.jwk, sender.profileId));
+            for (const [deviceId, entry] of Object.entries(message.roster || {})) {
+                if (deviceId === this.device.id || state.devices.has(deviceId) || !entry?.public_key) continue;
+                if (await this.isMember(channel, state, entry.profile_id ?? null)) {
+                    state.devices.set(deviceId, await this.importMember(entry.public_key, entry.profile_id));
+                }
+            }
+            await this.storeKey(channel, message.kid, key, this.client.now(), Object.keys(message.wraps), sender);
+            this.client.emit('e2e:key', { channel, kid: message.kid, from: sender.id, rotated: true });
+        } catch (err) {
+            this.client.emit('warn', new Error(`Could not unwrap key ${message.kid} for ${channel}: ${err.message}`));
+        }
+    }
+
+    // { id, publicKey, jwk, profileId } of a key's sender we accept, or null. The public
+    // key is the one we already hold for that device, never the one in the frame.
+    async keySender(payload, state) {
+        const id = payload.message.from;
+        const profileId = payload.from?.profile_id ?? null;
+        const known = state.devices.get(id) || (state.current?.from?.id === id ? state.current.from : null);
+        if (known) {
+            return known.profileId === null || known.profileId === profileId ? { ...known, id } : null;
+        }
+        // First key of this device: any member device may hand it over
+        if (state.current || !payload.message.public_key || !(await this.isMember(payload.channel, state, profileId))) return null;
+        return { id, ...(await this.importMember(payload.message.public_key, profileId)) };
+    }
+
+    setMembers(state, members) {
+        if (Array.isArray(members)) {
+            state.members = new Set(members.map(Number));
+            state.strangers.clear();
+        }
+    }
+
+    // A profile missing from the list is looked up once (it may have joined after us)
+    async isMember(channel, state, profileId) {
+        if (profileId === null || profileId === undefined) return false;
+        if (state.members?.has(Number(profileId))) return true;
+        if (state.strangers.has(Number(profileId))) return false;
+        if (!state.membersRefresh) {
+            state.membersRefresh = this.client.request('/api/channels/members', {}, { method: 'GET', query: { channel } })
+                .then(response => this.setMembers(state, response?.data?.data?.members))
+                .catch(err => this.client.emit('warn', err))
+                .finally(() => {
+                    state.membersRefresh = null;
+                });
+        }
+        await state.membersRefresh;
+        if (state.members?.has(Number(profileId))) return true;
+        state.strangers.add(Number(profileId));
+        return false;
+    }
+
+    reject(channel, payload, reason) {
+        this.client.emit('e2e:rejected', {
+            channel,
+            message_id: payload.message_id,
+            type: payload.message.e2e,
+            deviceId: payload.message.device_id ?? payload.message.from ?? null,
+            profileId: payload.from?.profile_id ?? null,
+            reason
+        });
+    }
+
+    // The lowest device id still holding the current key rotates; the others wait for its 'key'
+    scheduleRotation(channel, state) {
+        if (this.client.transport === 'tab' || !state.current) return;
+        const holders = state.current.holders.filter(id => id === this.device.id || state.devices.has(id)).sort();
+        if (holders[0] !== this.device.id) return;
+        if (state.rotateTimer) this.client.timers.clearTimeout(state.rotateTimer);
+        state.rotateTimer = this.client.timers.setTimeout(() => {
+            state.rotateTimer = null;
+            this.rotate(channel).catch(err => this.client.emit('warn', err));
+        }, this.rotateDelayMs);
+    }
+
+    // New channel key, wrapped for every known member device (this one included)
+    async rotate(channel) {
+        await this.start();
+        const state = this.state(channel);
+        const kid = this.client.generateIdempotencyKey();
+        const createdAt = this.client.now();
+        const key = await this.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+        const raw = await this.subtle.exportKey('raw', key);
+        state.devices.set(this.device.id, this.member(this.device.publicKey, this.device.jwk, this.client.authContext?.profile_id));
+
+        const wraps = {};
+        const roster = {};
+        for (const [deviceId, member] of state.devices) {
+            const wrapKey = await this.wrappingKey(member.publicKey, channel, kid);
+            const iv = BintelxChannelCrypto.randomBytes(12);
+            const ct = await this.subtle.encrypt(
+                { name: 'AES-GCM', iv, additionalData: BintelxChannelCrypto.utf8(`${channel}|${kid}|${deviceId}`) },
+                wrapKey,
+                raw
+            );
+            wraps[deviceId] = { iv: BintelxChannelCrypto.toBase64(iv), ct: BintelxChannelCrypto.toBase64(ct) };
+            roster[deviceId] = { public_key: member.jwk, profile_id: member.profileId };
+        }
+        await this.client.request('/api/ws/publish', {
+            channel,
+            message: { e2e: 'key', kid, from: this.device.id, public_key: this.device.jwk, roster, wraps }
+        });
+        const local = await this.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+        const self = { id: this.device.id, ...this.member(this.device.publicKey, this.device.jwk, this.client.authContext?.profile_id) };
+        await this.storeKey(channel, kid, local, createdAt, Object.keys(wraps), self);
+        this.client.emit('e2e:key', { channel, kid, from: this.device.id, rotated: true, members: Object.keys(wraps).length });
+        return { kid, members: Object.keys(wraps) };
+    }
+
+    // createdAt is when the key got here; from is the sender ({ id, publicKey, jwk, profileId })
+    async storeKey(channel, kid, key, createdAt, holders, from) {
+        this.addKey(channel, kid, key, createdAt, holders, from);
+        const sender = { id: from.id, jwk: from.jwk, profileId: from.profileId };
+        await this.storage.put({ key: `channel:${channel}:${kid}`, channel, kid, cryptoKey: key, createdAt, holders, from: sender, deviceId: this.device.id })
+            .catch(err => this.client.emit('warn', err));
+    }
+
+    // The newest key seals; older ones still open history
+    addKey(channel, kid, key, createdAt, holders = [], from = null) {
+        const state = this.state(channel);
+        state.keys.set(kid, { key, createdAt });
+        if (!state.current || createdAt >= state.current.createdAt) {
+            // holders: devices the key was wrapped for
+            state.current = { kid, key, createdAt, holders: holders || [], from };
+        }
+        state.waiters.forEach(done => done());
+        state.waiters.clear();
+        const held = state.waiting.get(kid);
+        if (held) {
+            state.waiting.delete(kid);
+            held.forEach((payload) => {
+                state.chain = state.chain.then(() => this.open(payload, state));
+            });
+        }
+    }
+
+    // ECDH(this device, peer) → HKDF(salt kid, info channel) → AES-GCM wrapping key
+    async wrappingKey(peerPublicKey, channel, kid) {
+        const bits = await this.subtle.deriveBits({ name: 'ECDH', public: peerPublicKey }, this.device.privateKey, 256);
+        const material = await this.subtle.importKey('raw', bits, 'HKDF', false, ['deriveKey']);
+        return this.subtle.deriveKey(
+            { name: 'HKDF', hash: 'SHA-256', salt: BintelxChannelCrypto.utf8(kid), info: BintelxChannelCrypto.utf8(`bintelx-e2e|${channel}`) },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    importPublicKey(jwk) {
+        return this.subtle.importKey('jwk', jwk, { name: 'ECDH', namedCurve: 'P-256' }, true, []);
+    }
+
+    async importMember(jwk, profileId) {
+        return this.member(await this.importPublicKey(jwk), jwk, profileId);
+    }
+
+    member(publicKey, jwk, profileId = null) {
+        return { publicKey, jwk, profileId: profileId ?? null };
+    }
+
+    // Member devices and key ids per channel (for a "who can read this" view)
+    describe(channel) {
+        const state = this.channels.get(channel);
+        return {
+            channel,
+            deviceId: this.device?.id ?? null,
+            kid: state?.current?.kid ?? null,
+            keys: state ? state.keys.size : 0,
+            devices: state ? [...state.devices].map(([deviceId, member]) => ({ deviceId, profileId: member.profileId })) : []
+        };
+    }
+
+    static utf8(text) {
+        return new TextEncoder().encode(text);
+    }
+
+    static randomBytes(length) {
+        return globalThis.crypto.getRandomValues(new Uint8Array(length));
+    }
+
+    static toBase64(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+}
+
+// Incremental SHA-256 (WebCrypto digest() cannot hash a file slice by slice)
+class BintelxSha256 {
+    constructor() {
+        this.state = new Uint32Array([
+            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+            0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+        ]);
+        this.block = new Uint8Array(64);
+        this.blockLength = 0;
+        this.bytes = 0;
+        this.words = new Uint32Array(64);
+    }
+
+    update(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        this.bytes += bytes.length;
+        let offset = 0;
+        while (offset < bytes.length) {
+            const take = Math.min(64 - this.blockLength, bytes.length - offset);
+            this.block.set(bytes.subarray(offset, offset + take), this.blockLength);
+            this.blockLength += take;
+            offset += take;
+            if (this.blockLength === 64) {
+                this.compress();
+                this.blockLength = 0;
+            }
+        }
+        return this;
+    }
+
+    // Hex digest, like PHP hash('sha256', ...)
+    digest() {
+        const bits = this.bytes * 8;
+        this.block[this.blockLength++] = 0x80;
+        if (this.blockLength > 56) {
+            this.block.fill(0, this.blockLength);
+            this.compress();
+            this.blockLength = 0;
+        }
+        this.block.fill(0, this.blockLength);
+        const view = new DataView(this.block.buffer);
+        view.setUint32(56, Math.floor(bits / 0x100000000));
+        view.setUint32(60, bits >>> 0);
+        this.compress();
+        return Array.from(this.state, word => word.toString(16).padStart(8, '0')).join('');
+    }
+
+    compress() {
+        const K = BintelxSha256.K;
+        const w = this.words;
+        const view = new DataView(this.block.buffer);
+        for (let i = 0; i < 16; i++) w[i] = view.getUint32(i * 4);
+        for (let i = 16; i < 64; i++) {
+            const s0 = BintelxSha256.rotr(w[i - 15], 7) ^ BintelxSha256.rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = BintelxSha256.rotr(w[i - 2], 17) ^ BintelxSha256.rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+        }
+        let [a, b, c, d, e, f, g, h] = this.state;
+        for (let i = 0; i < 64; i++) {
+            const S1 = BintelxSha256.rotr(e, 6) ^ BintelxSha256.rotr(e, 11) ^ BintelxSha256.rotr(e, 25);
+            const t1 = (h + S1 + ((e & f) ^ (~e & g)) + K[i] + w[i]) >>> 0;
+            const S0 = BintelxSha256.rotr(a, 2) ^ BintelxSha256.rotr(a, 13) ^ BintelxSha256.rotr(a, 22);
+            const t2 = (S0 + ((a & b) ^ (a & c) ^ (b & c))) >>> 0;
+            h = g; g = f; f = e; e = (d + t1) >>> 0;
+            d = c; c = b; b = a; a = (t1 + t2) >>> 0;
+        }
+        const s = this.state;
+        s[0] += a; s[1] += b; s[2] += c; s[3] += d;
+        s[4] += e; s[5] += f; s[6] += g; s[7] += h;
+    }
+
+    static rotr(x, n) {
+        return (x >>> n) | (x << (32 - n));
+    }
+}
+
+BintelxSha256.K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * BintelxFiles - Chunked upload/download over /api/files (package/files).
+ *
+ *    const doc = await client.files.upload(file, { onProgress: p => bar(p.loaded / p.total) });
+ *    const blob = await client.files.download(doc.document_id, { onProgress });
+ *
+ * upload() hashes the file (sha256, same as Storage::HASH_ALGO), skips the
+ * transfer when /check finds it, and PUTs missing chunks over HTTP (the chunk
+ * route is http-only). Sessions are remembered per hash in localStorage, so
+ * uploading the same file after a reload resumes through /status. Aborting
+ * options.signal cancels the server session.
+ */
+class BintelxFiles {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.concurrency = options.concurrency || 3;
+        this.retries = options.retries ?? 3;
+        this.retryDelayMs = options.retryDelayMs || 500;
+        this.hashSliceSize = options.hashSliceSize || 4 * 1024 * 1024;
+        this.chunkSize = options.chunkSize || null;
+    }
+
+    async upload(file, opts = {}) {
+        const signal = opts.signal || null;
+        const name = opts.name || file.name || 'unnamed';
+        const mimeType = opts.mimeType || file.type || 'application/octet-stream';
+        const hash = opts.hash || await this.hash(file, opts);
+        this.throwIfAborted(signal);
+
+        const check = await this.call('/api/files/check', { hash, mime_type: mimeType, original_name: name });
+        if (check?.exists && check.document_id) {
+            this.forgetSession(hash);
+            this.report(opts, { phase: 'uploading', name, loaded: file.size, total: file.size });
+            return { success: true, hash, document_id: check.document_id, deduplicated: true };
+        }
+
+        const session = await this.resumeSession(hash, file) || await this.initSession(hash, file, name, mimeType, opts);
+        // Workers stop on the first hard failure; the server session is kept for a later resume
+        const controller = new AbortController();
+        const cancel = () => controller.abort();
+        signal?.addEventListener('abort', cancel);
+        try {
+            await this.uploadChunks(session, file, name, controller.signal, opts);
+            this.throwIfAborted(signal);
+            const result = await this.call(`/api/files/upload/${session.upload_id}/complete`);
+            if (!result?.success) {
+                throw Object.assign(new Error(result?.message || 'Upload completion failed'), { payload: result });
+            }
+            this.forgetSession(hash);
+            return result;
+        } catch (err) {
+            controller.abort();
+            if (signal?.aborted) {
+                await this.abort(session.upload_id).catch(() => null);
+                this.forgetSession(hash);
+                throw this.abortError();
+            }
+            throw err;
+        } finally {
+            signal?.removeEventListener('abort', cancel);
+        }
+    }
+
+    async uploadChunks(session, file, name, signal, opts) {
+        const sizeOf = index => Math.min(session.chunk_size, file.size - index * session.chunk_size);
+        const queue = [...session.missing];
+        let loaded = file.size - queue.reduce((sum, index) => sum + sizeOf(index), 0);
+        this.report(opts, { phase: 'uploading', name, upload_id: session.upload_id, loaded, total: file.size });
+
+        const worker = async () => {
+            while (queue.length && !signal.aborted) {
+                const index = queue.shift();
+                await this.putChunk(session, file, index, signal);
+                loaded += sizeOf(index);
+                this.report(opts, { phase: 'uploading', name, upload_id: session.upload_id, loaded, total: file.size });
+            }
+        };
+        const workers = Array.from({ length: Math.min(opts.concurrency || this.concurrency, queue.length) }, worker);
+        await Promise.all(workers.map(run => run.catch((err) => {
+            queue.length = 0;
+            throw err;
+        })));
+    }
+
+    async putChunk(session, file, index, signal) {
+        const start = index * session.chunk_size;
+        const body = file.slice(start, Math.min(start + session.chunk_size, file.size));
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const response = await this.http(`/api/files/upload/${session.upload_id}/chunk?chunk_index=${index}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/octet-stream' },
+                    body,
+                    signal
+                });
+                const result = (await response.json().catch(() => null))?.data;
+                if (response.ok && result?.success) return result;
+                // 5xx / 429 are worth another try; a rejected chunk is not
+                throw BintelxError.create(response.status, result?.message || `Chunk ${index} failed (${response.status})`, {
+                    route: `/api/files/upload/${session.upload_id}/chunk`,
+                    payload: result
+                });
+            } catch (err) {
+                if (signal.aborted || err.retryable === false || attempt >= this.retries) throw err;
+                await new Promise(resolve => this.client.timers.setTimeout(resolve, this.retryDelayMs * 2 ** attempt));
+            }
+        }
+    }
+
+    async initSession(hash, file, name, mimeType, opts) {
+        const body = { hash, size_bytes: file.size, original_name: name, mime_type: mimeType };
+        const chunkSize = opts.chunkSize || this.chunkSize;
+        if (chunkSize) body.chunk_size = chunkSize;
+        const result = await this.call('/api/files/upload/init', body);
+        if (!result?.success) {
+            throw Object.assign(new Error(result?.message || 'Upload init failed'), { payload: result });
+        }
+        const session = {
+            upload_id: result.upload_id,
+            chunk_size: result.chunk_size,
+            missing: Array.from({ length: result.total_chunks }, (_, i) => i)
+        };
+        this.rememberSession(hash, { upload_id: session.upload_id, chunk_size: session.chunk_size, size: file.size });
+        return session;
+    }
+
+    async resumeSession(hash, file) {
+        const stored = this.readSession(hash);
+        if (!stored || stored.size !== file.size) return null;
+        const status = await this.status(stored.upload_id).catch(() => null);
+        if (!status?.success || status.status !== 'active') {
+            this.forgetSession(hash);
+            return null;
+        }
+        return {
+            upload_id: stored.upload_id,
+            chunk_size: stored.chunk_size,
+            // array_diff keeps keys, so this may arrive as an object
+            missing: Object.values(status.missing_chunks || {}).map(Number)
+        };
+    }
+
+    status(uploadId) {
+        return this.call(`/api/files/upload/${uploadId}/status`, {}, 'GET');
+    }
+
+    abort(uploadId) {
+        return this.call(`/api/files/upload/${uploadId}/abort`);
+    }
+
+    async hash(file, opts = {}) {
+        const sha = new BintelxSha256();
+        const name = opts.name || file.name || 'unnamed';
+        for (let offset = 0; offset < file.size; offset += this.hashSliceSize) {
+            this.throwIfAborted(opts.signal);
+            const slice = file.slice(offset, Math.min(offset + this.hashSliceSize, file.size));
+            sha.update(new Uint8Array(await slice.arrayBuffer()));
+            this.report(opts, { phase: 'hashing', name, loaded: Math.min(offset + this.hashSliceSize, file.size), total: file.size });
+        }
+        return sha.digest();
+    }
+
+    // Streams documents/{id}/download and resolves with a Blob
+    async download(documentId, opts = {}) {
+        const params = new URLSearchParams();
+        if (opts.filename) params.set('filename', opts.filename);
+        if (opts.inline) params.set('inline', '1');
+        const query = params.toString();
+        const response = await this.http(`/api/files/documents/${documentId}/download${query ? `?${query}` : ''}`, { signal: opts.signal });
+        if (!response.ok) {
+            const result = (await response.json().catch(() => null))?.data;
+            throw BintelxError.create(response.status, result?.reason || result?.message || `Download failed (${response.status})`, {
+                route: `/api/files/documents/${documentId}/download`,
+                payload: result
+            });
+        }
+
+        const total = Number(response.headers.get('content-length')) || null;
+        const type = response.headers.get('content-type') || 'application/octet-stream';
+        if (!response.body?.getReader) {
+            const blob = await response.blob();
+            this.report(opts, { phase: 'downloading', document_id: documentId, loaded: blob.size, total: blob.size });
+            return blob;
+        }
+        const reader = response.body.getReader();
+        const parts = [];
+        let loaded = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            parts.push(value);
+            loaded += value.length;
+            this.report(opts, { phase: 'downloading', document_id: documentId, loaded, total });
+        }
+        return new Blob(parts, { type });
+    }
+
+    // JSON routes go through client.request() (socket or HTTP fallback)
+    call(route, body = {}, method = 'POST') {
+        return this.client.request(route, body, { method }).then(response => response?.data?.data ?? response?.data);
+    }
+
+    async http(path, init = {}) {
+        const transport = this.client.httpTransport;
+        if (!transport.fetch) {
+            throw new Error('File transfers require fetch()');
+        }
+        const headers = { ...(init.headers || {}) };
+        const token = this.client.cachedToken || await this.client.resolveToken();
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+        return transport.fetch(`${transport.baseUrl}${path}`, { credentials: transport.credentials, ...init, headers });
+    }
+
+    report(opts, progress) {
+        if (typeof opts.onProgress === 'function') {
+            opts.onProgress(progress);
+        }
+        this.client.emit('file:progress', progress);
+    }
+
+    throwIfAborted(signal) {
+        if (signal?.aborted) throw this.abortError();
+    }
+
+    abortError() {
+        return Object.assign(new Error('Upload cancelled'), { name: 'AbortError', code: 'EABORTED' });
+    }
+
+    readSession(hash) {
+        if (typeof localStorage === 'undefined') return null;
+        try {
+            return JSON.parse(localStorage.getItem(`bnx_upload:${hash}`));
+        } catch {
+            return null;
+        }
+    }
+
+    rememberSession(hash, session) {
+        if (typeof localStorage === 'undefined') return;
+        try {
+            localStorage.setItem(`bnx_upload:${hash}`, JSON.stringify(session));
+        } catch {
+            // quota / private mode: uploads still work, they just do not resume
+        }
+    }
+
+    forgetSession(hash) {
+        if (typeof localStorage !== 'undefined') localStorage.removeItem(`bnx_upload:${hash}`);
+    }
+}
+
+/**
+ * BintelxEdc - Data-entry sessions over /api/edc/v1 (package/edc).
+ *
+ *    const form = await client.edc.openResponse('vitals', { responseId: 42 });
+ *    form.set('weight', 71.5);                                  // autosaved in a debounced batch
+ *    form.set('height', 180, { reason: 'Transcription error' }); // saved fields need a reason
+ *    form.on('conflict', ({ field, mine, theirs }) => ask(field, mine, theirs));
+ *    await form.lock();                                         // set() throws from now on
+ *
+ * Without responseId a response is created (context.metadata goes with it);
+ * macro_context / event_context / sub_context / parent_context_id in context are
+ * sent with every save. Field ids are the schema's field_id; the server keys them
+ * as edc.<form_definition_id>.<field_id>. Batches go out through
+ * request(..., { persist: true }), one per audit reason, so with a persistent queue
+ * edits made offline survive a reload.
+ */
+class BintelxEdc {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.debounceMs = options.debounceMs ?? 1500;
+        // Reason for fields that had no saved value yet (EDC::saveResponseData default)
+        this.reason = options.reason || 'Data entry';
+        this.sourceSystem = options.sourceSystem || null;
+    }
+
+    async openResponse(formName, context = {}) {
+        const session = new BintelxEdcSession(this, formName, context);
+        await session.open();
+        return session;
+    }
+
+    // EDC routes answer 200 with { success: false, message } on failure
+    async call(route, body = {}, options = {}) {
+        const response = await this.client.request(`/api/edc/${route}`, body, { method: 'POST', ...options });
+        const result = response?.data ?? response;
+        if (result?.success === false) {
+            throw new BintelxValidationError(result.message || `${route} failed`, {
+                code: 'EEDC',
+                route: `/api/edc/${route}`,
+                correlationId: response?.correlation_id ?? null,
+                payload: response
+            });
+        }
+        return result;
+    }
+}
+
+/**
+ * BintelxEdcSession - One form response being edited; see client.edc.openResponse().
+ *
+ * Saved fields keep the version the server last reported. Before each batch a
+ * snapshot of its fields is taken: a field whose version moved under us is held
+ * back and reported as 'conflict' until resolve(field, 'mine' | 'theirs'), unless
+ * it holds what a save of ours sent before its reply got lost. Events: 'change', 'saving', 'saved',
+ * 'conflict', 'locked', 'error'.
+ */
+class BintelxEdcSession {
+    constructor(edc, formName, context = {}) {
+        this.edc = edc;
+        this.client = edc.client;
+        this.formName = formName;
+        this.context = context;
+        this.responseId = context.responseId ?? null;
+        this.debounceMs = context.debounceMs ?? edc.debounceMs;
+        this.form = null;
+        this.metadata = null;
+        // field_id → { value, version, profileId, timestamp } as last seen on the server
+        this.saved = new Map();
+        // field_id → value (JSON) sent in a save not acknowledged yet; it may have landed
+        this.unacked = new Map();
+        // field_id → { value, reason } waiting for the next batch
+        this.dirty = new Map();
+        // field_id → { mine, theirs } held back until resolve()
+        this.conflicts = new Map();
+        this.handlers = new Map();
+        this.timer = null;
+        this.saving = Promise.resolve();
+    }
+
+    get status() {
+        return this.metadata?.status ?? null;
+    }
+
+    get locked() {
+        return this.status === 'locked';
+    }
+
+    get fieldIds() {
+        return (this.form?.schema?.sections || []).flatMap(section => (section.fields || []).map(field => field.field_id));
+    }
+
+    async open() {
+        this.form = await this.edc.call(`v1/forms/${encodeURIComponent(this.formName)}`, {}, { method: 'GET' })
+            .then(result => result.data);
+        if (this.responseId === null) {
+            const created = await this.edc.call('v1/responses', { form_name: this.formName, metadata: this.context.metadata || {} });
+            this.responseId = created.form_response_id;
+        }
+        const result = await this.edc.call(`v1/responses/${this.responseId}`, {}, { method: 'GET' });
+        this.metadata = result.metadata;
+        this.applyFields(result.fields);
+        return this;
+    }
+
+    get(field) {
+        if (this.dirty.has(field)) return this.dirty.get(field).value;
+        return this.saved.get(field)?.value ?? null;
+    }
+
+    values() {
+        const values = {};
+        this.saved.forEach((entry, field) => {
+            values[field] = entry.value;
+        });
+        this.dirty.forEach((entry, field) => {
+            values[field] = entry.value;
+        });
+        return values;
+    }
+
+    isDirty(field) {
+        return field === undefined ? this.dirty.size > 0 : this.dirty.has(field);
+    }
+
+    // Changing a value the server already holds needs a reason (ALCOA+ audit trail)
+    set(field, value, options = {}) {
+        this.assertWritable();
+        if (this.form && !this.fieldIds.includes(field)) {
+            throw new BintelxValidationError(`Unknown field ${field} in form ${this.formName}`, { code: 'EFIELD' });
+        }
+        const saved = this.saved.get(field);
+        const pending = this.dirty.get(field);
+        if (saved && BintelxEdcSession.same(saved.value, value) && !this.conflicts.has(field)) {
+            this.dirty.delete(field);
+        } else {
+            const reason = options.reason || pending?.reason || (saved ? null : this.edc.reason);
+            if (!reason) {
+                throw new BintelxValidationError(`Field ${field} is already saved; changing it requires a reason`, { code: 'EREASON' });
+            }
+            this.dirty.set(field, { value, reason });
+        }
+        this.emit('change', { field, value, dirty: this.dirty.has(field) });
+        this.schedule();
+    }
+
+    schedule() {
+        if (this.timer) this.client.timers.clearTimeout(this.timer);
+        this.timer = this.dirty.size
+            ? this.client.timers.setTimeout(() => {
+                this.timer = null;
+                this.save().catch(() => {});
+            }, this.debounceMs)
+            : null;
+    }
+
+    // Sends every dirty field now; resolves once the batch settled
+    save() {
+        if (this.timer) {
+            this.client.timers.clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.saving = this.saving.catch(() => {}).then(() => this.flush());
+        return this.saving;
+    }
+
+    async flush() {
+        const batch = new Map([...this.dirty].filter(([field]) => !this.conflicts.has(field)));
+        if (!batch.size) return { saved: [], conflicts: [...this.conflicts.keys()] };
+        this.assertWritable();
+        batch.forEach((entry, field) => this.dirty.delete(field));
+
+        try {
+            // Offline the write goes straight to the queue; conflicts surface on the next online batch
+            if (this.client.canSend()) await this.detectConflicts(batch);
+        } catch (err) {
+            if (!(err instanceof BintelxTransportError) && err?.code !== 'ETIMEDOUT') {
+                this.restore(batch);
+                throw this.fail(err);
+            }
+        }
+
+        const byReason = new Map();
+        batch.forEach((entry, field) => {
+            if (this.conflicts.has(field)) return;
+            if (!byReason.has(entry.reason)) byReason.set(entry.reason, {});
+            byReason.get(entry.reason)[field] = entry.value;
+        });
+        this.emit('saving', { fields: [...batch.keys()].filter(field => !this.conflicts.has(field)) });
+
+        const saved = [];
+        for (const [reason, fields] of byReason) {
+            Object.entries(fields).forEach(([field, value]) => this.unacked.set(field, JSON.stringify(value)));
+            try {
+                const result = await this.edc.call(`v1/responses/${this.responseId}/data`, {
+                    fields,
+                    reason,
+                    contextPayload: this.contextPayload(),
+                    source_system: this.context.sourceSystem || this.edc.sourceSystem || undefined,
+                    device_id: this.context.deviceId || undefined
+                }, { persist: true });
+                this.markSaved(fields, result?.versions);
+                if (result?.status) this.metadata = { ...this.metadata, status: result.status };
+                saved.push(...Object.keys(fields));
+                this.emit('saved', { fields: Object.keys(fields), reason, result });
+            } catch (err) {
+                // Refused by EDC: nothing was written
+                if (err?.code === 'EEDC') Object.keys(fields).forEach(field => this.unacked.delete(field));
+                this.restore(new Map(Object.keys(fields).map(field => [field, batch.get(field)])));
+                throw this.fail(err);
+            }
+        }
+        return { saved, conflicts: [...this.conflicts.keys()] };
+    }
+
+    async detectConflicts(batch) {
+        const snapshot = await this.snapshot([...batch.keys()]);
+        Object.entries(snapshot.fields).forEach(([field, theirs]) => {
+            const base = this.saved.get(field);
+            if (!batch.has(field) || (base && base.version === theirs.version)) return;
+            if (this.landed(field, theirs)) {
+                // Our own earlier write (e.g. replayed from the offline queue)
+                this.saved.set(field, theirs);
+                this.unacked.delete(field);
+                return;
+            }
+            const mine = batch.get(field).value;
+            // Overwriting someone else's value always needs a reason of its own
+            this.conflicts.set(field, { mine, theirs, reason: base ? batch.get(field).reason : null });
+            this.dirty.set(field, batch.get(field));
+            this.emit('conflict', { field, mine, theirs, base: base || null });
+        });
+    }
+
+    // 'theirs' keeps the server value; 'mine' writes ours over it (with a reason)
+    resolve(field, choice, options = {}) {
+        const conflict = this.conflicts.get(field);
+        if (!conflict) return;
+        const reason = options.reason || conflict.reason;
+        if (choice === 'mine' && !reason) {
+            throw new BintelxValidationError(`Overwriting field ${field} requires a reason`, { code: 'EREASON' });
+        }
+        this.conflicts.delete(field);
+        this.saved.set(field, conflict.theirs);
+        this.dirty.delete(field);
+        if (choice === 'mine') {
+            this.set(field, conflict.mine, { reason });
+        } else {
+            this.emit('change', { field, value: conflict.theirs.value, dirty: false });
+        }
+    }
+
+    // Current server values of fieldIds (all fields when omitted)
+    async snapshot(fieldIds = null) {
+        const result = await this.edc.call(`v1/responses/${this.responseId}/snapshot`,
+            fieldIds ? { field_ids: fieldIds } : {});
+        if (result.metadata) this.metadata = result.metadata;
+        return {
+            takenAt: Date.now(),
+            status: this.status,
+            fields: this.parseFields(result.fields)
+        };
+    }
+
+    async audit(field, options = {}) {
+        const result = await this.edc.call(`v1/responses/${this.responseId}/audit/${encodeURIComponent(field)}`, {
+            macro_context: options.macroContext ?? this.context.macro_context ?? null,
+            event_context: options.eventContext ?? this.context.event_context ?? null
+        });
+        return result.audit_trail || [];
+    }
+
+    // Saves what is pending, then locks; later set()/save() calls throw ELOCKED
+    async lock() {
+        await this.save();
+        if (this.dirty.size) {
+            throw new BintelxValidationError(`${this.dirty.size} field(s) still unsaved; resolve conflicts before locking`, { code: 'ECONFLICT' });
+        }
+        const result = await this.edc.call(`v1/responses/${this.responseId}/lock`, {}, { method: 'PUT' });
+        this.metadata = { ...this.metadata, status: 'locked' };
+        this.emit('locked', { responseId: this.responseId, result });
+        return result;
+    }
+
+    // Flushes pending edits and stops autosaving
+    async close() {
+        if (!this.locked) await this.save();
+        if (this.timer) this.client.timers.clearTimeout(this.timer);
+        this.timer = null;
+        this.handlers.clear();
+    }
+
+    on(event, handler) {
+        if (!this.handlers.has(event)) this.handlers.set(event, new Set());
+        this.handlers.get(event).add(handler);
+        return () => this.handlers.get(event)?.delete(handler);
+    }
+
+    emit(event, payload) {
+        this.handlers.get(event)?.forEach((handler) => {
+            try {
+                handler(payload);
+            } catch (err) {
+                this.client.emit('error', err);
+            }
+        });
+    }
+
+    assertWritable() {
+        if (this.locked) {
+            throw new BintelxValidationError(`Response ${this.responseId} is locked`, { code: 'ELOCKED' });
+        }
+    }
+
+    applyFields(fields) {
+        Object.entries(this.parseFields(fields)).forEach(([field, entry]) => this.saved.set(field, entry));
+    }
+
+    // edc.<form_definition_id>.<field_id> → field_id
+    parseFields(fields = {}) {
+        const prefix = `edc.${this.metadata?.form_definition_id ?? this.form?.form_definition_id}.`;
+        const parsed = {};
+        Object.entries(fields || {}).forEach(([name, data]) => {
+            const field = name.startsWith(prefix) ? name.slice(prefix.length) : name;
+            parsed[field] = {
+                value: data.value,
+                version: data.version ?? null,
+                profileId: data.last_updated_by_profile_id ?? null,
+                timestamp: data.timestamp ?? null
+            };
+        });
+        return parsed;
+    }
+
+    // versions: field_id → version from the saveResponseData reply. Without one the
+    // write stays unacknowledged and the next snapshot settles it.
+    markSaved(fields, versions = {}) {
+        Object.entries(fields).forEach(([field, value]) => {
+            const version = versions?.[field] ?? null;
+            this.saved.set(field, {
+                value,
+                version,
+                profileId: this.client.authContext?.profile_id ?? null,
+                timestamp: this.client.now()
+            });
+            if (version !== null) this.unacked.delete(field);
+        });
+    }
+
+    // A snapshot value is ours if it is what an unacknowledged save sent, written by this profile
+    landed(field, theirs) {
+        const sent = this.unacked.get(field);
+        if (sent === undefined || sent !== JSON.stringify(theirs.value)) return false;
+        const profileId = this.client.authContext?.profile_id ?? null;
+        return theirs.profileId === null || profileId === null || Number(theirs.profileId) === Number(profileId);
+    }
+
+    // Puts a failed batch back unless the field was edited again meanwhile
+    restore(batch) {
+        batch.forEach((entry, field) => {
+            if (!this.dirty.has(field)) this.dirty.set(field, entry);
+        });
+    }
+
+    fail(err) {
+        // saveResponseData refuses a response locked elsewhere with a generic message
+        if (err?.code === 'EEDC') this.snapshot([]).catch(() => null);
+        this.emit('error', err);
+        return err;
+    }
+
+    contextPayload() {
+        const payload = {};
+        ['macro_context', 'event_context', 'sub_context', 'parent_context_id'].forEach((key) => {
+            if (this.context[key] !== undefined) payload[key] = this.context[key];
+        });
+        return payload;
+    }
+
+    static same(a, b) {
+        return a === b || JSON.stringify(a) === JSON.stringify(b);
+    }
+}
+
+/**
+ * BintelxSubscription - One consumer of a channel (or a `room:*` pattern).
+ *
+ * Returned by client.subscribe(). Several consumers may share a channel; the
+ * server subscription is released when the last one calls unsubscribe().
+ * Patterns only filter locally: they see messages of channels this connection
+ * is subscribed to, they do not subscribe anything on the server.
+ *
+ *    const sub = client.subscribe('chat.general');
+ *    const off = sub.onMessage(msg => render(msg));
+ *    for await (const msg of client.subscribe('room:*')) { ... } // the last loop to break unsubscribes
+ *    sub.unsubscribe();
+ *
+ * `ready` resolves once the server confirms the channel and rejects when it is
+ * refused; `state` mirrors client.subscriptionState(channel). A refused channel
+ * is asked for again on the next ready, after a re-auth, or on a new subscribe().
+ * Each for-await loop buffers on its own, so parallel loops do not split messages.
+ */
+class BintelxSubscription {
+    constructor(client, channel, options = {}) {
+        this.client = client;
+        this.channel = channel;
+        this.isPattern = channel.includes('*');
+        this.matcher = this.isPattern
+            ? new RegExp('^' + channel.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$')
+            : null;
+        this.bufferSize = options.bufferSize || 1000;
+        this.handlers = new Set();
+        // One { push, end } per for-await loop, each with its own buffer
+        this.iterators = new Set();
+        this.closed = false;
+        this.ready = Promise.resolve(null);
+    }
+
+    get state() {
+        return this.isPattern ? 'active' : this.client.subscriptionState(this.channel);
+    }
+
+    onStateChange(handler) {
+        return this.client.on('subscription:state', (event) => {
+            if (!this.closed && this.matches(event.channel)) handler(event);
+        });
+    }
+
+    matches(channel) {
+        return this.isPattern ? this.matcher.test(channel) : channel === this.channel;
+    }
+
+    onMessage(handler) {
+        this.handlers.add(handler);
+        return () => this.handlers.delete(handler);
+    }
+
+    unsubscribe() {
+        if (this.closed) return Promise.resolve(null);
+        this.close();
+        return this.client.releaseSubscription(this);
+    }
+
+    // Local teardown only: stops handlers and ends pending iterators.
+    close() {
+        this.closed = true;
+        this.handlers.clear();
+        this.iterators.forEach(iterator => iterator.end());
+        this.iterators.clear();
+    }
+
+    deliver(message) {
+        if (this.closed) return;
+        this.handlers.forEach((handler) => {
+            try {
+                handler(message);
+            } catch (err) {
+                console.error('[BintelxClient] subscription handler error', err);
+            }
+        });
+        this.iterators.forEach(iterator => iterator.push(message));
+    }
+
+    // Every loop sees every message; the last one to break unsubscribes.
+    [Symbol.asyncIterator]() {
+        const buffer = [];
+        const waiters = [];
+        const iterator = {
+            push: (message) => {
+                if (waiters.length) {
+                    waiters.shift().resolve({ value: message, done: false });
+                    return;
+                }
+                buffer.push(message);
+                if (buffer.length > this.bufferSize) buffer.shift();
+            },
+            end: () => {
+                waiters.splice(0).forEach(w => w.resolve({ value: undefined, done: true }));
+                buffer.length = 0;
+            }
+        };
+        this.iterators.add(iterator);
+        return {
+            next: () => {
+                if (buffer.length) return Promise.resolve({ value: buffer.shift(), done: false });
+                if (this.closed || !this.iterators.has(iterator)) return Promise.resolve({ value: undefined, done: true });
+                return new Promise((resolve) => waiters.push({ resolve }));
+            },
+            return: () => {
+                this.iterators.delete(iterator);
+                iterator.end();
+                const released = this.iterators.size ? Promise.resolve(null) : this.unsubscribe().catch(() => null);
+                return released.then(() => ({ value: undefined, done: true }));
+            },
+            [Symbol.asyncIterator]() { return this; }
+        };
+    }
+}
+
+/**
+ * BintelxSconDecoder - Port of bX\Scon\Decoder (kernel/Scon) for api_response
+ * bodies sent with `_fmt: 'scon'` or `_fmt: 'toon'`.
+ *
+ * SCON bodies are TOON-compatible; with { toon: true } only the body grammar is
+ * parsed (no #comments, @@directives, s:/r:/sec: definitions or minified `;`).
+ * A `[?]` array length (streamed EDC horizontal queries) reads rows until dedent.
+ */
+class BintelxSconDecoder {
+    constructor(options = {}) {
+        this.indent = options.indent ?? 2;
+        this.toon = !!options.toon;
+        this.definitions = { s: {}, r: {}, sec: {} };
+        this.directives = {};
+    }
+
+    static decode(text, options = {}) {
+        return new BintelxSconDecoder(options).decode(text);
+    }
+
+    decode(text) {
+        if (!this.toon && !text.includes('\n') && text.includes(';')) {
+            text = this.expandMinified(text);
+        }
+
+        const parsed = [];
+        text.split('\n').forEach((line, lineNum) => {
+            const trimmed = line.trim();
+            if (trimmed === '') return;
+
+            if (!this.toon) {
+                if (trimmed[0] === '#') return;
+                if (trimmed.startsWith('@@')) {
+                    this.parseDirective(trimmed);
+                    return;
+                }
+                const def = trimmed.match(/^(s|r|sec):(\S+)\s+/);
+                if (def) {
+                    const rest = trimmed.slice(def[0].length);
+                    const value = def[1] === 'r' ? this.parseResponseGroup(rest) : this.parseInlineValue(rest);
+                    this.definitions[def[1]][def[2]] = this.isObject(value) ? value : {};
+                    return;
+                }
+                if (trimmed.startsWith('@use ')) {
+                    (this.directives.imports = this.directives.imports || []).push(trimmed);
+                    return;
+                }
+            }
+
+            parsed.push({ depth: this.calculateDepth(line), content: line.trimStart(), lineNum });
+        });
+
+        if (!parsed.length) return {};
+        const first = parsed[0];
+
+        if (this.isArrayHeader(first.content) && this.parseArrayHeader(first.content).key === null) {
+            return this.decodeArrayFromHeader(0, parsed);
+        }
+        if (parsed.length === 1 && first.content === '{}') return {};
+        if (parsed.length === 1 && !this.isKeyValueLine(first.content)) {
+            return this.parsePrimitive(first.content);
+        }
+        return this.decodeObject(0, parsed, 0);
+    }
+
+    /* --- Definitions + references (SCON only) --- */
+
+    parseDirective(line) {
+        const directive = line.slice(2);
+        if (directive.startsWith('enforce(') && directive.endsWith(')')) {
+            this.directives.enforce = directive.slice(8, -1);
+        } else {
+            this.directives.mode = directive;
+        }
+    }
+
+    // {200:"desc" @s:ok, 400:"desc" @s:err}
+    parseResponseGroup(input) {
+        input = input.trim();
+        if (input[0] !== '{') return {};
+        const result = {};
+        this.splitTopLevel(this.extractBraceContent(input), ',').forEach((part) => {
+            const m = part.trim().match(/^(\d+):("(?:[^"\\]|\\.)*")\s*(?:@s:(\S+))?\s*(.*)$/);
+            if (!m) return;
+            const entry = { description: this.parseStringLiteral(m[2]) };
+            if (m[3]) entry.schemaRef = m[3];
+            const overrides = (m[4] || '').trim();
+            if (overrides[0] === '{') entry.overrides = this.parseInlineValue(overrides);
+            result[m[1]] = entry;
+        });
+        return result;
+    }
+
+    parseInlineValue(input) {
+        input = input.trim();
+        if (input === '') return '';
+        if (input[0] === '{') {
+            return this.parseInlineObject(this.extractBraceContent(input));
+        }
+        if (input[0] === '[') {
+            const close = this.findMatchingBracket(input, 0);
+            if (close !== -1) {
+                return this.splitTopLevel(input.slice(1, close), ',').map(item => this.parseInlineValue(item.trim()));
+            }
+        }
+        if (/^@(s|r|sec):/.test(input)) {
+            return this.resolveReference(input);
+        }
+        return this.parsePrimitive(input);
+    }
+
+    parseInlineObject(inner) {
+        const result = {};
+        this.splitTopLevel(inner, ',').forEach((part) => {
+            part = part.trim();
+            if (part === '') return;
+            const colon = this.findKeyColon(part);
+            if (colon === -1) return;
+            const key = this.parseStringLiteral(part.slice(0, colon).trim());
+            const value = this.parseInlineValue(part.slice(colon + 1).trim());
+            if (key.includes('.')) {
+                this.setDotPath(result, key, value);
+            } else {
+                result[key] = value;
+            }
+        });
+        return result;
+    }
+
+    // @type:name, @type:name {overrides} or @s:a | @s:b (oneOf)
+    resolveReference(ref) {
+        if (ref.includes(' | ')) {
+            const oneOf = [];
+            ref.split(' | ').forEach((r) => {
+                const m = r.trim().match(/^@(s|r|sec):(\S+)/);
+                if (m) oneOf.push(this.resolveDefinition(m[1], m[2]));
+            });
+            return { oneOf };
+        }
+        const m = ref.match(/^@(s|r|sec):(\S+)\s*(.*)$/);
+        if (!m) return ref;
+        const base = this.resolveDefinition(m[1], m[2]);
+        const rest = m[3].trim();
+        if (rest[0] !== '{') return base;
+
+        // Overrides: `-field` removals first, then deep merge with dot-notation
+        const overrides = this.parseInlineValue(rest);
+        const entries = Object.entries(this.isObject(overrides) ? overrides : {});
+        entries.filter(([key]) => key.startsWith('-')).forEach(([key]) => this.unsetDotPath(base, key.slice(1)));
+        entries.filter(([key]) => !key.startsWith('-')).forEach(([key, val]) => {
+            if (key.includes('.')) {
+                this.setDotPath(base, key, val);
+            } else if (this.isObject(val) && this.isObject(base[key])) {
+                base[key] = this.deepMerge(base[key], val);
+            } else {
+                base[key] = val;
+            }
+        });
+        return base;
+    }
+
+    resolveDefinition(type, name) {
+        const store = this.definitions[type];
+        if (!store || !(name in store)) {
+            throw new Error(`SCON: Undefined reference: @${type}:${name}`);
+        }
+        return JSON.parse(JSON.stringify(store[name]));
+    }
+
+    // Minifier::expand — `;` newline, N semicolons dedent N-1 levels
+    expandMinified(minified) {
+        const lines = [];
+        let depth = 0;
+        let buffer = '';
+        let inQuotes = false;
+
+        const emit = () => {
+            const trimmed = buffer.trim();
+            if (trimmed !== '') {
+                lines.push(' '.repeat(this.indent * depth) + trimmed);
+                if (/:$/.test(trimmed) && !/:\s*\S/.test(trimmed)) depth++;
+                if (trimmed.startsWith('- ')) depth++;
+            }
+            buffer = '';
+        };
+
+        for (let i = 0; i < minified.length; i++) {
+            const char = minified[i];
+            if (char === '\\' && inQuotes && i + 1 < minified.length) {
+                buffer += char + minified[++i];
+                continue;
+            }
+            if (char === '"') {
+                inQuotes = !inQuotes;
+                buffer += char;
+                continue;
+            }
+            if (char === ';' && !inQuotes) {
+                let semis = 1;
+                while (minified[i + 1] === ';') { semis++; i++; }
+                emit();
+                if (semis >= 2) depth = Math.max(0, depth - (semis - 1));
+                continue;
+            }
+            buffer += char;
+        }
+        emit();
+        return lines.join('\n');
+    }
+
+    /* --- TOON-compatible body parsing --- */
+
+    calculateDepth(line) {
+        let spaces = 0;
+        while (line[spaces] === ' ') spaces++;
+        if (line[spaces] === '\t') throw new Error('SCON: Tabs not allowed for indentation');
+        if (this.indent > 0 && spaces % this.indent !== 0) {
+            throw new Error(`SCON: Invalid indentation: ${spaces} spaces`);
+        }
+        return this.indent > 0 ? spaces / this.indent : 0;
+    }
+
+    skipDeeper(lines, i, depth) {
+        while (i < lines.length && lines[i].depth > depth) i++;
+        return i;
+    }
+
+    decodeObject(baseDepth, lines, start) {
+        const result = {};
+        let i = start;
+        while (i < lines.length) {
+            const line = lines[i];
+            if (line.depth < baseDepth) break;
+            if (line.depth > baseDepth) { i++; continue; }
+
+            if (this.isArrayHeader(line.content)) {
+                const header = this.parseArrayHeader(line.content);
+                if (header.key !== null) {
+                    result[header.key] = this.decodeArrayFromHeader(i, lines);
+                    i = this.skipDeeper(lines, i + 1, baseDepth);
+                    continue;
+                }
+            }
+            if (this.isKeyValueLine(line.content)) {
+                const [key, value, next] = this.decodeKeyValue(line, lines, i, baseDepth);
+                result[key] = value;
+                i = next;
+                continue;
+            }
+            i++;
+        }
+        return result;
+    }
+
+    decodeKeyValue(line, lines, index, baseDepth) {
+        const { key, end } = this.parseKey(line.content);
+        const rest = line.content.slice(end).trim();
+
+        if (rest !== '' && !this.toon && rest[0] === '@') {
+            return [key, this.resolveReference(rest), index + 1];
+        }
+        if (rest !== '') {
+            return [key, this.parsePrimitive(rest), index + 1];
+        }
+        if (index + 1 < lines.length && lines[index + 1].depth > baseDepth) {
+            const value = this.decodeObject(baseDepth + 1, lines, index + 1);
+            return [key, value, this.skipDeeper(lines, index + 1, baseDepth)];
+        }
+        return [key, {}, index + 1];
+    }
+
+    decodeArrayFromHeader(index, lines) {
+        const header = this.parseArrayHeader(lines[index].content);
+        const baseDepth = lines[index].depth;
+
+        if (header.length === 0) return [];
+        if (header.inlineValues !== null && header.fields === null) {
+            return this.parseDelimitedValues(header.inlineValues, header.delimiter);
+        }
+        if (header.fields !== null) {
+            return this.decodeTabularArray(index, lines, baseDepth, header.length, header.fields, header.delimiter);
+        }
+        return this.decodeExpandedArray(index, lines, baseDepth, header.length);
+    }
+
+    decodeTabularArray(headerIndex, lines, baseDepth, expected, fields, delimiter) {
+        const result = [];
+        for (let i = headerIndex + 1; i < lines.length && result.length < expected; i++) {
+            if (lines[i].depth !== baseDepth + 1) break;
+            const values = this.parseDelimitedValues(lines[i].content, delimiter);
+            const row = {};
+            fields.forEach((field, j) => { row[field] = j < values.length ? values[j] : null; });
+            result.push(row);
+        }
+        return result;
+    }
+
+    decodeExpandedArray(headerIndex, lines, baseDepth, expected) {
+        const result = [];
+        let i = headerIndex + 1;
+        while (i < lines.length && result.length < expected) {
+            const line = lines[i];
+            if (line.depth !== baseDepth + 1) break;
+
+            if (line.content.startsWith('- ')) {
+                const item = line.content.slice(2);
+                if (item.trim() === '') {
+                    result.push({});
+                    i++;
+                    continue;
+                }
+                if (!this.toon && /^@(s|r|sec):/.test(item)) {
+                    result.push(this.resolveReference(item));
+                    i++;
+                    continue;
+                }
+                if (this.isKeyValueLine(item) && !this.isArrayHeader(item)) {
+                    result.push(this.decodeListItemObject(line, lines, i, baseDepth));
+                    i = this.skipDeeper(lines, i + 1, baseDepth + 1);
+                    continue;
+                }
+                if (this.isArrayHeader(item)) {
+                    const header = this.parseArrayHeader(item);
+                    if (header.key !== null) {
+                        result.push(this.decodeListItemObject(line, lines, i, baseDepth));
+                        i = this.skipDeeper(lines, i + 1, baseDepth + 1);
+                        continue;
+                    }
+                    if (header.inlineValues !== null) {
+                        result.push(this.parseDelimitedValues(header.inlineValues, header.delimiter));
+                    } else if (header.length === 0) {
+                        result.push([]);
+                    }
+                } else {
+                    result.push(this.parsePrimitive(item));
+                }
+            }
+            i++;
+        }
+        return result;
+    }
+
+    // `- key: value` then continuation fields two levels below the array header
+    decodeListItemObject(line, lines, index, baseDepth) {
+        const item = line.content.slice(2);
+        const contDepth = baseDepth + 2;
+        const result = {};
+
+        if (this.isArrayHeader(item)) {
+            const header = this.parseArrayHeader(item);
+            result[header.key] = header.inlineValues !== null
+                ? this.parseDelimitedValues(header.inlineValues, header.delimiter)
+                : [];
+        } else {
+            const { key, end } = this.parseKey(item);
+            const rest = item.slice(end).trim();
+            if (rest !== '' && !this.toon && rest[0] === '@') {
+                result[key] = this.resolveReference(rest);
+            } else if (rest !== '') {
+                result[key] = this.parsePrimitive(rest);
+            } else if (index + 1 < lines.length && lines[index + 1].depth > contDepth) {
+                result[key] = this.decodeObject(lines[index + 1].depth, lines, index + 1);
+            } else {
+                result[key] = {};
+            }
+        }
+
+        let i = index + 1;
+        while (i < lines.length) {
+            const next = lines[i];
+            if (next.depth < contDepth) break;
+            if (next.depth === contDepth) {
+                if (next.content.startsWith('- ')) break;
+                if (this.isArrayHeader(next.content)) {
+                    const header = this.parseArrayHeader(next.content);
+                    if (header.key !== null) {
+                        result[header.key] = this.decodeArrayFromHeader(i, lines);
+                        i = this.skipDeeper(lines, i + 1, contDepth);
+                        continue;
+                    }
+                }
+                if (this.isKeyValueLine(next.content)) {
+                    const [k, v, nextIndex] = this.decodeKeyValue(next, lines, i, contDepth);
+                    result[k] = v;
+                    i = nextIndex;
+                    continue;
+                }
+            }
+            i++;
+        }
+        return result;
+    }
+
+    /* --- Parsing helpers --- */
+
+    parseArrayHeader(content) {
+        const bracketStart = content.indexOf('[');
+        const key = bracketStart > 0 ? this.parseStringLiteral(content.slice(0, bracketStart).trim()) : null;
+        const bracketEnd = content.indexOf(']', bracketStart);
+        if (bracketEnd === -1) throw new Error('SCON: Invalid array header: missing ]');
+
+        let bracket = content.slice(bracketStart + 1, bracketEnd);
+        let delimiter = ',';
+        if (bracket.endsWith('\t') || bracket.endsWith('|')) {
+            delimiter = bracket.slice(-1);
+            bracket = bracket.slice(0, -1);
+        }
+        const length = bracket.trim() === '?' ? Infinity : (parseInt(bracket, 10) || 0);
+
+        let fields = null;
+        let colon = content.indexOf(':', bracketEnd);
+        const braceStart = content.indexOf('{', bracketEnd);
+        if (braceStart !== -1 && (colon === -1 || braceStart < colon)) {
+            const braceEnd = content.indexOf('}', braceStart);
+            if (braceEnd !== -1) {
+                fields = this.parseDelimitedValues(content.slice(braceStart + 1, braceEnd), delimiter).map(String);
+                colon = content.indexOf(':', braceEnd);
+            }
+        }
+
+        let inlineValues = null;
+        if (colon !== -1) {
+            const after = content.slice(colon + 1).trim();
+            if (after !== '') inlineValues = after;
+        }
+        return { key, length, delimiter, fields, inlineValues };
+    }
+
+    parseDelimitedValues(input, delimiter) {
+        const values = [];
+        let buffer = '';
+        let inQuotes = false;
+        let braceDepth = 0;
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (char === '\\' && inQuotes && i + 1 < input.length) {
+                buffer += char + input[++i];
+                continue;
+            }
+            if (char === '"') {
+                inQuotes = !inQuotes;
+                buffer += char;
+                continue;
+            }
+            if (!inQuotes) {
+                if (char === '{') braceDepth++;
+                if (char === '}') braceDepth--;
+            }
+            if (char === delimiter && !inQuotes && braceDepth === 0) {
+                values.push(this.parsePrimitive(buffer.trim()));
+                buffer = '';
+                continue;
+            }
+            buffer += char;
+        }
+        if (buffer !== '' || values.length) {
+            values.push(this.parsePrimitive(buffer.trim()));
+        }
+        return values;
+    }
+
+    parsePrimitive(token) {
+        const trimmed = token.trim();
+        if (trimmed === '') return '';
+        if (trimmed === '[]') return [];
+        if (trimmed[0] === '"') return this.parseStringLiteral(trimmed);
+        if (trimmed === 'true') return true;
+        if (trimmed === 'false') return false;
+        if (trimmed === 'null') return null;
+        if (/^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(trimmed)) {
+            const num = Number(trimmed);
+            return Object.is(num, -0) ? 0 : num;
+        }
+        return trimmed;
+    }
+
+    parseStringLiteral(token) {
+        const trimmed = token.trim();
+        if (trimmed === '' || trimmed[0] !== '"') return trimmed;
+        const closing = this.findClosingQuote(trimmed, 0);
+        if (closing === -1) throw new Error('SCON: Unterminated string');
+        return this.unescapeString(trimmed.slice(1, closing));
+    }
+
+    findClosingQuote(str, start) {
+        for (let i = start + 1; i < str.length; i++) {
+            if (str[i] === '\\' && i + 1 < str.length) { i++; continue; }
+            if (str[i] === '"') return i;
+        }
+        return -1;
+    }
+
+    unescapeString(str) {
+        return str.replace(/\\(["\\nrt;])/g, (m, c) => ({ n: '\n', r: '\r', t: '\t' }[c] || c));
+    }
+
+    parseKey(content) {
+        if (content[0] === '"') {
+            const closing = this.findClosingQuote(content, 0);
+            if (closing === -1) throw new Error('SCON: Unterminated quoted key');
+            if (content[closing + 1] !== ':') throw new Error('SCON: Missing colon after key');
+            return { key: this.unescapeString(content.slice(1, closing)), end: closing + 2 };
+        }
+        const colon = content.indexOf(':');
+        if (colon === -1) throw new Error('SCON: Missing colon after key');
+        return { key: content.slice(0, colon).trim(), end: colon + 1 };
+    }
+
+    findKeyColon(str) {
+        let inQuotes = false;
+        let braceDepth = 0;
+        for (let i = 0; i < str.length; i++) {
+            const char = str[i];
+            if (char === '\\' && inQuotes) { i++; continue; }
+            if (char === '"') { inQuotes = !inQuotes; continue; }
+            if (inQuotes) continue;
+            if (char === '{') braceDepth++;
+            if (char === '}') braceDepth--;
+            if (char === ':' && braceDepth === 0) return i;
+        }
+        return -1;
+    }
+
+    // Split at top-level delimiter (respecting quotes, braces and brackets)
+    splitTopLevel(input, delimiter) {
+        const parts = [];
+        let buffer = '';
+        let inQuotes = false;
+        let depth = 0;
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (char === '\\' && inQuotes && i + 1 < input.length) {
+                buffer += char + input[++i];
+                continue;
+            }
+            if (char === '"') inQuotes = !inQuotes;
+            if (!inQuotes) {
+                if (char === '{' || char === '[') depth++;
+                if (char === '}' || char === ']') depth--;
+            }
+            if (char === delimiter && !inQuotes && depth === 0) {
+                parts.push(buffer);
+                buffer = '';
+                continue;
+            }
+            buffer += char;
+        }
+        if (buffer !== '') parts.push(buffer);
+        return parts;
+    }
+
+    findMatchingBracket(str, start) {
+        let depth = 0;
+        let inQuotes = false;
+        for (let i = start; i < str.length; i++) {
+            const char = str[i];
+            if (char === '\\' && inQuotes) { i++; continue; }
+            if (char === '"') { inQuotes = !inQuotes; continue; }
+            if (inQuotes) continue;
+            if (char === '[') depth++;
+            if (char === ']' && --depth === 0) return i;
+        }
+        return -1;
+    }
+
+    extractBraceContent(input) {
+        let depth = 0;
+        let start = -1;
+        let inQuotes = false;
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (char === '\\' && inQuotes) { i++; continue; }
+            if (char === '"') { inQuotes = !inQuotes; continue; }
+            if (inQuotes) continue;
+            if (char === '{' && depth++ === 0) start = i;
+            if (char === '}' && --depth === 0) return input.slice(start + 1, i);
+        }
+        return '';
+    }
+
+    // [N]: requires the bracket before the colon (tags[3]: but not key: [])
+    isArrayHeader(content) {
+        const bracket = content.indexOf('[');
+        const colon = content.indexOf(':');
+        return bracket !== -1 && colon !== -1 && bracket < colon;
+    }
+
+    isKeyValueLine(content) {
+        return content.includes(':');
+    }
+
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    setDotPath(target, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        let ref = target;
+        keys.forEach((key) => {
+            if (!this.isObject(ref[key])) ref[key] = {};
+            ref = ref[key];
+        });
+        ref[last] = value;
+    }
+
+    unsetDotPath(target, path) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        let ref = target;
+        for (const key of keys) {
+            if (!this.isObject(ref[key])) return;
+            ref = ref[key];
+        }
+        delete ref[last];
+    }
+
+    // Objects merge recursively, arrays replace
+    deepMerge(base, override) {
+        Object.entries(override).forEach(([key, val]) => {
+            base[key] = this.isObject(val) && this.isObject(base[key]) ? this.deepMerge(base[key], val) : val;
+        });
+        return base;
+    }
+}
+
+/**
+ * BintelxClient - Reference WebSocket client for ChannelServer.
+ *
+ * Connects, authenticates in-band over the socket and keeps the session alive across
+ * reconnects: request() waits for the server's answer, subscribe() restores channels
+ * after reconnect/auth, and system channels carry logout and permission updates.
+ * Everything is reported through events (client.on('event', cb)); options are
+ * described where the constructor reads them.
+ *
+ * Usage:
+ *    const client = new BintelxClient({
+ *        url: 'wss://dev.local/ws/',
+ *        handshakeRoute: '/api/_demo/validate'
+ *    });
+ *
+ *    client.on('ready', async () => {
+ *        await client.request('/api/_demo/login', {
+ *            username: 'demo',
+ *            password: 'test123'
+ *        }, { method: 'POST' });
+ *
+ *        client.subscribe('chat.general');
+ *        client.ping(); // Manual ping outside heartbeat if needed.
+ *    });
+ *
+ *    client.on('system:logout', payload => {});
+ *    client.on('session:ended', ({ reason }) => location.assign('/login'));
+ *    client.on('permissions:changed', () => {
+ *        if (!client.can('/api/orders/list', 'GET')) client.unsubscribe('orders');
+ *    });
+ *
+ * Node.js:
+ *    import BintelxClient from './bintelx.client.mjs';
+ *    import WebSocket from 'ws';
+ *    const client = new BintelxClient({
+ *        url: 'wss://dev.local/ws/',
+ *        WebSocket,
+ *        token: process.env.BNX_TOKEN,
+ *        fingerprint: false
+ *    });
+ */
+class BintelxClient {
+    constructor(options = {}) {
+        // One or more channel servers (url: string | string[]); this.url is the current one
+        const urls = [].concat(options.url || []).filter(Boolean);
+        if (!urls.length) {
+            throw new Error('BintelxClient requires a WebSocket URL.');
+        }
+        // { url, failures, downUntil }: an endpoint that failed to connect sits out endpointCooldownMs
+        this.endpoints = urls.map(url => ({ url, failures: 0, downUntil: 0 }));
+        this.endpointIndex = 0;
+        this.url = urls[0];
+        this.endpointCooldownMs = options.endpointCooldownMs ?? 30000;
+
+        // Injectable for Node.js (e.g. the `ws` package) and tests
+        this.WebSocket = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        if (!this.WebSocket && options.httpFallback !== true) {
+            // Node.js before 22 has no global WebSocket: fail here rather than quietly poll over HTTP
+            throw new Error('BintelxClient requires a WebSocket implementation: pass options.WebSocket '
+                + '(e.g. the `ws` package on Node.js) or httpFallback: true.');
+        }
+        // { setTimeout, clearTimeout, setInterval, clearInterval }; swap for fake timers in tests
+        this.timers = options.timers || {
+            setTimeout: (fn, ms) => setTimeout(fn, ms),
+            clearTimeout: (id) => clearTimeout(id),
+            setInterval: (fn, ms) => setInterval(fn, ms),
+            clearInterval: (id) => clearInterval(id)
+        };
+        this.cookieName = options.cookieName || 'bnxt';
+        this.tokenProvider = options.tokenProvider || (() => this.resolveBrowserToken(options.token));
+        this.handshakeRoute = options.handshakeRoute || '/api/_demo/validate';
+        this.handshakeMethod = options.handshakeMethod || 'POST';
+        this.scopeSwitchRoute = options.scopeSwitchRoute || '/api/profile/scope/switch.json';
+        // async (currentToken) => newToken; runs refreshLeewayMs before the JWT exp claim
+        this.refreshToken = options.refreshToken || null;
+        this.refreshLeewayMs = options.refreshLeewayMs ?? 60000;
+        this.keepAliveIntervalMs = options.keepAliveIntervalMs || 30000;
+        this.maxMissedPongs = options.maxMissedPongs || 2;
+        // Probe sent when the tab becomes visible again; no pong within this → reconnect
+        this.pongTimeoutMs = options.pongTimeoutMs || 5000;
+        this.latencySamples = options.latencySamples || 20;
+        this.maxBackoffMs = options.maxBackoffMs || 30000;
+        // 'full-jitter' (default) | 'decorrelated-jitter' | 'exponential' | ({ attempt, previousMs, baseMs, maxMs, url }) => ms | null,
+        // or { strategy, baseMs, maxMs, maxAttempts }; null or maxAttempts reached → state 'failed'
+        this.reconnectPolicy = this.resolveReconnectPolicy(options.reconnect);
+        // close code → 'reconnect' | 'rotate' (next endpoint) | 'token' (wait for a new token) | 'stop'
+        this.closeCodeActions = {
+            1008: 'stop',
+            1012: 'rotate',
+            1013: 'rotate',
+            4001: 'token',
+            ...(options.closeCodes || {})
+        };
+        this.httpUrlFixed = !!options.httpUrl;
+        // Opt-in: the proxy must pass {socket path}/api/* to channel.server over plain HTTP
+        this.httpFallback = options.httpFallback === true;
+        this.fallbackAfter = options.fallbackAfter || 3;
+        this.pollIntervalMs = options.pollIntervalMs || 5000;
+        this.upgradeIntervalMs = options.upgradeIntervalMs || 60000;
+        this.httpTransport = new BintelxHttpTransport({
+            baseUrl: options.httpUrl || this.deriveHttpUrl(this.url),
+            fetch: options.fetch
+        });
+        // 0 disables; override per call with request(route, body, { timeoutMs })
+        this.requestTimeoutMs = options.requestTimeoutMs ?? 30000;
+        // Opt-in backoff for idempotent reads: true | { retries, baseDelayMs, maxDelayMs, methods };
+        // per call with request(route, body, { retry })
+        this.retryPolicy = options.retry || null;
+        // What to do with sent-but-unanswered requests when the socket closes:
+        // 'reject' | 'requeue' | (payload) => 'reject' | 'requeue'
+        this.closePolicy = options.closePolicy || 'reject';
+        // Flow control. Correlated requests awaiting a reply at once (0 = no limit)
+        this.maxInflight = options.maxInflight ?? 0;
+        // channel.server's package_max_length; bigger frames are rejected before sending
+        this.maxPayloadBytes = options.maxPayloadBytes ?? 1024 * 1024;
+        // Sending pauses while ws.bufferedAmount is above this, re-checked every drainCheckMs
+        this.maxBufferedBytes = options.maxBufferedBytes ?? 1024 * 1024;
+        this.drainCheckMs = options.drainCheckMs || 50;
+        // { '/api/entities/*': { rate, burst } } or [{ match: RegExp, rate, burst }]; rate per second
+        this.rateLimits = this.compileRateLimits(options.rateLimits);
+        this.inflightCount = 0;
+        this.flowTimer = null;
+        this.flowPaused = false;
+        this.flushing = false;
+        // payload → priority (BintelxClient.priorities); pendingQueue stays sorted by it
+        this.payloadPriority = new WeakMap();
+        // false → only message.ack(data); otherwise `client` acks are batched on receipt
+        this.autoAck = options.autoAck !== false;
+        this.ackDebounceMs = options.ackDebounceMs ?? 250;
+        this.ackBatchSize = options.ackBatchSize || 100;
+        this.seenLimit = options.seenLimit || 500;
+        this.systemChannels = new Set([
+            'sys.session.logout',
+            'sys.permissions.update'
+        ]);
+        this.activeSubscriptions = new Set(options.autoSubscribe || []);
+        // channel or pattern → Set<BintelxSubscription>
+        this.channelConsumers = new Map();
+        // channel → { state, options, error }
+        this.subscriptionStates = new Map();
+        this.eventHandlers = new Map();
+        this.pendingQueue = [];
+        this.correlationResolvers = new Map();
+        // Native frames (authenticated, subscribed, pong...) carry no correlation_id
+        this.frameWaiters = new Set();
+        // _fmt → (raw string) => decoded data
+        this.responseDecoders = new Map(Object.entries({
+            scon: (text) => BintelxSconDecoder.decode(text),
+            toon: (text) => BintelxSconDecoder.decode(text, { toon: true }),
+            ...(options.decoders || {})
+        }));
+        // Ordered { name, request(ctx, next), response(ctx, next) }; see use()
+        // true | { size, redact: [keys], maxPayloadBytes, samples }: wire recorder + client.metrics()
+        this.inspector = options.inspector
+            ? new BintelxInspector(this, options.inspector === true ? {} : options.inspector)
+            : null;
+        this.middleware = [];
+        this.defaultMiddleware().forEach(middleware => this.use(middleware));
+        (options.middleware || []).forEach(middleware => this.use(middleware));
+        // Incoming frames go through response middleware one at a time
+        this.inbound = Promise.resolve();
+        // `${level}:${message_id}` → { message_id, ack_level, ack_data, waiters }, kept until the server confirms
+        this.pendingAcks = new Map();
+        this.ackTimer = null;
+        this.ackInflight = false;
+        // Failed /api/ws/ack batches in a row; each retry waits twice as long
+        this.ackFailures = 0;
+        // channel → Map<message_id, true> in insertion order (bounded LRU)
+        this.seenMessages = new Map();
+        // Live messages held back while fetchPending() is in flight, for at most replayHoldMs
+        this.replayDepth = 0;
+        this.replayBuffer = [];
+        this.replayHolding = false;
+        this.replayTimer = null;
+        this.replayHoldMs = options.replayHoldMs ?? 2000;
+        // true → IndexedDB, or an adapter { load, put, delete }
+        this.queueStorage = this.resolveQueueStorage(options.persistentQueue);
+        this.queueMaxSize = options.queueMaxSize || 500;
+        this.queueTtlMs = options.queueTtlMs || 24 * 60 * 60 * 1000;
+        // idempotency key → stored entry, until the server answers or it expires
+        this.durableEntries = new Map();
+        this.storedQueue = this.queueStorage
+            ? this.queueStorage.load().catch((err) => {
+                this.emit('warn', err);
+                return [];
+            })
+            : null;
+
+        this.backoffMs = 0;
+        this.reconnectAttempts = 0;
+        // Closed with a 'token' close code: no reconnect until setToken()/reauthenticate()
+        this.awaitingToken = false;
+        this.reconnectTimer = null;
+        this.heartbeat = null;
+        this.awaitingPong = null;
+        this.missedPongs = 0;
+        this.latency = { samples: [], rtt: null, jitter: 0, lastPongAt: null };
+        this.manualClose = false;
+        // 'ws' | 'http' | 'tab' (proxied through the leader tab)
+        this.transport = 'ws';
+        this.socketFailures = 0;
+        this.pollTimer = null;
+        this.upgradeTimer = null;
+        this.ws = null;
+        // { online, offline, visibilitychange } while bound to window/document
+        this.networkListeners = null;
+        // 'disconnected' | 'connecting' | 'connected' | 'ready' | 'failed' (gave up reconnecting)
+        // | 'terminated' (session ended)
+        this.state = 'disconnected';
+        // { reason: 'logout' | 'device_mismatch', error, payload, at } while terminated
+        this.sessionEnd = null;
+        // Called with sessionEnd, e.g. to redirect to the login page
+        this.onSessionEnd = options.onSessionEnd || null;
+        // null | 'pending' (re-fingerprinted, awaiting re-auth) | 'done'; reset by a new token
+        this.deviceRecovery = null;
+        this.correlationPrefix = `client_${Date.now()}`;
+        // true | { name }: tabs of the same origin share one socket (BroadcastChannel + Web Locks)
+        this.tabs = options.shareAcrossTabs && BintelxTabHub.isSupported()
+            ? new BintelxTabHub(this, options.shareAcrossTabs === true ? {} : options.shareAcrossTabs)
+            : null;
+        if (this.tabs) {
+            this.correlationPrefix = `client_${this.tabs.tabId}`;
+            this.transport = 'tab';
+        }
+        this.correlationCounter = 0;
+        this.deviceId = null;
+        this.serverFingerprint = null;
+        // Token confirmed in-band; preferred over tokenProvider on reconnect
+        this.activeToken = null;
+        this.authContext = null;
+        // Route regex → scope from the handshake (Profile permissions); null until known
+        this.permissions = null;
+        // pattern → compiled RegExp (null when it does not compile)
+        this.permissionPatterns = new Map();
+        this.permissionsRefresh = null;
+        this.authChain = Promise.resolve();
+        this.refreshTimer = null;
+
+        this.files = new BintelxFiles(this, options.files || {});
+        this.edc = new BintelxEdc(this, options.edc || {});
+        // true | { channels: [name | RegExp], storage, keyWaitMs }: end-to-end encrypted channels.
+        // Members come from /api/channels/join, which lets any signed-in profile in: only list
+        // channels whose membership the backend restricts (ACL, invite or approval)
+        this.e2e = options.e2e
+            ? new BintelxChannelCrypto(this, options.e2e === true ? {} : options.e2e)
+            : null;
+
+        // 'browser' (default with a DOM) | false | () => components | { generate() }
+        this.fingerprintStrategy = options.fingerprint;
+        // BintelxFingerprint behind the 'browser' strategy (cache + diagnostics)
+        this.fingerprinter = null;
+        this.fingerprintData = null;
+        this.fingerprintPromise = null;
+
+        // With tab sharing only the elected leader opens the socket
+        if (this.tabs) {
+            this.tabs.start();
+        } else {
+            this.startConnection();
+        }
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Public API                                                         */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Adds a middleware: { name, request(ctx, next), response(ctx, next) }, or a plain
+     * function for the request side. Request ctx is { client, route, options, payload,
+     * attempt } and next() resolves with the server reply; response ctx is { client, payload }.
+     * Not calling next() short-circuits (a request resolves with what the middleware
+     * returns); calling it again retries everything downstream. Native frames
+     * (auth, subscribe, ping) bypass the request side.
+     * Returns a function that removes the middleware.
+     */
+    use(middleware, { before } = {}) {
+        const entry = typeof middleware === 'function'
+            ? { name: middleware.name || null, request: middleware }
+            : middleware;
+        const index = before ? this.middleware.findIndex(item => item.name === before) : -1;
+        if (index >= 0) {
+            this.middleware.splice(index, 0, entry);
+        } else {
+            this.middleware.push(entry);
+        }
+        return () => {
+            this.middleware = this.middleware.filter(item => item !== entry);
+        };
+    }
+
+    // e.g. removeMiddleware('fingerprint') to stop sending meta.fingerprint
+    removeMiddleware(name) {
+        this.middleware = this.middleware.filter(item => item.name !== name);
+    }
+
+    on(event, handler) {
+        if (!this.eventHandlers.has(event)) {
+            this.eventHandlers.set(event, new Set());
+        }
+        this.eventHandlers.get(event).add(handler);
+        return () => this.eventHandlers.get(event)?.delete(handler);
+    }
+
+    isConnected() {
+        return this.ws && this.ws.readyState === (this.WebSocket?.OPEN ?? 1);
+    }
+
+    // Open socket, the HTTP transport after a fallback, or a ready leader tab
+    canSend() {
+        if (this.transport === 'tab') return this.tabs.leaderReady;
+        return this.transport === 'http' ? this.state !== 'disconnected' : this.isConnected();
+    }
+
+    subscribe(channel, options = {}) {
+        if (!channel) return;
+        const { bufferSize, ...body } = options;
+        const subscription = new BintelxSubscription(this, channel, { bufferSize });
+        if (!this.channelConsumers.has(channel)) {
+            this.channelConsumers.set(channel, new Set());
+        }
+        this.channelConsumers.get(channel).add(subscription);
+
+        if (!subscription.isPattern) {
+            const current = this.subscriptionStates.get(channel);
+            if (!this.activeSubscriptions.has(channel)) {
+                subscription.ready = this.subscribeChannel(channel, body);
+            } else if (current?.state === 'failed') {
+                // Refused earlier: ask again rather than hand back the old error
+                subscription.ready = this.subscribeChannel(channel, { ...current.options, ...body });
+            } else {
+                subscription.ready = this.whenSubscribed(channel);
+            }
+            subscription.ready.catch((err) => this.emit('warn', err));
+        }
+        return subscription;
+    }
+
+    subscriptionState(channel) {
+        return this.subscriptionStates.get(channel)?.state || null;
+    }
+
+    // Drops every consumer of the channel, regardless of reference count.
+    unsubscribe(channel) {
+        if (!channel) return;
+        const consumers = this.channelConsumers.get(channel);
+        this.channelConsumers.delete(channel);
+        consumers?.forEach(sub => sub.close());
+        if (channel.includes('*')) return Promise.resolve(null);
+        return this.unsubscribeChannel(channel);
+    }
+
+    releaseSubscription(subscription) {
+        const channel = subscription.channel;
+        const consumers = this.channelConsumers.get(channel);
+        if (!consumers || !consumers.delete(subscription)) return Promise.resolve(null);
+        if (consumers.size) return Promise.resolve(null);
+
+        this.channelConsumers.delete(channel);
+        if (subscription.isPattern || this.systemChannels.has(channel)) {
+            return Promise.resolve(null);
+        }
+        return this.unsubscribeChannel(channel);
+    }
+
+    // Native subscribe frame: live messages only. `persistent: true` also records the
+    // subscription through /api/ws/subscribe (MessagePersistence), so fetchPending()
+    // replays what was published while offline.
+    subscribeChannel(channel, options = {}) {
+        this.activeSubscriptions.add(channel);
+        this.setSubscriptionState(channel, 'pending', { options });
+        const confirmed = this.whenSubscribed(channel);
+        if (this.state === 'ready') {
+            this.sendSubscribe(channel).catch(() => {});
+        }
+        return confirmed;
+    }
+
+    unsubscribeChannel(channel) {
+        // Leader tab: another tab still listens on this channel
+        if (this.tabs?.retains(channel)) return Promise.resolve(null);
+        this.activeSubscriptions.delete(channel);
+        const previous = this.subscriptionStates.get(channel);
+        this.subscriptionStates.delete(channel);
+        if (previous) {
+            this.emit('subscription:state', { channel, state: null, previous: previous.state });
+        }
+        if (this.transport === 'tab') {
+            return this.tabs.leaderReady ? this.tabs.call('unsubscribe', channel) : Promise.resolve(null);
+        }
+        // The DB row would keep feeding /api/ws/pending; offline this waits in the queue
+        const removal = previous?.persisted || this.transport === 'http'
+            ? this.request('/api/ws/unsubscribe', { channel, persistent: true }, { closePolicy: 'requeue' })
+            : null;
+        if (this.transport === 'http' || !this.isConnected()) return removal || Promise.resolve(null);
+
+        const reply = this.waitForFrame(frame => frame.type === 'unsubscribed' && frame.channel === channel);
+        this.sendFrame({ type: 'unsubscribe', channel });
+        return removal ? Promise.all([reply, removal]).then(([frame]) => frame) : reply;
+    }
+
+    sendSubscribe(channel) {
+        const entry = this.subscriptionStates.get(channel);
+        const options = entry?.options || {};
+        let confirmation;
+        if (this.transport === 'tab') {
+            confirmation = this.tabs.call('subscribe', channel, options);
+        } else if (this.transport === 'http') {
+            // Over HTTP only the DB subscription exists; /api/ws/pending polling delivers
+            const { persistent, ...body } = options;
+            if (entry) entry.persisted = true;
+            confirmation = this.request('/api/ws/subscribe', { channel, ...body }, { closePolicy: 'reject' });
+        } else {
+            // Server errors for native subscribe carry no channel; frames are handled
+            // in order, so they belong to the oldest subscribe still waiting.
+            confirmation = this.waitForFrame((frame) => {
+                if (frame.type === 'subscribed' && frame.channel === channel) return true;
+                if (frame.type === 'error' && !frame.correlation_id
+                    && ['Invalid channel name', 'Authentication required', 'Channel table full'].includes(frame.message)) {
+                    return BintelxError.from(frame);
+                }
+                return false;
+            });
+            this.sendFrame({ type: 'subscribe', channel });
+            if (options.persistent) {
+                const { persistent, ...body } = options;
+                if (entry) entry.persisted = true;
+                this.request('/api/ws/subscribe', { channel, ...body }, { closePolicy: 'reject' })
+                    .catch(err => this.emit('warn', err));
+            }
+        }
+
+        return confirmation.then((reply) => {
+            if (this.activeSubscriptions.has(channel)) {
+                this.setSubscriptionState(channel, 'active');
+            }
+            return reply;
+        }, (err) => {
+            // Lost with the socket: stays pending until resubscribeAll()
+            if (err?.code !== 'ECONNCLOSED' && this.activeSubscriptions.has(channel)) {
+                const error = err instanceof Error ? err : Object.assign(new Error(err?.message || 'Subscribe failed'), { payload: err });
+                error.channel = channel;
+                this.setSubscriptionState(channel, 'failed', { error });
+            }
+            throw err;
+        });
+    }
+
+    setSubscriptionState(channel, state, extra = {}) {
+        // persisted: a DB subscription was requested, so unsubscribing must remove it
+        const entry = this.subscriptionStates.get(channel) || { state: null, options: {}, error: null, persisted: false };
+        const previous = entry.state;
+        entry.state = state;
+        entry.error = extra.error || null;
+        if (extra.options) entry.options = extra.options;
+        this.subscriptionStates.set(channel, entry);
+        if (previous !== state) {
+            this.emit('subscription:state', { channel, state, previous, error: entry.error });
+            if (state === 'failed') this.emit('subscription:failed', { channel, error: entry.error });
+        }
+    }
+
+    // Resolves when the channel is active, rejects when it fails or is revoked.
+    whenSubscribed(channel) {
+        const current = this.subscriptionStates.get(channel);
+        if (current?.state === 'active') return Promise.resolve({ channel });
+        if (current?.state === 'failed') return Promise.reject(current.error);
+        return new Promise((resolve, reject) => {
+            const off = this.on('subscription:state', (event) => {
+                if (event.channel !== channel || event.state === 'pending') return;
+                off();
+                if (event.state === 'active') {
+                    resolve({ channel });
+                } else {
+                    reject(event.error || new Error(`Subscription to ${channel} ${event.state || 'cancelled'}`));
+                }
+            });
+        });
+    }
+
+    // On an end-to-end channel the message is sealed here; the server only sees ciphertext
+    publish(channel, message) {
+        if (this.e2e?.enabled(channel)) {
+            return this.e2e.seal(channel, message).then(sealed => this.request('/api/ws/publish', { channel, message: sealed }));
+        }
+        return this.request('/api/ws/publish', { channel, message });
+    }
+
+    // Native ping; resolves with the echoed ts and the round trip in ms.
+    ping(options = {}) {
+        if (this.transport === 'tab') {
+            return this.tabs.call('ping', options);
+        }
+        if (!this.isConnected()) {
+            return Promise.reject(new BintelxTransportError('Not connected', { code: 'ENOTCONN' }));
+        }
+        const ts = Date.now();
+        const pong = this.waitForFrame(frame => frame.type === 'pong' && frame.ts === ts, options.timeoutMs);
+        this.sendFrame({ type: 'ping', ts });
+        return pong.then(frame => ({ ts, rtt: Date.now() - ts, timestamp: frame.timestamp }));
+    }
+
+    fetchPending(channel = null) {
+        const options = {
+            method: 'GET',
+            correlationId: this.nextCorrelationId()
+        };
+        if (channel) {
+            options.query = { channel };
+        }
+
+        this.holdReplay();
+        let replayed = [];
+        return this.request('/api/ws/pending', {}, options).then(response => {
+            replayed = (response.data?.messages || []).map(row => this.normalizePendingMessage(row));
+            this.emit('pending', response.data);
+            return response.data;
+        }).finally(() => {
+            this.replayDepth -= 1;
+            this.mergeReplay(replayed);
+        });
+    }
+
+    /**
+     * Queues a delivery ack for /api/ws/ack. Acks are debounced into batches and
+     * resolve once the server records them; unconfirmed acks are retried after
+     * the next reconnect.
+     */
+    ack(messageId, level = 'client', data = null) {
+        if (!messageId) return Promise.resolve(null);
+        const key = `${level}:${messageId}`;
+        let entry = this.pendingAcks.get(key);
+        if (!entry) {
+            entry = { message_id: messageId, ack_level: level, ack_data: data, waiters: [] };
+            this.pendingAcks.set(key, entry);
+        } else if (data !== null) {
+            entry.ack_data = data;
+        }
+        const promise = new Promise((resolve, reject) => entry.waiters.push({ resolve, reject }));
+        this.scheduleAckFlush();
+        return promise;
+    }
+
+    // Adds a non-enumerable message.ack(data) helper for app-level acks.
+    attachAck(message) {
+        if (!message?.message_id || typeof message.ack === 'function') return message;
+        Object.defineProperty(message, 'ack', {
+            value: (data = null) => this.ack(message.message_id, 'app', data),
+            enumerable: false
+        });
+        return message;
+    }
+
+    scheduleAckFlush(delayMs = this.ackDebounceMs) {
+        if (this.ackTimer || this.state !== 'ready') return;
+        this.ackTimer = this.timers.setTimeout(() => {
+            this.ackTimer = null;
+            this.flushAcks();
+        }, delayMs);
+    }
+
+    async flushAcks() {
+        if (this.ackInflight || this.state !== 'ready' || !this.pendingAcks.size) return;
+        const batch = [...this.pendingAcks.entries()].slice(0, this.ackBatchSize);
+        this.ackInflight = true;
+        try {
+            const response = await this.request('/api/ws/ack', {
+                acks: batch.map(([, a]) => ({ message_id: a.message_id, ack_level: a.ack_level, ack_data: a.ack_data }))
+            }, { closePolicy: 'reject' });
+            this.ackFailures = 0;
+            const results = response?.data?.results || [];
+            batch.forEach(([key, entry], i) => {
+                if (this.pendingAcks.get(key) === entry) this.pendingAcks.delete(key);
+                const result = results[i] || { message_id: entry.message_id, success: true };
+                entry.waiters.forEach(w => result.success === false
+                    ? w.reject(Object.assign(new Error(result.error || 'Ack not recorded'), { result }))
+                    : w.resolve(result));
+            });
+        } catch (err) {
+            // Keep the batch and try again with backoff: ids the server never recorded
+            // stay pending there and would be replayed after the next reconnect.
+            this.emit('warn', err);
+            this.ackFailures += 1;
+            if (this.ackTimer) {
+                this.timers.clearTimeout(this.ackTimer);
+                this.ackTimer = null;
+            }
+            this.scheduleAckFlush(Math.min(this.maxBackoffMs, this.ackDebounceMs * 2 ** this.ackFailures));
+            return;
+        } finally {
+            this.ackInflight = false;
+        }
+        if (this.pendingAcks.size) this.scheduleAckFlush();
+    }
+
+    request(route, body = {}, reqOptions = {}) {
+        if (this.state === 'terminated') {
+            return Promise.reject(this.sessionEnd.error);
+        }
+        if (reqOptions.persist && this.queueStorage) {
+            return this.requestDurable(route, body, reqOptions);
+        }
+        const payload = this.buildRequestPayload(route, body, reqOptions);
+        return this.runRequestPipeline(payload, reqOptions);
+    }
+
+    /**
+     * Re-authenticates the open socket with a new JWT (refresh or scope switch)
+     * without reconnecting. Resolves with { profile_id, scope_entity_id }.
+     */
+    reauthenticate(token) {
+        if (!token) return Promise.reject(new Error('reauthenticate() requires a token'));
+        // No socket after a 4001: the new token reopens one
+        if (this.awaitingToken) return this.setToken(token).then(() => this.authContext);
+        // One auth frame at a time: the server reply has no correlation_id
+        const run = this.authChain.then(() => this.whenReady()).then(() => this.sendAuthFrame(token));
+        this.authChain = run.catch(() => {});
+        return run;
+    }
+
+    async switchScope(entityId) {
+        const response = await this.request(this.scopeSwitchRoute, { scope_entity_id: entityId });
+        const result = response?.data || {};
+        if (!result.success || !result.token) {
+            throw new Error(result.message || 'Scope switch failed');
+        }
+        return this.reauthenticate(result.token);
+    }
+
+    whenReady() {
+        if (this.state === 'ready') return Promise.resolve();
+        return new Promise((resolve) => {
+            const off = this.on('ready', () => {
+                off();
+                resolve();
+            });
+        });
+    }
+
+    // Per-route latency percentiles and error rates; null unless options.inspector is on
+    metrics() {
+        return this.inspector ? this.inspector.metrics() : null;
+    }
+
+    // Fake timers in tests carry their own clock
+    now() {
+        return typeof this.timers.now === 'function' ? this.timers.now() : Date.now();
+    }
+
+    stats() {
+        const { samples, rtt, jitter, lastPongAt } = this.latency;
+        return {
+            state: this.state,
+            rtt,
+            avgRtt: samples.length ? Math.round(samples.reduce((sum, value) => sum + value, 0) / samples.length) : null,
+            minRtt: samples.length ? Math.min(...samples) : null,
+            maxRtt: samples.length ? Math.max(...samples) : null,
+            jitter: Math.round(jitter * 10) / 10,
+            samples: samples.length,
+            missedPongs: this.missedPongs,
+            lastPongAt,
+            queued: this.pendingQueue.length,
+            inflight: this.correlationResolvers.size,
+            subscriptions: this.activeSubscriptions.size,
+            transport: this.transport,
+            url: this.url,
+            reconnectAttempts: this.reconnectAttempts
+        };
+    }
+
+    registerDecoder(format, decoder) {
+        this.responseDecoders.set(format, decoder);
+        return () => this.responseDecoders.delete(format);
+    }
+
+    disconnect(code = 1000, reason = 'client closed') {
+        if (this.ws) {
+            this.ws.onopen = null;
+            this.ws.onmessage = null;
+            this.ws.onerror = null;
+            this.ws.onclose = null;
+            this.ws.close(code, reason);
+        }
+        this.cleanupConnection();
+        this.settleInflight();
+        this.rejectQueued();
+        this.markSubscriptionsPending();
+        this.stopHttpTransport();
+        this.unbindNetworkListeners();
+        this.manualClose = true;
+        this.state = 'disconnected';
+        // Leaving the group hands the socket to the next tab
+        this.tabs?.announce('disconnected');
+        this.tabs?.stop();
+        this.emit('close', { code, reason, manual: true });
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Connection Lifecycle                                               */
+    /* ------------------------------------------------------------------ */
+
+    // Runs once per client: on construction, or when this tab becomes the leader
+    startConnection() {
+        if (this.transport === 'tab') {
+            // Whatever was proxied through the previous leader is lost with it
+            this.transport = 'ws';
+            this.settleInflight();
+            this.markSubscriptionsPending();
+            if (this.state !== 'terminated') this.state = 'disconnected';
+        }
+        this.loadFingerprint();
+        // An ended session waits for setToken()
+        if (this.state !== 'terminated') this.connect();
+    }
+
+    // fresh: bypass the collector cache (after a device mismatch)
+    loadFingerprint(options = {}) {
+        this.fingerprintData = null;
+        this.fingerprintPromise = this.resolveFingerprint(this.fingerprintStrategy, options)
+            .then(data => {
+                this.fingerprintData = data;
+                if (data) this.emit('fingerprint', data);
+                const verdict = data?.diagnostics?.verdict;
+                if (verdict === 'drift' || verdict === 'device-changed') {
+                    this.emit('fingerprint:changed', data.diagnostics);
+                }
+                return data;
+            })
+            .catch(err => {
+                this.emit('warn', err);
+                return null;
+            });
+        return this.fingerprintPromise;
+    }
+
+    connect() {
+        if (this.state === 'connecting' || this.state === 'terminated' || this.isConnected()) {
+            return;
+        }
+        this.manualClose = false;
+        this.state = 'connecting';
+        this.emit('connecting');
+        this.bindNetworkListeners();
+
+        if (!this.WebSocket) {
+            this.state = 'disconnected';
+            this.useHttpTransport();
+            return;
+        }
+        this.ws = new this.WebSocket(this.url);
+        this.ws.onopen = () => this.handleOpen();
+        this.ws.onerror = (err) => this.handleError(err);
+        this.ws.onclose = (event) => this.handleClose(event);
+        this.ws.onmessage = (event) => this.handleMessage(event);
+    }
+
+    handleOpen() {
+        this.state = 'connected';
+        this.emit('open', { url: this.url });
+        this.startHeartbeat();
+        // Held traffic drains from transitionToReady(); the handshake frames jump the queue
+        this.authenticate().catch((err) => this.emit('error', err));
+    }
+
+    handleClose(event) {
+        const established = this.state === 'ready';
+        this.tabs?.announce('disconnected');
+        this.emit('close', {
+            code: event.code,
+            reason: event.reason,
+            manual: false,
+            url: this.url
+        });
+        this.cleanupConnection();
+        this.settleInflight();
+        this.markSubscriptionsPending();
+
+        const action = this.closeCodeActions[event.code] || 'reconnect';
+        if (action === 'token') {
+            this.pauseForToken(event.code);
+            return;
+        }
+        if (action === 'stop') {
+            this.giveUp(event.code, event.reason);
+            return;
+        }
+        this.socketFailures = established ? 0 : this.socketFailures + 1;
+        // A drop after ready retries the same server first; failed attempts move on
+        if (!established) {
+            this.markEndpointDown();
+        }
+        if (!established || action === 'rotate') {
+            this.useEndpoint(this.selectEndpoint(), established ? `close ${event.code}` : 'connect failed');
+        }
+        if (this.httpFallback && this.socketFailures >= this.fallbackAfter && !this.isOffline()) {
+            this.useHttpTransport();
+            return;
+        }
+        this.scheduleReconnect();
+    }
+
+    handleError(event) {
+        this.emit('error', Object.assign(new BintelxTransportError('WebSocket error', { code: 'ESOCKET' }), { cause: event }));
+    }
+
+    // A half-open socket may take minutes to fire onclose; detach it and treat it as closed now.
+    dropConnection(reason) {
+        const ws = this.ws;
+        if (ws) {
+            ws.onopen = null;
+            ws.onmessage = null;
+            ws.onerror = null;
+            ws.onclose = null;
+            try {
+                ws.close(4000, reason);
+            } catch (err) {
+                // already closing
+            }
+        }
+        this.handleClose({ code: 4000, reason });
+    }
+
+    // Skip whatever is left of the backoff (network back, tab visible again).
+    reconnectNow() {
+        if (this.manualClose || this.awaitingToken || !['disconnected', 'failed'].includes(this.state)) return;
+        if (this.reconnectTimer) {
+            this.timers.clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.resetBackoff();
+        this.state = 'disconnected';
+        this.connect();
+    }
+
+    // Bound once per connect() after construction or disconnect(); unbound by disconnect()/endSession()
+    bindNetworkListeners() {
+        if (this.networkListeners) return;
+        if (typeof window === 'undefined' || typeof window.addEventListener !== 'function') return;
+        const listeners = {
+            online: () => {
+                this.emit('network', { online: true });
+                this.reconnectNow();
+            },
+            offline: () => {
+                this.emit('network', { online: false });
+                if (this.transport === 'ws' && this.ws && this.state !== 'disconnected') this.dropConnection('offline');
+            },
+            visibilitychange: () => {
+                if (document.visibilityState !== 'visible') return;
+                if (this.isConnected()) {
+                    // Timers were throttled while hidden; make sure the socket survived
+                    this.ping({ timeoutMs: this.pongTimeoutMs }).catch((err) => {
+                        if (err.code === 'ETIMEDOUT' && this.isConnected()) this.dropConnection('pong timeout');
+                    });
+                } else {
+                    this.reconnectNow();
+                }
+            }
+        };
+        window.addEventListener('online', listeners.online);
+        window.addEventListener('offline', listeners.offline);
+        if (typeof document !== 'undefined') {
+            document.addEventListener('visibilitychange', listeners.visibilitychange);
+        }
+        this.networkListeners = listeners;
+    }
+
+    unbindNetworkListeners() {
+        const listeners = this.networkListeners;
+        if (!listeners) return;
+        this.networkListeners = null;
+        window.removeEventListener('online', listeners.online);
+        window.removeEventListener('offline', listeners.offline);
+        if (typeof document !== 'undefined') {
+            document.removeEventListener('visibilitychange', listeners.visibilitychange);
+        }
+    }
+
+    cleanupConnection() {
+        if (this.heartbeat) {
+            this.timers.clearInterval(this.heartbeat);
+            this.heartbeat = null;
+        }
+        this.awaitingPong = null;
+        this.missedPongs = 0;
+        if (this.reconnectTimer) {
+            this.timers.clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.ackTimer) {
+            this.timers.clearTimeout(this.ackTimer);
+            this.ackTimer = null;
+        }
+        // The next handshake schedules it again for the token it authenticates with
+        this.clearRefreshTimer();
+        this.frameWaiters.forEach((waiter) => {
+            const err = new BintelxTransportError('Connection closed before the server replied', { code: 'ECONNCLOSED' });
+            this.settleFrameWaiter(waiter, null, err);
+        });
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Authentication + Resume                                            */
+    /* ------------------------------------------------------------------ */
+
+    async authenticate() {
+        const token = await this.resolveToken();
+        const fp = await this.getFingerprint();
+
+        // Get server-computed xxh128 hash (deterministic, 32 hex)
+        if (fp?.components) {
+            try {
+                const body = { components: fp.components };
+                if (fp.schemaVersion !== undefined) body.schema_version = fp.schemaVersion;
+                const fpRes = await this.request('/api/ws/fingerprint', body,
+                    { method: 'POST', correlationId: 'fingerprint', closePolicy: 'reject' });
+                if (fpRes?.data?.hash) {
+                    this.serverFingerprint = fpRes.data.hash;
+                    this.deviceId = fpRes.data.hash;
+                }
+            } catch (e) { /* best-effort: server fingerprint unavailable */ }
+        }
+
+        if (!token) {
             this.emit('warn', new Error('No token available, skipping handshake.'));
             this.transitionToReady();
             return;
@@ -363,94 +3960,967 @@ class BintelxClient {
             device_hash: this.serverFingerprint || null
         }, {
             method: this.handshakeMethod,
-            correlationId: 'handshake'
+            correlationId: 'handshake',
+            closePolicy: 'reject'
         }).then((response) => {
             if (response?.data?.success === false) {
-                throw new Error(response.data.message || 'Authentication failed');
+                throw new BintelxAuthError(response.data.message || 'Authentication failed', {
+                    statusCode: 401,
+                    route: this.handshakeRoute,
+                    correlationId: response.correlation_id,
+                    payload: response
+                });
             }
+            const claims = this.decodeTokenClaims(token);
+            this.authContext = {
+                profile_id: claims?.profile_id ?? null,
+                scope_entity_id: claims?.scope_entity_id ?? null
+            };
+            this.setPermissions(this.permissionsFrom(response));
+            this.scheduleTokenRefresh(token);
+            if (this.deviceRecovery === 'pending') this.deviceRecovery = 'done';
             this.transitionToReady(response);
         }).catch((err) => {
             this.emit('error', err);
-            this.ws?.close(4001, 'auth failed');
+            const rejected = err instanceof BintelxAuthError;
+            // The one re-auth after a device mismatch failed
+            if (rejected && this.deviceRecovery === 'pending') {
+                this.endSession('device_mismatch', { error: err });
+                return;
+            }
+            // 4001 waits for a new token; a handshake that timed out is just retried
+            this.ws?.close(rejected ? 4001 : 4000, rejected ? 'auth failed' : 'handshake failed');
+        });
+    }
+
+    transitionToReady(handshakeResponse) {
+        this.state = 'ready';
+        this.resetBackoff();
+        if (this.transport === 'ws') this.markEndpointUp();
+        this.tabs?.announce('ready');
+        this.emit('ready', handshakeResponse || {});
+        this.subscribeSystemChannels();
+        this.resubscribeAll().then((report) => {
+            if (report.failed.length) this.emit('warn', new Error(`Failed to restore ${report.failed.length} channel(s)`));
+        });
+        this.fetchPending().catch(() => {});
+        this.scheduleAckFlush();
+        this.resumeStoredQueue();
+        this.resumeParkedDurable();
+        if (this.transport === 'http') {
+            this.startPolling();
+        } else {
+            this.socketFailures = 0;
+        }
+        // User traffic held back until the handshake; a tick later, so the resubscribe
+        // and pending requests above (still in the middleware chain) go out first
+        this.scheduleFlush(0);
+    }
+
+    // Follower tab: the leader's socket came up (ready) or went away
+    leaderStateChanged(ready) {
+        if (ready) {
+            this.sessionEnd = null;
+            this.state = 'connected';
+            this.flushQueue();
+            this.transitionToReady();
+            return;
+        }
+        const established = this.state !== 'disconnected' && this.state !== 'terminated';
+        this.settleInflight();
+        this.markSubscriptionsPending();
+        if (this.state !== 'terminated') this.state = 'disconnected';
+        if (established) {
+            this.emit('close', { code: 1001, reason: 'leader tab unavailable', manual: false });
+        }
+    }
+
+    // Follower tab: auth context, token and device hash as the leader has them
+    applySharedAuth({ authContext, token, fingerprint, permissions } = {}) {
+        if (fingerprint) {
+            this.serverFingerprint = fingerprint;
+            this.deviceId = fingerprint;
+        }
+        this.setPermissions(permissions);
+        const previous = this.authContext;
+        if (!authContext || (token === this.activeToken
+            && previous?.profile_id === authContext.profile_id
+            && previous?.scope_entity_id === authContext.scope_entity_id)) {
+            return;
+        }
+        this.activeToken = token;
+        this.cachedToken = token;
+        this.authContext = authContext;
+        this.emit('auth:changed', { ...authContext, previous, token });
+    }
+
+    /**
+     * Re-sends every active subscription, refused ones included. Resolves with
+     * { restored: [channel], failed: [{ channel, error }] } (also emitted as 'resubscribed').
+     */
+    resubscribeAll() {
+        const channels = [...this.activeSubscriptions];
+        channels.forEach(channel => this.setSubscriptionState(channel, 'pending'));
+        return Promise.allSettled(channels.map(channel => this.sendSubscribe(channel))).then((results) => {
+            const report = { restored: [], failed: [] };
+            results.forEach((result, i) => {
+                if (result.status === 'fulfilled') {
+                    report.restored.push(channels[i]);
+                } else {
+                    report.failed.push({ channel: channels[i], error: result.reason });
+                }
+            });
+            this.emit('resubscribed', report);
+            return report;
+        });
+    }
+
+    // Registers system channels; resubscribeAll() sends them with the rest.
+    subscribeSystemChannels() {
+        this.systemChannels.forEach((channel) => {
+            if (!this.activeSubscriptions.has(channel)) {
+                this.activeSubscriptions.add(channel);
+                this.setSubscriptionState(channel, 'pending', { options: { persistent: true } });
+            }
+        });
+    }
+
+    // A new token or scope may be allowed what the previous one was refused
+    retryFailedSubscriptions() {
+        [...this.activeSubscriptions]
+            .filter(channel => this.subscriptionState(channel) === 'failed')
+            .forEach((channel) => {
+                this.setSubscriptionState(channel, 'pending');
+                this.sendSubscribe(channel).catch(() => {});
+            });
+    }
+
+    markSubscriptionsPending() {
+        this.activeSubscriptions.forEach((channel) => {
+            if (this.subscriptionState(channel) === 'active') {
+                this.setSubscriptionState(channel, 'pending');
+            }
+        });
+    }
+
+    sendAuthFrame(token) {
+        let reply;
+        if (this.transport === 'tab') {
+            reply = this.tabs.call('reauthenticate', token);
+        } else if (this.transport === 'http') {
+            reply = this.verifyTokenOverHttp(token);
+        } else {
+            reply = this.waitForFrame((frame) => {
+                if (frame.type === 'authenticated') return true;
+                if (frame.type === 'error' && ['Authentication failed', 'Token required'].includes(frame.message)) {
+                    return BintelxError.from(frame);
+                }
+                return false;
+            });
+            this.sendFrame({ type: 'auth', token });
+        }
+
+        return reply.then((frame) => {
+            const previous = this.authContext;
+            if (token !== this.activeToken) this.deviceRecovery = null;
+            this.activeToken = token;
+            this.cachedToken = token;
+            this.authContext = {
+                profile_id: frame.profile_id,
+                scope_entity_id: frame.scope_entity_id
+            };
+            // The leader tab owns token refresh
+            if (this.transport !== 'tab') this.scheduleTokenRefresh(token);
+            this.tabs?.announceAuth();
+            this.emit('auth:changed', { ...this.authContext, previous, token });
+            this.retryFailedSubscriptions();
+            // The auth frame carries no permissions; a new scope has its own
+            if (this.transport === 'ws') {
+                this.refreshPermissions().catch(err => this.emit('warn', err));
+            }
+            return this.authContext;
+        });
+    }
+
+    // No auth frame over HTTP: each request carries the token, so validate it once
+    // through the handshake route and take profile/scope from its claims.
+    verifyTokenOverHttp(token) {
+        return this.request(this.handshakeRoute, {
+            token,
+            device_hash: this.serverFingerprint || null
+        }, {
+            method: this.handshakeMethod,
+            token,
+            closePolicy: 'reject'
+        }).then((response) => {
+            if (response?.data?.success === false) {
+                throw new BintelxAuthError(response.data.message || 'Authentication failed', {
+                    statusCode: 401,
+                    route: this.handshakeRoute,
+                    correlationId: response.correlation_id,
+                    payload: response
+                });
+            }
+            this.setPermissions(this.permissionsFrom(response));
+            const claims = this.decodeTokenClaims(token);
+            return {
+                profile_id: claims?.profile_id ?? null,
+                scope_entity_id: claims?.scope_entity_id ?? null
+            };
+        });
+    }
+
+    // Reads the JWT payload ([METADATA, {profile_id, scope_entity_id, exp, ...}]) without verifying it
+    decodeTokenClaims(token) {
+        try {
+            const part = String(token).replace(/^Bearer /, '').split('.')[1];
+            const json = atob(part.replace(/-/g, '+').replace(/_/g, '/'));
+            const payload = JSON.parse(json);
+            return Array.isArray(payload) ? (payload[1] || null) : payload;
+        } catch {
+            return null;
+        }
+    }
+
+    scheduleTokenRefresh(token) {
+        this.clearRefreshTimer();
+        const exp = this.decodeTokenClaims(token)?.exp;
+        if (!this.refreshToken || !exp) return;
+
+        const delay = Math.max(0, exp * 1000 - Date.now() - this.refreshLeewayMs);
+        if (delay > 2147483647) {
+            // Beyond setTimeout's 32-bit range: check again later
+            this.refreshTimer = this.timers.setTimeout(() => this.scheduleTokenRefresh(token), 2147483647);
+            return;
+        }
+        this.refreshTimer = this.timers.setTimeout(async () => {
+            this.refreshTimer = null;
+            try {
+                const next = await this.refreshToken(token);
+                if (!next) throw new Error('refreshToken() returned no token');
+                await this.reauthenticate(next);
+            } catch (err) {
+                this.emit('error', err);
+                // Retry while the current token is still valid
+                const remaining = exp * 1000 - Date.now();
+                if (remaining > 1000) {
+                    this.refreshTimer = this.timers.setTimeout(() => this.scheduleTokenRefresh(token), Math.min(30000, remaining / 2));
+                }
+            }
+        }, delay);
+    }
+
+    clearRefreshTimer() {
+        if (this.refreshTimer) {
+            this.timers.clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Permissions                                                        */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Router::hasPermission() on the client: the best scope among the patterns that
+     * match the path after /api/ must weigh at least the required one. The route's
+     * own scope is not known here, so GET/HEAD/OPTIONS require 'read' and other
+     * methods 'write' unless options.scope says otherwise. False until the
+     * permission map is known; the server still has the final word.
+     */
+    can(route, method = 'GET', options = {}) {
+        if (!this.permissions) return false;
+        const required = options.scope
+            || (['GET', 'HEAD', 'OPTIONS'].includes(String(method).toUpperCase()) ? 'read' : 'write');
+        if (required === 'public' || required === 'public-write') return true;
+
+        const path = this.permissionPath(route);
+        let effective = 'public';
+        Object.entries(this.permissions).forEach(([pattern, scope]) => {
+            if (this.scopeWeight(scope) > this.scopeWeight(effective) && this.matchesPermission(pattern, path)) {
+                effective = scope;
+            }
+        });
+        return this.scopeWeight(effective) >= this.scopeWeight(required);
+    }
+
+    // Router::getScopeWeight(); 'system' never comes from route permissions
+    scopeWeight(scope) {
+        return { system: 99, write: 3, read: 2, private: 1 }[scope] || 0;
+    }
+
+    // '/api/orders/5?x=1' → 'orders/5', as Router::dispatch() strips the base path
+    permissionPath(route) {
+        let path = String(route || '').split('?')[0];
+        if (path.startsWith('/api')) {
+            path = path.slice(4);
+        }
+        return path.replace(/^\/+/, '');
+    }
+
+    // '#^' . $pathRegex . '$#i'; patterns PCRE can't compile never match there either
+    matchesPermission(pattern, path) {
+        if (pattern === '*') return true;
+        let regex = this.permissionPatterns.get(pattern);
+        if (regex === undefined) {
+            try {
+                regex = new RegExp(`^(?:${pattern.replace(/\(\?P</g, '(?<')})$`, 'i');
+            } catch {
+                regex = null;
+            }
+            this.permissionPatterns.set(pattern, regex);
+        }
+        return !!regex && regex.test(path);
+    }
+
+    // Handshake replies are Response::json(['data' => validateToken()])
+    permissionsFrom(response) {
+        const body = response?.data;
+        const result = body?.data ?? body;
+        if (!result) return null;
+        return this.routePermissions(result.data?.permissions ?? result.permissions ?? {});
+    }
+
+    // Profile permissions are { routes: {regex: scope}, roles: [...] }; without routes
+    // the server falls back to ['*' => 'private'] (Profile::getRoutePermissions())
+    routePermissions(permissions) {
+        if (!this.isPermissionMap(permissions)) return null;
+        const { routes } = permissions;
+        if (routes === undefined || routes === null) return { '*': 'private' };
+        // An empty PHP array encodes as []
+        return this.isPermissionMap(routes) ? routes : {};
+    }
+
+    isPermissionMap(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Replaces the permission map and emits 'permissions:changed' with what moved:
+     * { permissions, previous, added: {pattern: scope}, removed: {pattern: scope},
+     *   changed: {pattern: { from, to }} }. Nothing is emitted when the map is the same.
+     */
+    setPermissions(permissions) {
+        if (!permissions) return;
+        const previous = this.permissions;
+        const before = previous || {};
+        const diff = { added: {}, removed: {}, changed: {} };
+        Object.entries(permissions).forEach(([pattern, scope]) => {
+            if (!(pattern in before)) {
+                diff.added[pattern] = scope;
+            } else if (before[pattern] !== scope) {
+                diff.changed[pattern] = { from: before[pattern], to: scope };
+            }
+        });
+        Object.entries(before).forEach(([pattern, scope]) => {
+            if (!(pattern in permissions)) diff.removed[pattern] = scope;
+        });
+
+        this.permissions = { ...permissions };
+        this.permissionPatterns = new Map();
+        if (previous && !Object.keys(diff.added).length && !Object.keys(diff.removed).length && !Object.keys(diff.changed).length) {
+            return;
+        }
+        this.tabs?.announceAuth();
+        this.emit('permissions:changed', { permissions: this.permissions, previous, ...diff });
+    }
+
+    /**
+     * Reloads the map through the handshake route. sys.permissions.update pushes
+     * that carry no map land here; concurrent calls share one request.
+     */
+    refreshPermissions() {
+        // Follower tabs get the leader's map with its auth state
+        if (this.transport === 'tab') return Promise.resolve(this.permissions);
+        if (this.permissionsRefresh) return this.permissionsRefresh;
+        const token = this.activeToken || this.cachedToken;
+        if (!token) return Promise.resolve(this.permissions);
+
+        this.permissionsRefresh = this.request(this.handshakeRoute, {
+            token,
+            device_hash: this.serverFingerprint || null
+        }, {
+            method: this.handshakeMethod,
+            token
+        }).then((response) => {
+            this.setPermissions(this.permissionsFrom(response));
+            return this.permissions;
+        }).finally(() => {
+            this.permissionsRefresh = null;
+        });
+        return this.permissionsRefresh;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Session teardown                                                   */
+    /* ------------------------------------------------------------------ */
+
+    // Local logout: same teardown as a sys.session.logout push
+    logout() {
+        this.endSession('logout', { manual: true });
+    }
+
+    /**
+     * Ends the session for good: closes the transport, forgets the token (also the
+     * `cookieName` cookie / localStorage key), rejects queued and in-flight requests,
+     * drops the persistent queue and every non-system subscription, and stays in
+     * the 'terminated' state without reconnecting until setToken().
+     * Emits 'session:ended' and calls options.onSessionEnd with
+     * { reason: 'logout' | 'device_mismatch', error, payload, at }.
+     */
+    endSession(reason, details = {}) {
+        if (this.state === 'terminated') return;
+        const error = details.error || new BintelxAuthError(
+            reason === 'logout' ? 'Session ended' : 'Device fingerprint mismatch',
+            { code: reason === 'logout' ? 'ELOGGEDOUT' : 'EDEVICE', statusCode: 401, payload: details.payload }
+        );
+
+        if (this.ws) {
+            this.ws.onopen = null;
+            this.ws.onmessage = null;
+            this.ws.onerror = null;
+            this.ws.onclose = null;
+            try {
+                this.ws.close(1000, reason);
+            } catch { /* already closed by the server */ }
+            this.ws = null;
+        }
+        this.cleanupConnection();
+        if (this.transport === 'http') this.stopHttpTransport();
+        this.unbindNetworkListeners();
+        this.manualClose = true;
+        this.state = 'terminated';
+
+        this.activeToken = null;
+        this.cachedToken = null;
+        this.authContext = null;
+        this.permissions = null;
+        this.clearStoredToken();
+
+        this.pendingQueue = [];
+        this.pendingAcks.clear();
+        [...this.durableEntries.values()].forEach(entry => this.dropDurable(entry, reason, error));
+        if (this.storedQueue) {
+            const stored = this.storedQueue;
+            this.storedQueue = null;
+            stored.then(entries => entries.forEach(entry => this.dropDurable(entry, reason, error)));
+        }
+        this.correlationResolvers.forEach((entry, id) => this.settleRequest(id, entry, null, error));
+
+        this.channelConsumers.forEach((consumers, channel) => {
+            if (this.systemChannels.has(channel)) return;
+            consumers.forEach(sub => sub.close());
+            this.channelConsumers.delete(channel);
+        });
+        [...this.activeSubscriptions].forEach((channel) => {
+            if (this.systemChannels.has(channel)) return;
+            this.activeSubscriptions.delete(channel);
+            const previous = this.subscriptionStates.get(channel);
+            this.subscriptionStates.delete(channel);
+            this.emit('subscription:state', { channel, state: null, previous: previous?.state || null });
+        });
+        this.tabs?.tabChannels.clear();
+
+        this.sessionEnd = { reason, error, payload: details.payload || null, at: Date.now() };
+        this.tabs?.announce('terminated', { reason });
+        this.emit('close', { code: 1000, reason, manual: true });
+        this.emit('session:ended', this.sessionEnd);
+        if (this.onSessionEnd) {
+            try {
+                this.onSessionEnd(this.sessionEnd);
+            } catch (err) {
+                this.emit('error', err);
+            }
+        }
+    }
+
+    // HttpOnly cookies are out of reach; the server clears those on logout
+    clearStoredToken() {
+        const key = this.cookieName || 'bnxt';
+        if (typeof document !== 'undefined' && this.readCookie(key) !== null) {
+            document.cookie = `${key}=; Max-Age=0; path=/`;
+        }
+        if (typeof localStorage !== 'undefined') {
+            try {
+                localStorage.removeItem(key);
+            } catch { /* storage disabled */ }
+        }
+    }
+
+    /**
+     * Supplies a new token. After a terminated session it reconnects (in tab mode
+     * through the leader) and resolves once ready; on a live session it
+     * re-authenticates in-band like reauthenticate().
+     */
+    setToken(token) {
+        if (!token) return Promise.reject(new Error('setToken() requires a token'));
+        this.deviceRecovery = null;
+        if (this.state !== 'terminated' && !this.awaitingToken) {
+            return this.reauthenticate(token);
+        }
+        this.awaitingToken = false;
+        this.reconnectAttempts = 0;
+        this.activeToken = token;
+        this.cachedToken = token;
+        this.sessionEnd = null;
+        this.manualClose = false;
+        this.state = 'disconnected';
+        const ready = this.whenReady();
+        if (this.transport === 'tab') {
+            this.tabs.call('setToken', token).catch(err => this.emit('warn', err));
+        } else {
+            this.resetBackoff();
+            this.connect();
+        }
+        return ready;
+    }
+
+    // One re-fingerprint + re-auth per token; a second mismatch ends the session
+    handleDeviceMismatch(payload) {
+        if (this.state === 'terminated') return;
+        if (this.deviceRecovery) {
+            this.endSession('device_mismatch', { payload });
+            return;
+        }
+        this.deviceRecovery = 'pending';
+        this.serverFingerprint = null;
+        this.deviceId = null;
+        this.loadFingerprint({ fresh: true });
+        this.emit('device:recovering', payload);
+        // The server closes the socket after the frame; reconnect without backoff
+        this.dropConnection('device mismatch');
+        this.reconnectNow();
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Messaging Helpers                                                  */
+    /* ------------------------------------------------------------------ */
+
+    startHeartbeat() {
+        if (this.heartbeat) {
+            this.timers.clearInterval(this.heartbeat);
+        }
+        this.awaitingPong = null;
+        this.missedPongs = 0;
+        this.heartbeat = this.timers.setInterval(() => {
+            if (!this.isConnected()) return;
+            if (this.awaitingPong !== null) {
+                this.missedPongs++;
+                if (this.missedPongs >= this.maxMissedPongs) {
+                    this.emit('warn', new Error(`No pong for ${this.missedPongs} heartbeats, reconnecting`));
+                    this.dropConnection('heartbeat timeout');
+                    return;
+                }
+            }
+            const ts = Date.now();
+            if (this.sendFrame({ type: 'ping', ts })) {
+                this.awaitingPong = ts;
+            }
+        }, this.keepAliveIntervalMs);
+    }
+
+    // Any pong (heartbeat or ping()) proves the socket is alive and feeds the RTT window.
+    recordPong(frame) {
+        this.awaitingPong = null;
+        this.missedPongs = 0;
+        const now = Date.now();
+        this.latency.lastPongAt = now;
+        if (typeof frame.ts !== 'number' || frame.ts > now) return;
+
+        const rtt = now - frame.ts;
+        const { samples } = this.latency;
+        if (this.latency.rtt !== null) {
+            // RFC 3550 style smoothed jitter
+            this.latency.jitter += (Math.abs(rtt - this.latency.rtt) - this.latency.jitter) / 16;
+        }
+        this.latency.rtt = rtt;
+        samples.push(rtt);
+        if (samples.length > this.latencySamples) samples.shift();
+        const stats = this.stats();
+        this.emit('latency', { rtt, avgRtt: stats.avgRtt, jitter: stats.jitter });
+    }
+
+    // Native frames bypass the router: no correlation_id, no queueing.
+    sendFrame(frame) {
+        if (!this.isConnected()) return false;
+        this.inspector?.outbound(frame);
+        try {
+            this.ws.send(JSON.stringify(frame));
+            return true;
+        } catch (err) {
+            this.emit('error', err);
+            return false;
+        }
+    }
+
+    /**
+     * Resolves with the first incoming frame for which match(frame) returns true,
+     * rejects when it returns an Error. Falsy means "not mine".
+     */
+    waitForFrame(match, timeoutMs = this.requestTimeoutMs) {
+        return new Promise((resolve, reject) => {
+            const waiter = { match, resolve, reject, timer: null };
+            if (timeoutMs > 0) {
+                waiter.timer = this.timers.setTimeout(() => {
+                    this.settleFrameWaiter(waiter, null, new BintelxTimeoutError('native frame', timeoutMs));
+                }, timeoutMs);
+            }
+            this.frameWaiters.add(waiter);
+        });
+    }
+
+    resolveFrameWaiter(frame) {
+        for (const waiter of this.frameWaiters) {
+            const outcome = waiter.match(frame);
+            if (outcome) {
+                this.settleFrameWaiter(waiter, frame, outcome instanceof Error ? outcome : null);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    settleFrameWaiter(waiter, frame, error = null) {
+        if (!this.frameWaiters.delete(waiter)) return;
+        if (waiter.timer) this.timers.clearTimeout(waiter.timer);
+        if (error) {
+            waiter.reject(error);
+        } else {
+            waiter.resolve(frame);
+        }
+    }
+
+    // Drains the queue in priority order as far as the flow limits allow
+    flushQueue() {
+        if (this.flushing || !this.canSend() || !this.pendingQueue.length) {
+            return;
+        }
+        this.flushing = true;
+        let waitMs = null;
+        let buffered = false;
+        try {
+            for (let i = 0; i < this.pendingQueue.length && this.canSend();) {
+                const payload = this.pendingQueue[i];
+                const block = this.outboundBlock(payload);
+                if (!block) {
+                    this.pendingQueue.splice(i, 1);
+                    this.takeOutboundSlot(payload);
+                    this.transmit(payload);
+                    continue;
+                }
+                if (block.reason === 'rate') {
+                    // Only that route waits; the rest of the queue keeps moving
+                    waitMs = Math.min(waitMs ?? Infinity, block.waitMs);
+                    i++;
+                    continue;
+                }
+                if (block.reason === 'buffered') {
+                    waitMs = block.waitMs;
+                    buffered = true;
+                }
+                break;
+            }
+        } finally {
+            this.flushing = false;
+        }
+        // Events only on a paused ↔ resumed transition
+        if (buffered !== this.flowPaused) this.setFlowPaused(buffered);
+        if (waitMs !== null) this.scheduleFlush(waitMs);
+    }
+
+    scheduleFlush(ms) {
+        if (this.flowTimer) this.timers.clearTimeout(this.flowTimer);
+        this.flowTimer = this.timers.setTimeout(() => {
+            this.flowTimer = null;
+            this.flushQueue();
+        }, ms);
+    }
+
+    setFlowPaused(paused) {
+        this.flowPaused = paused;
+        this.emit(paused ? 'flow:paused' : 'flow:resumed', {
+            reason: 'buffered',
+            bufferedAmount: this.ws?.bufferedAmount ?? 0,
+            queued: this.pendingQueue.length
+        });
+    }
+
+    // Auth payloads skip every limit but a full socket buffer; system ones wait for the
+    // handshake and skip the in-flight and rate limits. null → may go now.
+    outboundBlock(payload) {
+        if (this.transport === 'ws' && this.maxBufferedBytes && this.ws?.bufferedAmount > this.maxBufferedBytes) {
+            return { reason: 'buffered', waitMs: this.drainCheckMs };
+        }
+        const priority = this.priorityOf(payload);
+        if (priority <= BintelxClient.priorities.auth) return null;
+        // Queued traffic waits for the handshake
+        if (this.state !== 'ready') return { reason: 'ready' };
+        if (priority <= BintelxClient.priorities.system) return null;
+        if (this.maxInflight && payload.correlation_id && this.inflightCount >= this.maxInflight) {
+            return { reason: 'inflight' };
+        }
+        const bucket = this.rateBucketFor(payload.route);
+        const waitMs = bucket ? this.bucketWait(bucket) : 0;
+        return waitMs > 0 ? { reason: 'rate', waitMs } : null;
+    }
+
+    takeOutboundSlot(payload) {
+        if (this.priorityOf(payload) <= BintelxClient.priorities.system) return;
+        const bucket = this.rateBucketFor(payload.route);
+        if (bucket) bucket.tokens -= 1;
+        const entry = payload.correlation_id ? this.correlationResolvers.get(payload.correlation_id) : null;
+        if (entry && this.maxInflight) {
+            entry.counted = true;
+            this.inflightCount += 1;
+        }
+    }
+
+    releaseOutboundSlot(entry) {
+        if (!entry.counted) return false;
+        entry.counted = false;
+        this.inflightCount -= 1;
+        return true;
+    }
+
+    // Behind every queued payload of the same or a higher priority
+    enqueue(payload) {
+        const priority = this.priorityOf(payload);
+        let i = this.pendingQueue.length;
+        while (i > 0 && this.priorityOf(this.pendingQueue[i - 1]) > priority) i--;
+        this.pendingQueue.splice(i, 0, payload);
+    }
+
+    // auth: handshake + fingerprint; system: the rest of /api/ws/* (acks, pending,
+    // subscribe) except publish; everything else normal unless request(..., { priority })
+    priorityFor(route, priority) {
+        const levels = BintelxClient.priorities;
+        if (priority !== undefined) {
+            return typeof priority === 'number' ? priority : (levels[priority] ?? levels.normal);
+        }
+        const path = String(route || '').split('?')[0];
+        if (path === this.handshakeRoute || path === '/api/ws/auth' || path === '/api/ws/fingerprint') {
+            return levels.auth;
+        }
+        if (path.startsWith('/api/ws/') && path !== '/api/ws/publish') return levels.system;
+        return levels.normal;
+    }
+
+    priorityOf(payload) {
+        return this.payloadPriority.get(payload) ?? BintelxClient.priorities.normal;
+    }
+
+    // '*' matches anything (including '/'); RegExps are used as given
+    compileRateLimits(limits) {
+        if (!limits) return [];
+        const entries = Array.isArray(limits)
+            ? limits
+            : Object.entries(limits).map(([match, limit]) => ({ ...limit, match }));
+        return entries.map(({ match, rate, burst }) => {
+            const regex = match instanceof RegExp
+                ? match
+                : new RegExp(`^${String(match).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+            const capacity = burst ?? Math.max(1, rate);
+            return { pattern: String(match), regex, rate, burst: capacity, tokens: capacity, updatedAt: this.now() };
         });
     }
 
-    transitionToReady(handshakeResponse) {
-        this.state = 'ready';
-        this.emit('ready', handshakeResponse || {});
-        this.subscribeSystemChannels();
-        this.resubscribeAll();
-        this.fetchPending().catch(() => {});
+    rateBucketFor(route) {
+        if (!this.rateLimits.length) return null;
+        const path = String(route || '').split('?')[0];
+        return this.rateLimits.find(bucket => bucket.regex.test(path)) || null;
     }
 
-    resubscribeAll() {
-        this.activeSubscriptions.forEach((channel) => {
-            this.request('/api/ws/subscribe', { channel });
+    // Refills the bucket; ms until it holds a whole token
+    bucketWait(bucket) {
+        const now = this.now();
+        bucket.tokens = Math.min(bucket.burst, bucket.tokens + ((now - bucket.updatedAt) * bucket.rate) / 1000);
+        bucket.updatedAt = now;
+        return bucket.tokens >= 1 ? 0 : Math.ceil(((1 - bucket.tokens) * 1000) / bucket.rate);
+    }
+
+    // channel.server closes on frames above package_max_length; fail before that
+    checkPayloadSize(payload) {
+        if (!this.maxPayloadBytes) return null;
+        const bytes = new TextEncoder().encode(JSON.stringify(payload)).length;
+        if (bytes <= this.maxPayloadBytes) return null;
+        const err = BintelxError.create(413, `Payload for ${payload.route || payload.type} is ${bytes} bytes; the limit is ${this.maxPayloadBytes}`, {
+            code: 'ETOOLARGE',
+            route: payload.route ?? null,
+            correlationId: payload.correlation_id ?? null
         });
+        return Object.assign(err, { bytes, limit: this.maxPayloadBytes });
     }
 
-    subscribeSystemChannels() {
-        this.systemChannels.forEach((channel) => {
-            if (!this.activeSubscriptions.has(channel)) {
-                this.subscribe(channel, { persistent: true });
+    // Correlated payloads resolve with the server's api_response, even when
+    // queued offline; uncorrelated ones resolve as soon as they are written.
+    sendPayload(payload, reqOptions = {}) {
+        const tooLarge = this.checkPayloadSize(payload);
+        if (tooLarge) {
+            return Promise.reject(tooLarge);
+        }
+        this.payloadPriority.set(payload, this.priorityFor(payload.route, reqOptions.priority));
+        if (!payload.correlation_id) {
+            if (!this.canSend() || this.pendingQueue.length || this.outboundBlock(payload)) {
+                this.enqueue(payload);
+                this.flushQueue();
+                return Promise.resolve({ queued: true });
             }
+            this.takeOutboundSlot(payload);
+            return this.transmit(payload) ? Promise.resolve({ sent: true }) : Promise.reject(new BintelxTransportError('Send failed', { route: payload.route }));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.trackRequest(payload, reqOptions, resolve, reject);
+            this.enqueue(payload);
+            this.flushQueue();
         });
     }
 
-    /* ------------------------------------------------------------------ */
-    /* Messaging Helpers                                                  */
-    /* ------------------------------------------------------------------ */
-
-    startHeartbeat() {
-        if (this.heartbeat) {
-            clearInterval(this.heartbeat);
+    transmit(payload) {
+        const entry = payload.correlation_id ? this.correlationResolvers.get(payload.correlation_id) : null;
+        this.inspector?.outbound(payload);
+        if (this.transport === 'tab') {
+            this.tabs.send(payload);
+            if (entry) entry.sent = true;
+            return true;
         }
-        this.heartbeat = setInterval(() => {
-            if (this.isConnected()) {
-                try {
-                    this.ws.send(JSON.stringify({ type: 'ping', ts: Date.now() }));
-                } catch (err) {
+        if (this.transport === 'http') {
+            // Not marked sent: a fetch outlives socket closes, settleInflight() leaves it alone
+            this.httpTransport.send(payload).then((reply) => this.handlePayload(reply), (err) => {
+                if (entry) {
+                    this.settleRequest(payload.correlation_id, entry, null, BintelxError.from(err, payload.route));
+                } else {
                     this.emit('error', err);
                 }
+            });
+            return true;
+        }
+        try {
+            this.ws.send(JSON.stringify(payload));
+            if (entry) entry.sent = true;
+            return true;
+        } catch (err) {
+            if (entry) {
+                this.settleRequest(payload.correlation_id, entry, null, BintelxError.from(err, payload.route));
+            } else {
+                this.emit('error', err);
             }
-        }, this.keepAliveIntervalMs);
+            return false;
+        }
     }
 
-    flushQueue() {
-        if (!this.isConnected() || !this.pendingQueue.length) {
-            return;
+    // Leader tab: a follower's request waits in the queue like our own (rate limits,
+    // flow control). false when the socket is gone; the follower is told to settle it.
+    forwardPayload(payload) {
+        if (!this.canSend()) return false;
+        this.payloadPriority.set(payload, this.priorityFor(payload.route));
+        this.enqueue(payload);
+        this.flushQueue();
+        return true;
+    }
+
+    trackRequest(payload, reqOptions, resolve, reject) {
+        const id = payload.correlation_id;
+        const previous = this.correlationResolvers.get(id);
+        if (previous) {
+            this.settleRequest(id, previous, null, new Error(`Correlation id ${id} reused before a response arrived`));
         }
-        const queue = [...this.pendingQueue];
-        this.pendingQueue = [];
-        queue.forEach((payload) => this.sendPayload(payload));
+
+        const entry = {
+            resolve,
+            reject,
+            payload,
+            sent: false,
+            timer: null,
+            closePolicy: reqOptions.closePolicy || this.closePolicy
+        };
+        const timeoutMs = reqOptions.timeoutMs ?? this.requestTimeoutMs;
+        if (timeoutMs > 0) {
+            entry.timer = this.timers.setTimeout(() => {
+                this.pendingQueue = this.pendingQueue.filter((queued) => queued !== payload);
+                this.settleRequest(id, entry, null, new BintelxTimeoutError(payload.route, timeoutMs, id));
+            }, timeoutMs);
+        }
+        this.correlationResolvers.set(id, entry);
     }
 
-    sendPayload(payload) {
-        return new Promise((resolve, reject) => {
-            if (!this.isConnected()) {
-                this.pendingQueue.push(payload);
-                return resolve({ queued: true });
-            }
+    settleRequest(correlationId, entry, response, error = null) {
+        if (this.correlationResolvers.get(correlationId) !== entry) return;
+        this.correlationResolvers.delete(correlationId);
+        this.inspector?.settle(correlationId, entry.payload, error);
+        if (entry.timer) this.timers.clearTimeout(entry.timer);
+        if (error) {
+            entry.reject(error);
+        } else {
+            entry.resolve(response);
+        }
+        // A freed in-flight slot lets the next queued request out
+        if (this.releaseOutboundSlot(entry)) this.flushQueue();
+    }
 
-            try {
-                const json = JSON.stringify(payload);
-                if (payload.correlation_id) {
-                    this.correlationResolvers.set(payload.correlation_id, { resolve, reject });
-                }
-                this.ws.send(json);
-                if (!payload.correlation_id) {
-                    resolve({ sent: true });
-                }
-            } catch (err) {
-                reject(err);
-            }
+    // Requests already written to a dead socket will never see their reply:
+    // reject them or put them back in the queue. Unsent ones stay queued.
+    settleInflight() {
+        const requeue = [];
+        this.correlationResolvers.forEach((entry, id) => {
+            if (entry.sent && this.settleClosed(id, entry)) requeue.push(entry.payload);
+        });
+        if (requeue.length) {
+            // Requeued first within their priority (sort is stable)
+            this.pendingQueue = [...requeue, ...this.pendingQueue]
+                .sort((a, b) => this.priorityOf(a) - this.priorityOf(b));
+        }
+    }
+
+    // closePolicy of one request the close caught; true when it goes back to the queue
+    settleClosed(id, entry) {
+        const policy = typeof entry.closePolicy === 'function'
+            ? entry.closePolicy(entry.payload)
+            : entry.closePolicy;
+        if (policy === 'requeue') {
+            entry.sent = false;
+            this.releaseOutboundSlot(entry);
+            return true;
+        }
+        const err = new BintelxTransportError(`Connection closed before ${entry.payload.route} responded`, {
+            code: 'ECONNCLOSED',
+            route: entry.payload.route,
+            correlationId: id
+        });
+        this.settleRequest(id, entry, null, err);
+        return false;
+    }
+
+    // Follower tab: the leader lost its socket before our request went out. A requeued
+    // one waits for the next flush (the leader's 'ready') instead of bouncing right back.
+    settleUnsent(id) {
+        const entry = this.correlationResolvers.get(id);
+        if (entry?.sent && this.settleClosed(id, entry)) this.enqueue(entry.payload);
+    }
+
+    // Manual disconnect: nothing reconnects on its own, so queued requests would only
+    // wait for their timeout (or forever with requestTimeoutMs 0)
+    rejectQueued() {
+        const queued = this.pendingQueue;
+        this.pendingQueue = [];
+        queued.forEach((payload) => {
+            const id = payload.correlation_id;
+            const entry = id ? this.correlationResolvers.get(id) : null;
+            if (!entry) return;
+            this.settleRequest(id, entry, null, new BintelxTransportError(`Client disconnected before ${payload.route} was sent`, {
+                code: 'ECONNCLOSED',
+                route: payload.route,
+                correlationId: id
+            }));
         });
     }
 
     buildRequestPayload(route, body, reqOptions) {
+        if (reqOptions.format) {
+            route = this.withFormat(route, reqOptions.format);
+        }
         const correlation_id = reqOptions.correlationId || this.nextCorrelationId();
         const method = (reqOptions.method || 'POST').toUpperCase();
-        const token = reqOptions.token || this.cachedToken || null;
 
         const payload = {
             route,
@@ -465,28 +4935,136 @@ class BintelxClient {
         if (reqOptions.headers) {
             payload.headers = reqOptions.headers;
         }
-        if (token) {
-            payload.token = token;
-        }
-        const meta = Object.assign({}, reqOptions.meta || {});
-        if (this.serverFingerprint) {
-            meta.fingerprint = this.serverFingerprint;
-        }
-        if (this.deviceId) {
-            meta.device_id = this.deviceId;
-        }
-        if (Object.keys(meta).length) {
-            payload.meta = meta;
+        if (reqOptions.meta && Object.keys(reqOptions.meta).length) {
+            payload.meta = { ...reqOptions.meta };
         }
         return payload;
     }
 
+    /* ------------------------------------------------------------------ */
+    /* Middleware                                                         */
+    /* ------------------------------------------------------------------ */
+
+    defaultMiddleware() {
+        return [
+            {
+                name: 'retry',
+                request: async (ctx, next) => {
+                    const policy = this.retryPolicyFor(ctx);
+                    for (let attempt = 0; ; attempt++) {
+                        try {
+                            return await next();
+                        } catch (err) {
+                            if (!policy || !err?.retryable || attempt >= policy.retries) throw err;
+                            const delayMs = this.retryDelay(policy, attempt, err);
+                            this.emit('retry', { route: ctx.route, attempt: attempt + 1, delayMs, error: err });
+                            await new Promise(resolve => this.timers.setTimeout(resolve, delayMs));
+                        }
+                    }
+                }
+            },
+            {
+                name: 'token',
+                request: (ctx, next) => {
+                    const token = ctx.options.token || this.cachedToken || null;
+                    if (token) {
+                        ctx.payload.token = token;
+                    }
+                    return next();
+                }
+            },
+            {
+                name: 'fingerprint',
+                request: (ctx, next) => {
+                    const meta = { ...(ctx.payload.meta || {}) };
+                    if (this.serverFingerprint) {
+                        meta.fingerprint = this.serverFingerprint;
+                    }
+                    if (this.deviceId) {
+                        meta.device_id = this.deviceId;
+                    }
+                    if (Object.keys(meta).length) {
+                        ctx.payload.meta = meta;
+                    }
+                    return next();
+                }
+            },
+            {
+                name: 'decode',
+                response: (ctx, next) => {
+                    this.decodeResponse(ctx.payload);
+                    return next();
+                }
+            }
+        ];
+    }
+
+    // Only the policy's methods (GET/HEAD by default) are retried, and only retryable errors
+    retryPolicyFor(ctx) {
+        const option = ctx.options.retry ?? this.retryPolicy;
+        if (!option) return null;
+        const policy = {
+            retries: 3,
+            baseDelayMs: 250,
+            maxDelayMs: 10000,
+            methods: ['GET', 'HEAD'],
+            ...(option === true ? {} : option)
+        };
+        return policy.methods.includes(ctx.payload.method) ? policy : null;
+    }
+
+    // Exponential with jitter in [ceiling/2, ceiling]; a 429 with retry_after wins
+    retryDelay(policy, attempt, err) {
+        if (err.retryAfterMs) return err.retryAfterMs;
+        const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    runRequestPipeline(payload, reqOptions = {}) {
+        const ctx = { client: this, route: payload.route, options: reqOptions, payload, attempt: 0 };
+        const chain = this.middleware.filter(item => typeof item.request === 'function');
+        const dispatch = (i) => {
+            if (i === chain.length) return this.sendRequest(ctx);
+            return Promise.resolve().then(() => chain[i].request(ctx, () => dispatch(i + 1)));
+        };
+        return dispatch(0);
+    }
+
+    sendRequest(ctx) {
+        // A retry is a new request on the wire: fresh correlation id unless the caller pinned one
+        if (ctx.attempt++ > 0 && !ctx.options.correlationId) {
+            ctx.payload = { ...ctx.payload, correlation_id: this.nextCorrelationId() };
+        }
+        return this.sendPayload(ctx.payload, ctx.options);
+    }
+
+    runResponsePipeline(payload) {
+        const ctx = { client: this, payload };
+        const chain = this.middleware.filter(item => typeof item.response === 'function');
+        const dispatch = (i) => {
+            if (i === chain.length) return this.dispatchPayload(ctx.payload);
+            return chain[i].response(ctx, () => dispatch(i + 1));
+        };
+        return dispatch(0);
+    }
+
+    // Router::detectFormat picks json|scon|toon from the route extension;
+    // only routes registered with that suffix accept it.
+    withFormat(route, format) {
+        const [path, qs] = route.split('?');
+        const base = path.replace(/\.(json|scon|toon)$/i, '');
+        return `${base}.${format}` + (qs !== undefined ? `?${qs}` : '');
+    }
+
     nextCorrelationId() {
         this.correlationCounter += 1;
         return `${this.correlationPrefix}_${this.correlationCounter}`;
     }
 
     async resolveToken() {
+        if (this.activeToken) {
+            return this.activeToken;
+        }
         try {
             const token = await this.tokenProvider();
             if (token) {
@@ -499,6 +5077,38 @@ class BintelxClient {
         }
     }
 
+    // 'browser' (default when a DOM exists) | false | { generate() } (e.g. a configured
+    // BintelxClient.Fingerprint) | () => data | static data
+    resolveFingerprint(strategy, options = {}) {
+        if (strategy === undefined) {
+            strategy = typeof document !== 'undefined' ? 'browser' : false;
+        }
+        if (strategy === false || strategy === null || strategy === 'none') {
+            return Promise.resolve(null);
+        }
+        try {
+            if (strategy === 'browser') {
+                this.fingerprinter = this.fingerprinter || new BintelxFingerprint({ timers: this.timers });
+                return this.fingerprinter.generate(options);
+            }
+            if (typeof strategy === 'function') {
+                return Promise.resolve(strategy());
+            }
+            if (typeof strategy.generate === 'function') {
+                if (strategy instanceof BintelxFingerprint) this.fingerprinter = strategy;
+                return Promise.resolve(strategy.generate(options));
+            }
+            return Promise.resolve(strategy);
+        } catch (err) {
+            return Promise.reject(err);
+        }
+    }
+
+    // Which components moved since the stored fingerprint (browser collectors only)
+    fingerprintDiagnostics() {
+        return this.fingerprinter ? this.fingerprinter.diagnose() : Promise.resolve(null);
+    }
+
     async getFingerprint() {
         if (this.fingerprintData) return this.fingerprintData;
         if (this.fingerprintPromise) {
@@ -525,36 +5135,428 @@ class BintelxClient {
             this.emit('error', new Error('Invalid JSON payload from server'));
             return;
         }
+        this.handlePayload(payload);
+    }
+
+    // Socket frames and normalized HTTP replies take the same path, in arrival order
+    handlePayload(payload) {
+        this.inspector?.inbound(payload);
+        // Leader tab: replies to proxied requests belong to their tab
+        if (this.tabs?.relay(payload)) return;
+        this.inbound = this.inbound
+            .then(() => this.runResponsePipeline(payload))
+            .catch((err) => this.emit('error', err));
+    }
+
+    dispatchPayload(payload) {
+        const awaited = this.resolveFrameWaiter(payload);
 
         if (payload.correlation_id && this.correlationResolvers.has(payload.correlation_id)) {
-            const resolver = this.correlationResolvers.get(payload.correlation_id);
-            this.correlationResolvers.delete(payload.correlation_id);
+            const entry = this.correlationResolvers.get(payload.correlation_id);
             if (payload.status && payload.status !== 'success') {
-                resolver.reject(payload);
+                this.settleRequest(payload.correlation_id, entry, null, BintelxError.from(payload));
             } else {
-                resolver.resolve(payload);
+                this.settleRequest(payload.correlation_id, entry, payload);
             }
         }
 
         if (payload.type === 'system') {
             this.handleSystemMessage(payload);
-        } else if (payload.type === 'error') {
+        } else if ((payload.type === 'message' || payload.type === 'channel_message') && payload.channel) {
+            this.receiveChannelMessage(payload);
+        } else if (payload.type === 'pong') {
+            this.recordPong(payload);
+        } else if (payload.type === 'unsubscribed' && !awaited && this.activeSubscriptions.has(payload.channel)) {
+            // Dropped by the server without us asking
+            this.setSubscriptionState(payload.channel, 'revoked');
+        } else if (payload.type === 'error' && !awaited) {
+            this.emit('error', BintelxError.from(payload));
             if (payload.event === 'device_mismatch') {
                 this.emit('device:mismatch', payload);
+                // Relayed to a follower: the leader owns the socket and recovers it
+                if (this.transport !== 'tab') this.handleDeviceMismatch(payload);
             }
-            this.emit('error', payload);
         }
 
         this.emit('message', payload);
     }
 
+    // Non-JSON bodies arrive as raw strings tagged with _fmt. Endpoints that set the
+    // content type with header() instead of Response come back as { raw } without
+    // _fmt; for those the format is taken from the route extension in _l.
+    decodeResponse(payload) {
+        let format = payload._fmt;
+        let raw = payload.data;
+        if (!format && payload.data && typeof payload.data.raw === 'string' && Object.keys(payload.data).length === 1) {
+            format = (payload._l || '').match(/\.(scon|toon)(?:\?|$)/)?.[1];
+            raw = payload.data.raw;
+        }
+        const decoder = format && this.responseDecoders.get(format);
+        if (!decoder || typeof raw !== 'string') return;
+        try {
+            payload.data = decoder(raw);
+            payload._fmt = format;
+            payload._raw = raw;
+        } catch (err) {
+            this.emit('warn', new Error(`Could not decode ${format} response: ${err.message}`));
+        }
+    }
+
+    receiveChannelMessage(payload) {
+        if (this.replayHolding) {
+            this.replayBuffer.push(payload);
+            return;
+        }
+        this.dispatchChannelMessage(payload);
+    }
+
+    // Pending rows come from channel_messages; reshape them like live pushes.
+    normalizePendingMessage(row) {
+        let message = row.payload;
+        if (typeof message === 'string') {
+            try { message = JSON.parse(message); } catch { /* keep raw string */ }
+        }
+        // created_at is DATETIME(6) in the connection time zone (DEFAULT_TIMEZONE, UTC by default)
+        const createdAt = row.created_at ? Date.parse(String(row.created_at).replace(' ', 'T') + 'Z') : NaN;
+        return {
+            type: 'message',
+            message_id: row.message_id,
+            channel: row.channel,
+            message,
+            from: {
+                account_id: row.from_account_id ?? null,
+                profile_id: row.from_profile_id ?? null
+            },
+            priority: row.priority,
+            timestamp: Number.isNaN(createdAt) ? 0 : createdAt / 1000,
+            replayed: true
+        };
+    }
+
+    // A slow /api/ws/pending must not stall live traffic: after replayHoldMs the
+    // buffer goes out and later live messages pass straight through.
+    holdReplay() {
+        this.replayDepth += 1;
+        if (this.replayDepth > 1) return;
+        this.replayHolding = true;
+        this.replayTimer = this.timers.setTimeout(() => {
+            this.replayTimer = null;
+            this.replayHolding = false;
+            this.releaseReplay([]);
+        }, this.replayHoldMs);
+    }
+
+    mergeReplay(replayed) {
+        if (this.replayDepth > 0 && this.replayHolding) {
+            this.replayBuffer.push(...replayed);
+            return;
+        }
+        if (this.replayDepth === 0) {
+            if (this.replayTimer) this.timers.clearTimeout(this.replayTimer);
+            this.replayTimer = null;
+            this.replayHolding = false;
+        }
+        this.releaseReplay(replayed);
+    }
+
+    // Replayed rows first within the same second: they were stored before the live push
+    releaseReplay(replayed) {
+        const merged = [...replayed, ...this.replayBuffer];
+        this.replayBuffer = [];
+        merged
+            .map((message, i) => ({ message, i, at: this.messageSecond(message) }))
+            .sort((a, b) => (a.at - b.at) || (a.i - b.i))
+            .forEach(({ message }) => this.dispatchChannelMessage(message));
+    }
+
+    // Live frames carry time() seconds, pending rows DATETIME(6): compare whole seconds
+    messageSecond(message) {
+        const timestamp = Number(message.timestamp) || 0;
+        return Math.floor(timestamp > 1e11 ? timestamp / 1000 : timestamp);
+    }
+
+    // Records message_id for the channel; false when it was already delivered.
+    markSeen(channel, messageId) {
+        if (!messageId) return true;
+        let seen = this.seenMessages.get(channel);
+        if (!seen) {
+            seen = new Map();
+            this.seenMessages.set(channel, seen);
+        }
+        if (seen.has(messageId)) {
+            seen.delete(messageId);
+            seen.set(messageId, true);
+            return false;
+        }
+        seen.set(messageId, true);
+        if (seen.size > this.seenLimit) {
+            seen.delete(seen.keys().next().value);
+        }
+        return true;
+    }
+
+    dispatchChannelMessage(payload) {
+        if (!this.markSeen(payload.channel, payload.message_id)) return;
+        this.attachAck(payload);
+        // Followers leave acks to the leader tab, which sees every message too
+        if (this.autoAck && payload.message_id && this.transport !== 'tab') {
+            this.ack(payload.message_id).catch(() => {});
+        }
+        // Sealed messages and key traffic: delivered (decrypted, in order) by client.e2e
+        if (this.e2e?.handles(payload)) {
+            this.e2e.receive(payload);
+            return;
+        }
+        this.deliverChannelMessage(payload);
+    }
+
+    deliverChannelMessage(payload) {
+        this.emit('channel:message', payload);
+        this.channelConsumers.forEach((consumers) => {
+            consumers.forEach((sub) => {
+                if (sub.matches(payload.channel)) sub.deliver(payload);
+            });
+        });
+    }
+
     handleSystemMessage(payload) {
         const event = payload.event || payload.channel || 'system';
         if (event.includes('logout')) {
             this.emit('system:logout', payload);
+            this.endSession('logout', { payload });
         } else if (event.includes('permissions')) {
             this.emit('system:permissions', payload);
+            const permissions = this.routePermissions(payload.permissions ?? payload.data?.permissions);
+            if (permissions) {
+                this.setPermissions(permissions);
+            } else {
+                this.refreshPermissions().catch(err => this.emit('warn', err));
+            }
+        }
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* HTTP fallback                                                      */
+    /* ------------------------------------------------------------------ */
+
+    // wss://host/ws/ → https://host/ws: channel.server's own HTTP handler, behind the same
+    // proxy location as the socket (routes are appended as /api/...)
+    deriveHttpUrl(wsUrl) {
+        try {
+            const url = new URL(wsUrl);
+            url.protocol = url.protocol === 'wss:' ? 'https:' : 'http:';
+            return `${url.origin}${url.pathname.replace(/\/$/, '')}`;
+        } catch {
+            return '';
+        }
+    }
+
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    useHttpTransport() {
+        if (this.transport === 'http') return;
+        this.transport = 'http';
+        this.state = 'connected';
+        this.ws = null;
+        this.emit('transport', { mode: 'http', failures: this.socketFailures });
+        this.flushQueue();
+        this.authenticate().catch((err) => this.emit('error', err));
+        if (this.WebSocket) {
+            this.upgradeTimer = this.timers.setTimeout(() => this.tryWebSocket(), this.upgradeIntervalMs);
+        }
+    }
+
+    // One socket attempt; a single failure drops straight back to HTTP.
+    tryWebSocket() {
+        if (this.transport !== 'http') return;
+        this.stopHttpTransport();
+        this.markSubscriptionsPending();
+        this.socketFailures = this.fallbackAfter - 1;
+        this.state = 'disconnected';
+        this.emit('transport', { mode: 'ws', failures: this.socketFailures });
+        this.connect();
+    }
+
+    stopHttpTransport() {
+        if (this.pollTimer) {
+            this.timers.clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+        if (this.upgradeTimer) {
+            this.timers.clearTimeout(this.upgradeTimer);
+            this.upgradeTimer = null;
+        }
+        this.transport = 'ws';
+    }
+
+    startPolling() {
+        if (this.pollTimer) {
+            this.timers.clearInterval(this.pollTimer);
+        }
+        this.pollTimer = this.timers.setInterval(() => {
+            if (this.replayDepth === 0) {
+                this.fetchPending().catch((err) => this.emit('warn', err));
+            }
+        }, this.pollIntervalMs);
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Persistent queue                                                   */
+    /* ------------------------------------------------------------------ */
+
+    resolveQueueStorage(option) {
+        if (!option) return null;
+        if (option !== true) return option;
+        if (typeof indexedDB === 'undefined') {
+            this.emit('warn', new Error('IndexedDB unavailable; persistent queue kept in memory'));
+            return new BintelxMemoryQueueStorage();
+        }
+        return new BintelxIdbQueueStorage();
+    }
+
+    // The entry stays in storage until the server answers; replays after a reload
+    // carry the same idempotency key so the server returns its stored response.
+    requestDurable(route, body, reqOptions) {
+        const { method, query, headers, format, meta } = reqOptions;
+        const now = Date.now();
+        const entry = {
+            key: reqOptions.idempotencyKey || this.generateIdempotencyKey(),
+            route,
+            body,
+            options: { method, query, headers, format, meta },
+            createdAt: now,
+            expiresAt: now + (reqOptions.ttlMs ?? this.queueTtlMs)
+        };
+        if (!this.durableEntries.has(entry.key) && this.durableEntries.size >= this.queueMaxSize) {
+            const err = Object.assign(new Error(`Persistent queue full (${this.queueMaxSize})`), { code: 'EQUEUEFULL' });
+            this.emit('queue:dropped', { key: entry.key, route, reason: 'overflow', error: err });
+            return Promise.reject(err);
+        }
+        this.durableEntries.set(entry.key, entry);
+        this.queueStorage.put(entry).catch((err) => this.emit('warn', err));
+        return this.sendDurable(entry);
+    }
+
+    sendDurable(entry) {
+        const remaining = entry.expiresAt - Date.now();
+        if (remaining <= 0) {
+            const err = new BintelxTimeoutError(entry.route, entry.expiresAt - entry.createdAt);
+            this.dropDurable(entry, 'expired', err);
+            return Promise.reject(err);
+        }
+        const options = entry.options || {};
+        const payload = this.buildRequestPayload(entry.route, entry.body, {
+            ...options,
+            meta: { ...(options.meta || {}), idempotency_key: entry.key }
+        });
+        // Sent-but-unanswered entries are always requeued: the key makes the resend safe
+        return this.runRequestPipeline(payload, {
+            ...options,
+            timeoutMs: remaining,
+            closePolicy: 'requeue'
+        }).then((response) => {
+            this.completeDurable(entry, response);
+            return response;
+        }, (err) => {
+            if (err?.code === 'ETIMEDOUT') {
+                this.dropDurable(entry, 'expired', err);
+            } else if (!this.durableEntries.has(entry.key)) {
+                // Dropped meanwhile (session ended)
+            } else if (err instanceof BintelxTransportError) {
+                return this.parkDurable(entry, err);
+            } else if (err?.statusCode && err.retryable) {
+                // 5xx, 429 or a key still in progress is sent again; anything else would not change
+                return this.retryDurable(entry, err);
+            } else {
+                this.dropDurable(entry, 'rejected', err);
+            }
+            throw err;
+        });
+    }
+
+    // Never reached the server (manual disconnect, failed send): the caller's promise
+    // stays pending and the entry goes out again on the next ready, or expires
+    parkDurable(entry, err) {
+        return new Promise((resolve, reject) => {
+            const wake = (error = null) => {
+                this.timers.clearTimeout(entry.parked.timer);
+                entry.parked = null;
+                if (error || !this.durableEntries.has(entry.key)) {
+                    reject(error || err);
+                } else {
+                    resolve();
+                }
+            };
+            entry.parked = { wake, timer: this.timers.setTimeout(() => wake(), Math.max(0, entry.expiresAt - Date.now())) };
+        }).then(() => this.sendDurable(entry));
+    }
+
+    resumeParkedDurable() {
+        [...this.durableEntries.values()].forEach(entry => entry.parked?.wake());
+    }
+
+    // The caller's promise follows the retries until a reply, a rejection or the entry's TTL
+    retryDurable(entry, err) {
+        entry.attempts = (entry.attempts || 0) + 1;
+        const delayMs = err.retryAfterMs || Math.min(this.maxBackoffMs, 1000 * 2 ** (entry.attempts - 1));
+        this.emit('queue:retry', { key: entry.key, route: entry.route, attempt: entry.attempts, delayMs, error: err });
+        return new Promise(resolve => this.timers.setTimeout(resolve, delayMs)).then(() => {
+            // Dropped meanwhile (session ended)
+            if (!this.durableEntries.has(entry.key)) throw err;
+            return this.sendDurable(entry);
+        });
+    }
+
+    // Entries left by a previous page load go out once, after the first handshake.
+    resumeStoredQueue() {
+        if (!this.storedQueue) return;
+        const stored = this.storedQueue;
+        this.storedQueue = null;
+        stored.then((entries) => {
+            entries
+                .filter(entry => !this.durableEntries.has(entry.key))
+                .sort((a, b) => a.createdAt - b.createdAt)
+                .forEach((entry) => {
+                    if (this.durableEntries.size >= this.queueMaxSize) {
+                        this.dropDurable(entry, 'overflow');
+                        return;
+                    }
+                    this.durableEntries.set(entry.key, entry);
+                    this.sendDurable(entry).catch(() => {});
+                });
+        });
+    }
+
+    completeDurable(entry, response) {
+        this.durableEntries.delete(entry.key);
+        this.queueStorage.delete(entry.key).catch((err) => this.emit('warn', err));
+        // partial: a replay whose stored response was too large to keep its data
+        this.emit('queue:flushed', {
+            key: entry.key,
+            route: entry.route,
+            response,
+            replayed: !!response?.replayed,
+            partial: !!response?.partial
+        });
+    }
+
+    dropDurable(entry, reason, error = null) {
+        this.durableEntries.delete(entry.key);
+        entry.parked?.wake(error || new BintelxTransportError(`${entry.route} dropped from the persistent queue (${reason})`, {
+            code: 'EDROPPED',
+            route: entry.route
+        }));
+        this.queueStorage.delete(entry.key).catch((err) => this.emit('warn', err));
+        this.emit('queue:dropped', { key: entry.key, route: entry.route, reason, error });
+    }
+
+    generateIdempotencyKey() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
         }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
     }
 
     /* ------------------------------------------------------------------ */
@@ -567,16 +5569,124 @@ class BintelxClient {
         }
         this.state = 'disconnected';
         this.cleanupConnection();
-        this.backoffMs = this.backoffMs ? Math.min(this.backoffMs * 2, this.maxBackoffMs) : 1000;
-        this.emit('reconnecting', { in: this.backoffMs });
+        if (this.isOffline()) {
+            // The 'online' listener reconnects
+            this.emit('reconnecting', { in: null, offline: true, url: this.url });
+            return;
+        }
+        const attempt = this.reconnectAttempts + 1;
+        const delay = attempt > this.reconnectPolicy.maxAttempts ? null : this.reconnectDelay(attempt);
+        if (delay === null || delay === undefined || delay === false) {
+            this.giveUp(null, 'max attempts');
+            return;
+        }
+        this.reconnectAttempts = attempt;
+        this.backoffMs = delay;
+        this.emit('reconnecting', { in: delay, attempt, url: this.url });
 
-        this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = this.timers.setTimeout(() => {
             this.connect();
-        }, this.backoffMs);
+        }, delay);
     }
 
     resetBackoff() {
         this.backoffMs = 0;
+        this.reconnectAttempts = 0;
+    }
+
+    // Public: retry after the client gave up ('failed') or reconnect right away
+    reconnect() {
+        this.manualClose = false;
+        this.reconnectNow();
+    }
+
+    resolveReconnectPolicy(option) {
+        const policy = typeof option === 'function' || typeof option === 'string'
+            ? { strategy: option }
+            : { ...(option || {}) };
+        return {
+            strategy: 'full-jitter',
+            baseMs: 1000,
+            maxMs: this.maxBackoffMs,
+            maxAttempts: Infinity,
+            ...policy
+        };
+    }
+
+    // Without jitter every client hits a restarted server in the same instant
+    reconnectDelay(attempt) {
+        const { strategy, baseMs, maxMs } = this.reconnectPolicy;
+        const previousMs = this.backoffMs;
+        if (typeof strategy === 'function') {
+            return strategy({ attempt, previousMs, baseMs, maxMs, url: this.url });
+        }
+        const ceiling = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+        switch (strategy) {
+            case 'exponential':
+                return ceiling;
+            case 'decorrelated-jitter': {
+                const upper = Math.max(baseMs, (previousMs || baseMs) * 3);
+                return Math.min(maxMs, Math.round(baseMs + Math.random() * (upper - baseMs)));
+            }
+            case 'full-jitter':
+                return Math.round(Math.random() * ceiling);
+            default:
+                throw new Error(`Unknown reconnect strategy: ${strategy}`);
+        }
+    }
+
+    giveUp(code, reason) {
+        this.cleanupConnection();
+        this.state = 'failed';
+        this.emit('reconnect:failed', { attempts: this.reconnectAttempts, code, reason, url: this.url });
+    }
+
+    pauseForToken(code) {
+        this.cleanupConnection();
+        this.state = 'disconnected';
+        this.awaitingToken = true;
+        this.emit('reconnect:paused', { code, reason: 'token', url: this.url });
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Endpoints                                                          */
+    /* ------------------------------------------------------------------ */
+
+    markEndpointDown() {
+        const endpoint = this.endpoints[this.endpointIndex];
+        endpoint.failures += 1;
+        endpoint.downUntil = Date.now() + this.endpointCooldownMs;
+    }
+
+    markEndpointUp() {
+        const endpoint = this.endpoints[this.endpointIndex];
+        endpoint.failures = 0;
+        endpoint.downUntil = 0;
+    }
+
+    // Next endpoint in order that is not cooling down (the current one last);
+    // when all are down, the one that comes back first
+    selectEndpoint() {
+        const now = Date.now();
+        const count = this.endpoints.length;
+        for (let step = 1; step <= count; step++) {
+            const index = (this.endpointIndex + step) % count;
+            if (this.endpoints[index].downUntil <= now) return index;
+        }
+        return this.endpoints.reduce((best, endpoint, index) => (
+            endpoint.downUntil < this.endpoints[best].downUntil ? index : best
+        ), 0);
+    }
+
+    useEndpoint(index, reason) {
+        if (index === this.endpointIndex) return;
+        const previous = this.url;
+        this.endpointIndex = index;
+        this.url = this.endpoints[index].url;
+        if (!this.httpUrlFixed) {
+            this.httpTransport.baseUrl = this.deriveHttpUrl(this.url);
+        }
+        this.emit('endpoint', { url: this.url, previous, reason });
     }
 
     /* ------------------------------------------------------------------ */
@@ -635,7 +5745,32 @@ class BintelxClient {
     }
 }
 
+// Outbound queue order: lower drains first
+BintelxClient.priorities = { auth: 0, system: 1, high: 2, normal: 3, low: 4 };
+
 // Export for browsers and bundlers.
+BintelxClient.Error = BintelxError;
+BintelxClient.AuthError = BintelxAuthError;
+BintelxClient.PermissionError = BintelxPermissionError;
+BintelxClient.ValidationError = BintelxValidationError;
+BintelxClient.RateLimitError = BintelxRateLimitError;
+BintelxClient.ServerError = BintelxServerError;
+BintelxClient.TransportError = BintelxTransportError;
+BintelxClient.TimeoutError = BintelxTimeoutError;
+BintelxClient.Subscription = BintelxSubscription;
+BintelxClient.SconDecoder = BintelxSconDecoder;
+BintelxClient.HttpTransport = BintelxHttpTransport;
+BintelxClient.Files = BintelxFiles;
+BintelxClient.Edc = BintelxEdc;
+BintelxClient.EdcSession = BintelxEdcSession;
+BintelxClient.Sha256 = BintelxSha256;
+BintelxClient.IdbQueueStorage = BintelxIdbQueueStorage;
+BintelxClient.MemoryQueueStorage = BintelxMemoryQueueStorage;
+BintelxClient.Fingerprint = BintelxFingerprint;
+BintelxClient.TabHub = BintelxTabHub;
+BintelxClient.Inspector = BintelxInspector;
+BintelxClient.ChannelCrypto = BintelxChannelCrypto;
+
 if (typeof window !== 'undefined') {
     window.BintelxClient = BintelxClient;
 }
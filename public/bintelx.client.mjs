@@ -0,0 +1,33 @@
+// ESM entry for Node.js only (the "node" export condition: node:module does not exist in browsers);
+// bundlers get the classic script, which stays the single source.
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const BintelxClient = require('./bintelx.client.js');
+
+export const {
+    Error: BintelxError,
+    AuthError,
+    PermissionError,
+    ValidationError,
+    RateLimitError,
+    ServerError,
+    TransportError,
+    TimeoutError,
+    Subscription,
+    SconDecoder,
+    HttpTransport,
+    Files,
+    Edc,
+    EdcSession,
+    Sha256,
+    IdbQueueStorage,
+    MemoryQueueStorage,
+    Fingerprint,
+    TabHub,
+    Inspector,
+    ChannelCrypto
+} = BintelxClient;
+
+export { BintelxClient };
+export default BintelxClient;
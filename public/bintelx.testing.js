@@ -0,0 +1,1104 @@
+'use strict';
+
+/**
+ * BintelxFakeTimers - deterministic clock for BintelxClient({ timers }) and the mock server.
+ *
+ * Timers only fire from advance(); promise chains are allowed to settle between
+ * them, so heartbeats, backoff and request timeouts can be stepped through.
+ * Date.now() is not patched: now() starts at the real time and moves with advance().
+ */
+class BintelxFakeTimers {
+    constructor(now = Date.now()) {
+        this.current = now;
+        this.queue = [];
+        this.nextId = 1;
+    }
+
+    now() {
+        return this.current;
+    }
+
+    setTimeout(fn, ms = 0) {
+        return this.schedule(fn, ms, 0);
+    }
+
+    setInterval(fn, ms = 0) {
+        return this.schedule(fn, ms, Math.max(1, Number(ms) || 0));
+    }
+
+    clearTimeout(id) {
+        this.queue = this.queue.filter(timer => timer.id !== id);
+    }
+
+    clearInterval(id) {
+        this.clearTimeout(id);
+    }
+
+    schedule(fn, ms, interval) {
+        const id = this.nextId++;
+        this.queue.push({ id, fn, at: this.current + Math.max(0, Number(ms) || 0), interval });
+        return id;
+    }
+
+    pending() {
+        return this.queue.length;
+    }
+
+    // Fires every timer due within ms, in order, settling promises after each one.
+    async advance(ms = 0) {
+        const end = this.current + ms;
+        await BintelxFakeTimers.tick();
+        for (;;) {
+            const next = this.queue.reduce((first, timer) => (
+                !first || timer.at < first.at || (timer.at === first.at && timer.id < first.id) ? timer : first
+            ), null);
+            if (!next || next.at > end) break;
+            this.current = next.at;
+            if (next.interval) {
+                next.at += next.interval;
+            } else {
+                this.queue = this.queue.filter(timer => timer !== next);
+            }
+            next.fn();
+            await BintelxFakeTimers.tick();
+        }
+        this.current = end;
+    }
+
+    // One real macrotask: every queued microtask has run by the time it resolves
+    static tick() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+}
+
+/**
+ * BintelxMockSocket - WebSocket look-alike connected to a BintelxMockServer.
+ * Use server.WebSocket (a subclass bound to that server) as BintelxClient's options.WebSocket.
+ */
+class BintelxMockSocket {
+    constructor(url, protocols) {
+        this.url = url;
+        this.protocol = Array.isArray(protocols) ? (protocols[0] || '') : (protocols || '');
+        this.readyState = BintelxMockSocket.CONNECTING;
+        this.bufferedAmount = 0;
+        this.onopen = null;
+        this.onmessage = null;
+        this.onerror = null;
+        this.onclose = null;
+        this.listeners = new Map();
+        this.server = this.constructor.server;
+        if (!this.server) {
+            throw new Error('BintelxMockSocket must be created through server.WebSocket');
+        }
+        this.connection = this.server.accept(this);
+    }
+
+    send(data) {
+        if (this.readyState === BintelxMockSocket.CONNECTING) {
+            throw new Error('InvalidStateError: WebSocket is still in CONNECTING state');
+        }
+        // Like browsers, frames sent after close are silently discarded
+        if (this.readyState !== BintelxMockSocket.OPEN) return;
+        this.server.receive(this.connection, data);
+    }
+
+    close(code = 1000, reason = '') {
+        this.server.disconnect(this.connection, code, reason, true);
+    }
+
+    addEventListener(type, handler) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(handler);
+    }
+
+    removeEventListener(type, handler) {
+        this.listeners.get(type)?.delete(handler);
+    }
+
+    dispatch(type, event) {
+        const handler = this[`on${type}`];
+        if (typeof handler === 'function') handler.call(this, event);
+        this.listeners.get(type)?.forEach(listener => listener.call(this, event));
+    }
+}
+
+BintelxMockSocket.CONNECTING = 0;
+BintelxMockSocket.OPEN = 1;
+BintelxMockSocket.CLOSING = 2;
+BintelxMockSocket.CLOSED = 3;
+
+// What a route handler returns when it needs a status code or a non-JSON body
+class BintelxMockReply {
+    constructor(data, statusCode = 200, format = null) {
+        this.data = data;
+        this.statusCode = statusCode;
+        this.format = format;
+    }
+}
+
+/**
+ * BintelxMockServer - in-process stand-in for app/channel.server.php.
+ *
+ * Speaks the channel server protocol so apps built on BintelxClient can be tested
+ * without Swoole:
+ *  - API frames {route, method, body, query, correlation_id} → api_response, or
+ *    api_error when a handler throws. Responses are stored per meta.idempotency_key
+ *    (503 while the first request is still running; `partial` above idempotencyMaxBytes).
+ *  - Native frames: auth → authenticated, subscribe → subscribed, unsubscribe →
+ *    unsubscribed, ping → pong; rejections come back as `error` frames.
+ *  - Built-in routes: the handshake (/api/_demo/validate) and /api/ws/auth, subscribe,
+ *    unsubscribe, publish (fan-out + persistence), pending, ack, fingerprint, ping.
+ *  - Scriptable routes: server.route('GET', '/api/orders/{id}', req => data);
+ *    later registrations win over earlier ones and over the built-ins.
+ *  - Server pushes: publish(), system(), revoke().
+ *  - Fault injection: refuse(), drop(), close(4001), stall() (half-open socket),
+ *    deviceMismatch(), and fault(target, {...}) for delayed, failing or dropped replies.
+ *  - server.fetch serves the same routes to the HTTP fallback transport (meta from the
+ *    X-Bintelx-Meta header, X-Bintelx-Replayed on idempotent replays).
+ *
+ * Usage:
+ *    const timers = new BintelxFakeTimers();
+ *    const server = new BintelxMockServer({ timers, users: { t0k3n: { account_id: 1, profile_id: 7 } } });
+ *    server.route('GET', '/api/orders/{id}', req => ({ id: req.params.id }));
+ *
+ *    const client = new BintelxClient({
+ *        url: 'ws://mock/ws/',
+ *        WebSocket: server.WebSocket,
+ *        fetch: server.fetch,
+ *        timers,
+ *        token: 't0k3n',
+ *        fingerprint: false
+ *    });
+ *    await server.flush();           // socket open, handshake done, client ready
+ *
+ *    server.drop();                  // socket dies without a close frame
+ *    await timers.advance(1000);     // first backoff step: client reconnects
+ *    await server.flush();
+ */
+class BintelxMockServer {
+    constructor(options = {}) {
+        this.timers = options.timers || new BintelxFakeTimers();
+        // Added to every reply; 0 delivers on the microtask queue
+        this.latencyMs = options.latencyMs || 0;
+        // token → { account_id, profile_id, entity_id, scope_entity_id, device_hash, permissions, roles };
+        // permissions is the route regex → scope map. null accepts any token
+        this.users = options.users || null;
+        // DEVICE_FINGERPRINT_MODE: 'off' | 'strict' (meta.fingerprint must match device_hash)
+        this.fingerprintMode = options.fingerprintMode || 'off';
+        this.handshakeRoute = options.handshakeRoute || '/api/_demo/validate';
+        // Size of the server's stored-response column; larger replies are replayed without data
+        this.idempotencyMaxBytes = options.idempotencyMaxBytes || 8192;
+
+        // fd → connection { fd, socket, user, channels, stalled }
+        this.connections = new Map();
+        this.nextFd = 1;
+        // Every frame received, in order: { fd, frame }
+        this.frames = [];
+        this.routes = [];
+        this.faults = [];
+        this.refused = 0;
+        this.stalled = false;
+        this.eventHandlers = new Map();
+
+        // channel_messages rows, in publish order
+        this.messages = [];
+        this.messageCounter = 0;
+        // profile_id → Set<channel> (persistent subscriptions from /api/ws/subscribe)
+        this.subscriptions = new Map();
+        // `${profile_id}:${message_id}` → Map<ack_level, ack_data>
+        this.acks = new Map();
+        // `${account_id}:${key}` → stored api_response, or null while the first request runs
+        this.idempotency = new Map();
+
+        const server = this;
+        this.WebSocket = class extends BintelxMockSocket {};
+        this.WebSocket.server = server;
+        this.fetch = (url, init) => server.handleFetch(url, init);
+
+        this.registerBuiltinRoutes();
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Public API                                                         */
+    /* ------------------------------------------------------------------ */
+
+    /**
+     * Registers a route handler. handler(req) gets
+     * { method, path, params, query, body, meta, user, connection, frame, server }
+     * and returns the response data, or BintelxMockServer.reply() / .error() for a
+     * status code or raw body. Throwing yields api_error (500). Returns an unregister function.
+     */
+    route(methods, path, handler) {
+        const entry = {
+            methods: [].concat(methods).map(method => String(method).toUpperCase()),
+            path,
+            pattern: this.compilePath(path),
+            handler
+        };
+        this.routes.push(entry);
+        return () => {
+            this.routes = this.routes.filter(route => route !== entry);
+        };
+    }
+
+    /**
+     * Injects a fault into the next frame(s) matching target: a native frame type
+     * ('auth' | 'subscribe' | 'unsubscribe' | 'ping'), a route path or pattern, or '*'.
+     * fault: { times = 1, channel, delayMs, status, message, ignore, drop, close, reason, deviceMismatch }
+     * For native frames pass a channel.server message (e.g. 'Channel table full') so
+     * the client can pair the error with its pending frame. HTTP requests match 'http'.
+     */
+    fault(target, fault = {}) {
+        const entry = { target, pattern: this.compilePath(target), ...fault, times: fault.times ?? 1 };
+        this.faults.push(entry);
+        return () => {
+            this.faults = this.faults.filter(item => item !== entry);
+        };
+    }
+
+    // The next n connection attempts fail with 1006
+    refuse(n = 1) {
+        this.refused = n;
+    }
+
+    // Abrupt loss: no close frame, the client sees 1006
+    drop(connection) {
+        this.targets(connection).forEach(conn => this.disconnect(conn, 1006, '', false));
+    }
+
+    // Server-initiated close, e.g. close(4001, 'unauthorized')
+    close(code = 1000, reason = '', connection) {
+        this.targets(connection).forEach(conn => this.disconnect(conn, code, reason, true));
+    }
+
+    // Half-open socket: frames are accepted but nothing (replies, pongs) comes back
+    stall(on = true, connection) {
+        if (connection) {
+            this.connectionFor(connection).stalled = on;
+        } else {
+            this.stalled = on;
+        }
+    }
+
+    // Same frame + close as verifyDeviceFingerprint() in strict mode
+    deviceMismatch(connection) {
+        this.targets(connection).forEach((conn) => {
+            this.push(conn, {
+                type: 'error',
+                event: 'device_mismatch',
+                message: 'Device fingerprint mismatch',
+                timestamp: this.timestamp()
+            });
+            this.deliver(() => this.disconnect(conn, 1000, '', true));
+        });
+    }
+
+    // Drops a channel from under the client (unsolicited `unsubscribed`)
+    revoke(channel, connection) {
+        this.targets(connection).forEach((conn) => {
+            if (!conn.channels.delete(channel)) return;
+            this.push(conn, { type: 'unsubscribed', channel, timestamp: this.timestamp() });
+        });
+    }
+
+    /**
+     * Publishes like /api/ws/publish: persists the message and pushes it to every
+     * connection subscribed to the channel. Resolves to { message_id, sent_to }.
+     */
+    publish(channel, message, options = {}) {
+        const from = options.from || { account_id: null, profile_id: null };
+        const messageId = `msg_mock${String(++this.messageCounter).padStart(6, '0')}`;
+        const now = this.now();
+        this.messages.push({
+            message_id: messageId,
+            channel,
+            from_profile_id: from.profile_id ?? null,
+            from_account_id: from.account_id ?? null,
+            message_type: options.messageType || 'text',
+            payload: JSON.stringify(message),
+            priority: options.priority || 'normal',
+            created_at: new Date(now).toISOString().replace('T', ' ').replace('Z', '000')
+        });
+
+        const frame = {
+            type: 'message',
+            message_id: messageId,
+            channel,
+            message,
+            from,
+            timestamp: Math.floor(now / 1000)
+        };
+        let sent = 0;
+        this.connections.forEach((conn) => {
+            if (conn.channels.has(channel)) {
+                this.push(conn, frame);
+                sent++;
+            }
+        });
+        return { message_id: messageId, sent_to: sent };
+    }
+
+    // System push, e.g. system('sys.session.logout', { reason: 'revoked' })
+    system(event, data = {}, connection) {
+        this.targets(connection).forEach((conn) => {
+            this.push(conn, { type: 'system', event, channel: event, ...data, timestamp: this.timestamp() });
+        });
+    }
+
+    // Pushes any frame as-is
+    send(frame, connection) {
+        this.targets(connection).forEach(conn => this.push(conn, frame));
+    }
+
+    // Frames received so far, optionally filtered by type (API frames count as 'api')
+    received(type) {
+        return this.frames
+            .map(entry => entry.frame)
+            .filter(frame => !type || (frame && (frame.type || (frame.route ? 'api' : null)) === type));
+    }
+
+    // Lets queued deliveries, zero-delay timers and promise chains run to completion
+    async flush(rounds = 10) {
+        for (let i = 0; i < rounds; i++) {
+            if (typeof this.timers.advance === 'function') {
+                await this.timers.advance(0);
+            } else {
+                await BintelxFakeTimers.tick();
+            }
+        }
+    }
+
+    on(event, handler) {
+        if (!this.eventHandlers.has(event)) {
+            this.eventHandlers.set(event, new Set());
+        }
+        this.eventHandlers.get(event).add(handler);
+        return () => this.eventHandlers.get(event)?.delete(handler);
+    }
+
+    emit(event, payload) {
+        this.eventHandlers.get(event)?.forEach(handler => handler(payload));
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Connections                                                        */
+    /* ------------------------------------------------------------------ */
+
+    accept(socket) {
+        const conn = { fd: this.nextFd++, socket, user: null, channels: new Set(), stalled: false };
+        this.deliver(() => {
+            if (socket.readyState !== BintelxMockSocket.CONNECTING) return;
+            if (this.refused > 0) {
+                this.refused--;
+                socket.readyState = BintelxMockSocket.CLOSED;
+                socket.dispatch('error', { type: 'error' });
+                socket.dispatch('close', { type: 'close', code: 1006, reason: '', wasClean: false });
+                return;
+            }
+            this.connections.set(conn.fd, conn);
+            socket.readyState = BintelxMockSocket.OPEN;
+            socket.dispatch('open', { type: 'open' });
+            this.push(conn, {
+                type: 'system',
+                event: 'connected',
+                message: 'Connected to Bintelx Channel Server',
+                fd: conn.fd,
+                timestamp: this.timestamp()
+            });
+            this.emit('connection', conn);
+        });
+        return conn;
+    }
+
+    disconnect(conn, code = 1000, reason = '', wasClean = true) {
+        const socket = conn.socket;
+        if (socket.readyState === BintelxMockSocket.CLOSING || socket.readyState === BintelxMockSocket.CLOSED) return;
+        socket.readyState = BintelxMockSocket.CLOSING;
+        this.connections.delete(conn.fd);
+        conn.channels.clear();
+        this.deliver(() => {
+            socket.readyState = BintelxMockSocket.CLOSED;
+            if (!wasClean) socket.dispatch('error', { type: 'error' });
+            socket.dispatch('close', { type: 'close', code, reason, wasClean });
+            this.emit('close', { connection: conn, code, reason });
+        }, 0);
+    }
+
+    push(conn, frame, delayMs = this.latencyMs) {
+        const data = JSON.stringify(frame);
+        this.deliver(() => {
+            if (conn.socket.readyState !== BintelxMockSocket.OPEN) return;
+            conn.socket.dispatch('message', { type: 'message', data });
+        }, delayMs);
+    }
+
+    deliver(fn, delayMs = this.latencyMs) {
+        if (delayMs > 0) {
+            this.timers.setTimeout(fn, delayMs);
+        } else {
+            queueMicrotask(fn);
+        }
+    }
+
+    targets(connection) {
+        return connection ? [this.connectionFor(connection)] : [...this.connections.values()];
+    }
+
+    // Accepts a connection, an fd or a socket
+    connectionFor(connection) {
+        if (typeof connection === 'number') return this.connections.get(connection);
+        return connection.connection || connection;
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Frames                                                             */
+    /* ------------------------------------------------------------------ */
+
+    receive(conn, raw) {
+        let frame = null;
+        try {
+            frame = JSON.parse(raw);
+        } catch {
+            frame = null;
+        }
+        this.frames.push({ fd: conn.fd, frame: frame ?? raw });
+        this.emit('frame', { connection: conn, frame });
+        if (this.stalled || conn.stalled) return;
+        this.deliver(() => this.dispatchFrame(conn, frame), 0);
+    }
+
+    dispatchFrame(conn, data) {
+        if (conn.socket.readyState !== BintelxMockSocket.OPEN) return;
+        if (!data || typeof data !== 'object') {
+            this.sendError(conn, 'Invalid JSON format');
+            return;
+        }
+        const type = data.type || (data.route ? 'api' : null);
+        if (!type) {
+            this.sendError(conn, 'Missing message type');
+            return;
+        }
+
+        const route = type === 'api' ? String(data.route ?? data.uri ?? '').split('?')[0] : null;
+        const fault = this.takeFault(type, route, data.channel);
+        if (fault && this.applyFault(conn, fault)) return;
+        const delayMs = this.latencyMs + (fault?.delayMs || 0);
+
+        if (fault?.status && type !== 'api') {
+            this.sendError(conn, fault.message || 'Injected fault', fault.status, delayMs);
+            return;
+        }
+
+        switch (type) {
+            case 'auth': {
+                if (!data.token) {
+                    this.sendError(conn, 'Token required', 400, delayMs);
+                    return;
+                }
+                this.loadProfile(conn, data.token);
+                if (conn.user) {
+                    this.push(conn, {
+                        type: 'authenticated',
+                        profile_id: conn.user.profile_id,
+                        scope_entity_id: conn.user.scope_entity_id,
+                        timestamp: this.timestamp()
+                    }, delayMs);
+                } else {
+                    this.sendError(conn, 'Authentication failed', 401, delayMs);
+                }
+                return;
+            }
+
+            case 'subscribe': {
+                const channel = data.channel;
+                if (!channel || typeof channel !== 'string' || channel.length > 128 || channel.includes('\x00')) {
+                    this.sendError(conn, 'Invalid channel name', 400, delayMs);
+                    return;
+                }
+                if (!conn.user) {
+                    this.sendError(conn, 'Authentication required', 401, delayMs);
+                    return;
+                }
+                conn.channels.add(channel);
+                this.push(conn, { type: 'subscribed', channel, timestamp: this.timestamp() }, delayMs);
+                return;
+            }
+
+            case 'unsubscribe':
+                if (data.channel) {
+                    conn.channels.delete(data.channel);
+                    this.push(conn, { type: 'unsubscribed', channel: data.channel, timestamp: this.timestamp() }, delayMs);
+                }
+                return;
+
+            case 'ping':
+                this.push(conn, {
+                    type: 'pong',
+                    ts: data.ts ?? this.timestamp(),
+                    timestamp: this.timestamp()
+                }, delayMs);
+                return;
+
+            default:
+                this.executeApiRoute(conn, data, fault, delayMs);
+        }
+    }
+
+    takeFault(type, route, channel) {
+        const entry = this.faults.find(fault => (
+            (fault.target === '*' || fault.target === type || (route && fault.pattern.test(route)))
+            && (!fault.channel || fault.channel === channel)
+        ));
+        if (!entry) return null;
+        entry.times--;
+        if (entry.times <= 0) {
+            this.faults = this.faults.filter(fault => fault !== entry);
+        }
+        return entry;
+    }
+
+    // true when the fault replaces the normal reply
+    applyFault(conn, fault) {
+        if (fault.drop) {
+            this.drop(conn);
+        } else if (fault.close) {
+            this.disconnect(conn, fault.close, fault.reason || '', true);
+        } else if (fault.deviceMismatch) {
+            this.deviceMismatch(conn);
+        } else if (!fault.ignore) {
+            return false;
+        }
+        return true;
+    }
+
+    async executeApiRoute(conn, data, fault, delayMs) {
+        const rawUri = data.route ?? data.uri ?? null;
+        const method = String(data.method || 'POST').toUpperCase();
+        const correlationId = data.correlation_id ?? `api_${conn.fd}_${this.frames.length}`;
+        if (!rawUri) {
+            this.sendError(conn, 'API calls require a "route" or "uri" field in message');
+            return;
+        }
+        const [path, qs] = String(rawUri).split('?');
+        const query = { ...Object.fromEntries(new URLSearchParams(qs || '')), ...(data.query || {}) };
+
+        const token = conn.user?.token || data.token || null;
+        if (token) {
+            this.loadProfile(conn, token);
+        }
+
+        if (this.fingerprintMode === 'strict' && conn.user?.device_hash && data.meta?.fingerprint
+            && conn.user.device_hash !== data.meta.fingerprint) {
+            this.deviceMismatch(conn);
+            return;
+        }
+
+        const idempotencyKey = this.idempotencyKey(conn.user, data.meta);
+        if (idempotencyKey && this.idempotency.has(idempotencyKey)) {
+            const stored = this.idempotency.get(idempotencyKey);
+            this.push(conn, stored ? { ...stored, correlation_id: correlationId, replayed: true } : {
+                type: 'api_error',
+                correlation_id: correlationId,
+                status: 'error',
+                status_code: 503,
+                message: 'A request with this idempotency key is still in progress',
+                _l: `503 ${method} ${path}`,
+                timestamp: this.timestamp()
+            }, delayMs);
+            return;
+        }
+        if (idempotencyKey) this.idempotency.set(idempotencyKey, null);
+
+        let result;
+        try {
+            result = fault?.status
+                ? BintelxMockServer.error(fault.message || 'Injected fault', fault.status)
+                : await this.runRoute({
+                    method, path, query, body: data.body ?? {}, meta: data.meta || {},
+                    user: conn.user, connection: conn, frame: data
+                });
+        } catch (err) {
+            if (idempotencyKey) this.idempotency.delete(idempotencyKey);
+            this.push(conn, {
+                type: 'api_error',
+                correlation_id: correlationId,
+                status: 'error',
+                status_code: 500,
+                message: 'Request failed. Check server logs for details.',
+                _l: `500 ${method} ${path}`,
+                timestamp: this.timestamp()
+            }, delayMs);
+            this.emit('route:error', { path, error: err });
+            return;
+        }
+
+        const payload = {
+            type: 'api_response',
+            correlation_id: correlationId,
+            status: result.statusCode >= 200 && result.statusCode < 400 ? 'success' : 'error',
+            status_code: result.statusCode,
+            _l: `${result.statusCode} ${method} ${path}`,
+            timestamp: this.timestamp(),
+            data: result.data
+        };
+        if (result.format) {
+            payload._fmt = result.format;
+        }
+        this.push(conn, payload, delayMs);
+
+        if (idempotencyKey) this.storeIdempotent(idempotencyKey, payload);
+    }
+
+    // meta.idempotency_key, isolated per account like ChannelServer::idempotencyKey()
+    idempotencyKey(user, meta) {
+        const key = meta?.idempotency_key;
+        return typeof key === 'string' && /^[A-Za-z0-9_-]{8,64}$/.test(key)
+            ? `${user?.account_id ?? 0}:${key}`
+            : null;
+    }
+
+    // 5xx releases the key; a reply over idempotencyMaxBytes is kept without data
+    storeIdempotent(idempotencyKey, payload) {
+        if (payload.status_code >= 500) {
+            this.idempotency.delete(idempotencyKey);
+            return;
+        }
+        const { data, _fmt, ...rest } = payload;
+        this.idempotency.set(idempotencyKey, JSON.stringify(payload).length > this.idempotencyMaxBytes
+            ? { ...rest, partial: true }
+            : payload);
+    }
+
+    sendError(conn, message, statusCode = 400, delayMs = this.latencyMs) {
+        this.push(conn, {
+            type: 'error',
+            correlation_id: null,
+            status: 'error',
+            status_code: statusCode,
+            message,
+            timestamp: this.timestamp()
+        }, delayMs);
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Routes                                                             */
+    /* ------------------------------------------------------------------ */
+
+    // Resolves to { statusCode, data, format }
+    async runRoute(req) {
+        const match = this.findRoute(req.method, req.path);
+        if (!match) {
+            return { statusCode: 404, data: { status: 'error', message: 'The requested endpoint action was not found.' }, format: null };
+        }
+        const result = await match.route.handler({ ...req, params: match.params, server: this });
+        if (result instanceof BintelxMockReply) {
+            return { statusCode: result.statusCode, data: result.data, format: result.format };
+        }
+        return { statusCode: 200, data: result ?? null, format: null };
+    }
+
+    findRoute(method, path) {
+        for (let i = this.routes.length - 1; i >= 0; i--) {
+            const route = this.routes[i];
+            if (!route.methods.includes(method) && !route.methods.includes('*')) continue;
+            const match = route.pattern.exec(path);
+            if (match) {
+                return { route, params: { ...(match.groups || {}) } };
+            }
+        }
+        return null;
+    }
+
+    // '/api/orders/{id}' → /^\/api\/orders\/(?<id>[^/]+)$/ ; RegExps pass through
+    compilePath(path) {
+        if (path instanceof RegExp) return path;
+        const source = String(path)
+            .split(/(\{\w+\})/)
+            .map(part => (/^\{\w+\}$/.test(part)
+                ? `(?<${part.slice(1, -1)}>[^/]+)`
+                : part.replace(/[.*+?^$()|[\]\\]/g, '\\$&')))
+            .join('');
+        return new RegExp(`^${source}$`);
+    }
+
+    async handleFetch(url, init = {}) {
+        const target = new URL(url, 'http://mock.local');
+        // nginx's /ws/api/ location hands channel.server the path without the socket prefix
+        target.pathname = target.pathname.replace(/^\/ws(?=\/api\/)/, '');
+        const method = String(init.method || 'GET').toUpperCase();
+        const headers = init.headers || {};
+        const authorization = headers.Authorization || headers.authorization || '';
+        const token = authorization.startsWith('Bearer ') ? authorization.slice(7) : null;
+        let body = {};
+        if (typeof init.body === 'string' && init.body) {
+            try { body = JSON.parse(init.body); } catch { body = {}; }
+        }
+
+        // X-Bintelx-Meta: the frame's meta (idempotency_key, fingerprint) as JSON
+        let meta = {};
+        try { meta = JSON.parse(headers['X-Bintelx-Meta'] || headers['x-bintelx-meta'] || '{}') || {}; } catch { meta = {}; }
+        const user = this.verifyToken(token);
+
+        const fault = this.takeFault('http', target.pathname, body.channel);
+        if (fault?.drop || fault?.ignore) {
+            throw new TypeError('Failed to fetch');
+        }
+        if (fault?.delayMs) {
+            await new Promise(resolve => this.timers.setTimeout(resolve, fault.delayMs));
+        }
+
+        const idempotencyKey = this.idempotencyKey(user, meta);
+        if (idempotencyKey && this.idempotency.has(idempotencyKey)) {
+            const stored = this.idempotency.get(idempotencyKey);
+            if (!stored) {
+                return this.httpReply({ statusCode: 503, data: BintelxMockServer.error('A request with this idempotency key is still in progress').data, format: null });
+            }
+            return this.httpReply({ statusCode: stored.status_code, data: stored.data, format: stored._fmt || null }, stored.partial ? 'partial' : '1');
+        }
+        if (idempotencyKey) this.idempotency.set(idempotencyKey, null);
+
+        let result;
+        try {
+            result = fault?.status
+                ? { statusCode: fault.status, data: BintelxMockServer.error(fault.message || 'Injected fault').data, format: null }
+                : await this.runRoute({
+                    method,
+                    path: target.pathname,
+                    query: Object.fromEntries(target.searchParams),
+                    body,
+                    meta,
+                    user,
+                    connection: null,
+                    frame: null
+                });
+        } catch (err) {
+            this.emit('route:error', { path: target.pathname, error: err });
+            result = { statusCode: 500, data: { success: false, message: 'Internal server error' }, format: null };
+        }
+
+        if (idempotencyKey) {
+            this.storeIdempotent(idempotencyKey, {
+                type: 'api_response',
+                status: result.statusCode >= 200 && result.statusCode < 400 ? 'success' : 'error',
+                status_code: result.statusCode,
+                _l: `${result.statusCode} ${method} ${target.pathname}`,
+                timestamp: this.timestamp(),
+                data: result.data,
+                ...(result.format ? { _fmt: result.format } : {})
+            });
+        }
+        return this.httpReply(result);
+    }
+
+    // fetch() Response; replayed → X-Bintelx-Replayed: 1 | partial (partial replays have no body)
+    httpReply(result, replayed = null) {
+        const text = replayed === 'partial' ? ''
+            : result.format ? String(result.data) : JSON.stringify(result.data);
+        const contentType = result.format ? `text/${result.format}; charset=utf-8` : 'application/json; charset=utf-8';
+        const responseHeaders = { 'content-type': contentType };
+        if (replayed) responseHeaders['x-bintelx-replayed'] = replayed;
+        return {
+            ok: result.statusCode >= 200 && result.statusCode < 300,
+            status: result.statusCode,
+            headers: { get: name => responseHeaders[String(name).toLowerCase()] ?? null },
+            text: async () => text,
+            json: async () => JSON.parse(text)
+        };
+    }
+
+    registerBuiltinRoutes() {
+        const error = BintelxMockServer.error;
+
+        // AuthHandler::validateToken() wrapped as Response::json(['data' => $result])
+        this.route(['GET', 'POST'], this.handshakeRoute, (req) => {
+            const token = req.body?.token || req.user?.token;
+            const user = this.verifyToken(token);
+            if (!user) {
+                return BintelxMockServer.reply({ data: { success: false, message: 'Invalid or expired token' } }, 401);
+            }
+            if (req.connection) {
+                req.connection.user = user;
+            }
+            // buildValidationPayload(): Profile::ctx()->permissions is { routes, roles }
+            return {
+                data: {
+                    success: true,
+                    message: 'Token is valid.',
+                    data: {
+                        accountId: user.account_id,
+                        profileId: user.profile_id,
+                        primaryEntityId: user.entity_id ?? null,
+                        permissions: { routes: user.permissions || { '*': 'private' }, roles: user.roles || [] }
+                    }
+                }
+            };
+        });
+
+        this.route('POST', '/api/ws/auth', (req) => {
+            if (!req.body?.token) return error('Missing authentication token', 400);
+            const user = this.verifyToken(req.body.token);
+            if (!user) return error('Invalid or expired token', 401);
+            if (req.connection) {
+                req.connection.user = user;
+            }
+            return {
+                type: 'auth',
+                success: true,
+                user: { account_id: user.account_id, profile_id: user.profile_id, entity_id: user.entity_id ?? null }
+            };
+        });
+
+        this.route('POST', '/api/ws/subscribe', (req) => {
+            if (!req.user) return error('Authentication required', 401);
+            const channel = req.body?.channel;
+            if (!channel) return error('Missing channel name', 400);
+            let subscribers = 0;
+            if (req.connection) {
+                req.connection.channels.add(channel);
+                this.connections.forEach((conn) => {
+                    if (conn.channels.has(channel)) subscribers++;
+                });
+            }
+            if (!this.subscriptions.has(req.user.profile_id)) {
+                this.subscriptions.set(req.user.profile_id, new Set());
+            }
+            this.subscriptions.get(req.user.profile_id).add(channel);
+            const pending = this.pendingFor(req.user.profile_id, channel);
+            return {
+                type: 'subscribe',
+                channel,
+                subscribers,
+                pending_count: pending.length,
+                pending_messages: pending
+            };
+        });
+
+        this.route('POST', '/api/ws/unsubscribe', (req) => {
+            const channel = req.body?.channel;
+            if (!channel) {
+                return { type: 'error', message: 'Missing channel name', timestamp: this.timestamp() };
+            }
+            req.connection?.channels.delete(channel);
+            // Only a persistent unsubscribe drops the DB subscription
+            if (req.user && req.body.persistent) {
+                this.subscriptions.get(req.user.profile_id)?.delete(channel);
+            }
+            return { type: 'unsubscribe', success: true, channel, timestamp: this.timestamp() };
+        });
+
+        this.route('POST', '/api/ws/publish', (req) => {
+            // Fan-out needs a socket: not available over HTTP, same as channel.server
+            if (!req.connection || !req.user) return error('Authentication required', 401);
+            const { channel, message } = req.body || {};
+            if (!channel || !message) return error('Missing channel or message', 400);
+            const result = this.publish(channel, message, {
+                from: { account_id: req.user.account_id, profile_id: req.user.profile_id }
+            });
+            return {
+                type: 'publish',
+                success: true,
+                message_id: result.message_id,
+                channel,
+                sent_to: result.sent_to,
+                persist_queued: true,
+                data: { message_id: result.message_id },
+                timestamp: this.timestamp()
+            };
+        });
+
+        // package/channels: persistent membership (sys_channel_subscriptions)
+        this.route('POST', '/api/channels/join', (req) => {
+            if (!req.user) return error('Not authenticated', 401);
+            const channel = req.body?.channel;
+            if (!channel) return error('Channel name required', 400);
+            if (!this.subscriptions.has(req.user.profile_id)) {
+                this.subscriptions.set(req.user.profile_id, new Set());
+            }
+            this.subscriptions.get(req.user.profile_id).add(channel);
+            return {
+                success: true,
+                message: 'Subscribed successfully',
+                data: { channel, subscribed: true, members: this.membersOf(channel) },
+                meta: { timestamp: this.timestamp() }
+            };
+        });
+
+        this.route('GET', '/api/channels/members', (req) => {
+            if (!req.user) return error('Not authenticated', 401);
+            const channel = req.query?.channel;
+            if (!channel) return error('Channel name required', 400);
+            const members = this.membersOf(channel);
+            if (!members.includes(req.user.profile_id)) return error('Not a member of this channel', 403);
+            return { success: true, message: 'Members retrieved', data: { channel, members }, meta: { timestamp: this.timestamp() } };
+        });
+
+        this.route('POST', '/api/channels/leave', (req) => {
+            if (!req.user) return error('Not authenticated', 401);
+            const channel = req.body?.channel;
+            if (!channel) return error('Channel name required', 400);
+            this.subscriptions.get(req.user.profile_id)?.delete(channel);
+            return { success: true, message: 'Unsubscribed successfully', data: { channel, unsubscribed: true }, meta: { timestamp: this.timestamp() } };
+        });
+
+        this.route('GET', '/api/ws/pending', (req) => {
+            if (!req.user) return error('Authentication required', 401);
+            const messages = this.pendingFor(req.user.profile_id, req.query?.channel || null);
+            return { type: 'pending', pending_count: messages.length, messages };
+        });
+
+        this.route('POST', '/api/ws/ack', (req) => {
+            if (!req.user) return error('Authentication required', 401);
+            const body = req.body || {};
+            const batch = Array.isArray(body.acks);
+            const acks = batch ? body.acks : [{
+                message_id: body.message_id ?? null,
+                ack_level: body.ack_level ?? 'client',
+                ack_data: body.ack_data ?? null
+            }];
+            if (!acks.length) return error('acks must not be empty', 400);
+
+            const results = [];
+            for (const ack of acks) {
+                const messageId = ack.message_id ?? null;
+                const ackLevel = ack.ack_level ?? 'client';
+                if (!messageId) {
+                    if (!batch) return error('message_id is required', 400);
+                    results.push({ message_id: null, ack_level: ackLevel, success: false, error: 'message_id is required' });
+                    continue;
+                }
+                if (!['client', 'app'].includes(ackLevel)) {
+                    if (!batch) return error('Invalid ack_level. Use: client, app', 400);
+                    results.push({ message_id: messageId, ack_level: ackLevel, success: false, error: 'Invalid ack_level. Use: client, app' });
+                    continue;
+                }
+                const key = `${req.user.profile_id}:${messageId}`;
+                if (!this.acks.has(key)) {
+                    this.acks.set(key, new Map());
+                }
+                this.acks.get(key).set(ackLevel, ack.ack_data ?? null);
+                results.push({ message_id: messageId, ack_level: ackLevel, success: true });
+            }
+
+            if (!batch) {
+                return { type: 'ack', ...results[0] };
+            }
+            return { type: 'ack', success: results.every(result => result.success), results };
+        });
+
+        this.route('POST', '/api/ws/fingerprint', (req) => {
+            const components = req.body?.components;
+            if (!components || typeof components !== 'object' || !Object.keys(components).length) {
+                return BintelxMockServer.reply({ success: false, error: 'components array required' }, 400);
+            }
+            const version = req.body.schema_version ?? null;
+            let raw = Object.keys(components).sort()
+                .map(key => `${key}:${typeof components[key] === 'string' ? components[key] : JSON.stringify(components[key])}`)
+                .join('||');
+            if (version !== null && String(version) !== '1') {
+                raw = `v${version}||${raw}`;
+            }
+            return {
+                success: true,
+                hash: this.hash(raw),
+                algorithm: 'mock',
+                components_count: Object.keys(components).length,
+                schema_version: version ?? 1
+            };
+        });
+
+        this.route('GET', '/api/ws/ping', () => ({ type: 'pong', timestamp: this.timestamp() }));
+    }
+
+    // Profiles with an active persistent subscription, like channelMembers() in package/channels
+    membersOf(channel) {
+        return [...this.subscriptions].filter(([, channels]) => channels.has(channel)).map(([profileId]) => profileId).sort((a, b) => a - b);
+    }
+
+    // Rows shaped like MessagePersistence::getPendingMessages(): not yet acked at 'client' level
+    pendingFor(profileId, channel = null) {
+        const channels = this.subscriptions.get(profileId) || new Set();
+        return this.messages
+            .filter(row => channels.has(row.channel) && (!channel || row.channel === channel))
+            .map((row) => {
+                const acks = this.acks.get(`${profileId}:${row.message_id}`);
+                return {
+                    ...row,
+                    recipient_profile_id: profileId,
+                    server_ack: 1,
+                    client_ack: acks?.has('client') ? 1 : 0,
+                    app_ack: acks?.has('app') ? 1 : 0
+                };
+            })
+            .filter(row => !row.client_ack);
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Auth helpers                                                       */
+    /* ------------------------------------------------------------------ */
+
+    verifyToken(token) {
+        if (!token) return null;
+        if (!this.users) {
+            return { account_id: 1, profile_id: 1, scope_entity_id: 0, device_hash: '', token };
+        }
+        const user = this.users[token];
+        return user ? { scope_entity_id: 0, device_hash: '', ...user, token } : null;
+    }
+
+    // Like ChannelServer::loadProfile(): an invalid token clears the previous auth
+    loadProfile(conn, token) {
+        conn.user = this.verifyToken(token);
+    }
+
+    // 32 hex chars from four FNV-1a lanes; stands in for the server's xxh128
+    hash(text) {
+        return [0x811c9dc5, 0x01000193, 0x050c5d1f, 0x2166136a].map((seed) => {
+            let h = seed >>> 0;
+            for (let i = 0; i < text.length; i++) {
+                h ^= text.charCodeAt(i);
+                h = Math.imul(h, 0x01000193) >>> 0;
+            }
+            return h.toString(16).padStart(8, '0');
+        }).join('');
+    }
+
+    now() {
+        return typeof this.timers.now === 'function' ? this.timers.now() : Date.now();
+    }
+
+    timestamp() {
+        return Math.floor(this.now() / 1000);
+    }
+
+    /* ------------------------------------------------------------------ */
+    /* Handler helpers                                                    */
+    /* ------------------------------------------------------------------ */
+
+    // Custom status code and/or a raw body tagged with _fmt ('scon', 'toon')
+    static reply(data, statusCode = 200, format = null) {
+        return new BintelxMockReply(data, statusCode, format);
+    }
+
+    // Response::error() shape
+    static error(message, statusCode = 400) {
+        return new BintelxMockReply({
+            success: false,
+            message,
+            meta: { timestamp: Math.floor(Date.now() / 1000) }
+        }, statusCode);
+    }
+}
+
+// Export for browsers and bundlers.
+BintelxMockServer.FakeTimers = BintelxFakeTimers;
+BintelxMockServer.Socket = BintelxMockSocket;
+BintelxMockServer.Reply = BintelxMockReply;
+
+if (typeof window !== 'undefined') {
+    window.BintelxMockServer = BintelxMockServer;
+}
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BintelxMockServer;
+}
@@ -0,0 +1,10 @@
+// ESM entry for the mock channel server (bintelx-client/testing), Node.js only like bintelx.client.mjs.
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const BintelxMockServer = require('./bintelx.testing.js');
+
+export const { FakeTimers, Socket, Reply } = BintelxMockServer;
+
+export { BintelxMockServer };
+export default BintelxMockServer;
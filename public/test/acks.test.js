@@ -0,0 +1,61 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, advance } = require('./helpers.js');
+
+const ackFrames = server => server.received('api').filter(frame => frame.route === '/api/ws/ack');
+
+test('client acks are debounced into one batch', async () => {
+    const { server, client, timers } = await setup();
+    await client.request('/api/ws/subscribe', { channel: 'orders' });
+    client.subscribe('orders');
+    await server.flush();
+    server.publish('orders', { n: 1 });
+    server.publish('orders', { n: 2 });
+    await server.flush();
+    assert.equal(ackFrames(server).length, 0);
+
+    await timers.advance(client.ackDebounceMs);
+    await server.flush();
+    const [frame] = ackFrames(server);
+    assert.deepEqual(frame.body.acks.map(ack => ack.ack_level), ['client', 'client']);
+    assert.equal(server.pendingFor(7).length, 0);
+});
+
+test('message.ack(data) records an app ack and resolves with the server result', async () => {
+    const { server, client, timers } = await setup({ autoAck: false });
+    const sub = client.subscribe('orders');
+    await sub.ready;
+    const received = new Promise(resolve => sub.onMessage(resolve));
+    server.publish('orders', { n: 1 });
+    const message = await received;
+
+    const acked = message.ack({ read: true });
+    await timers.advance(client.ackDebounceMs);
+    const result = await acked;
+    assert.equal(result.success, true);
+    assert.deepEqual([...server.acks.get(`7:${message.message_id}`)], [['app', { read: true }]]);
+});
+
+test('a failed batch is retried with backoff instead of waiting for a reconnect', async () => {
+    const { server, client, timers } = await setup();
+    server.fault('/api/ws/ack', { status: 503, message: 'busy', times: 2 });
+    const acked = client.ack('msg_1');
+    await timers.advance(client.ackDebounceMs);
+    await server.flush();
+    assert.equal(ackFrames(server).length, 1);
+    assert.equal(client.pendingAcks.size, 1);
+
+    // 250 * 2: no earlier than the backoff
+    await advance(server, 499);
+    assert.equal(ackFrames(server).length, 1);
+    await advance(server, 1);
+    assert.equal(ackFrames(server).length, 2);
+
+    await advance(server, 1000);
+    assert.equal(ackFrames(server).length, 3);
+    assert.equal((await acked).success, true);
+    assert.equal(client.pendingAcks.size, 0);
+    assert.equal(client.state, 'ready');
+});
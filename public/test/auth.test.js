@@ -0,0 +1,88 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, advance, jwt } = require('./helpers.js');
+
+const users = (...tokens) => Object.fromEntries(tokens.map(([token, user]) => [token, { account_id: 1, ...user }]));
+
+test('reauthenticate() swaps the token in-band and emits auth:changed', async () => {
+    const next = jwt({ profile_id: 8, scope_entity_id: 3 });
+    const { server, client, events } = await setup({
+        users: users(['t0k3n', { profile_id: 7 }], [next, { profile_id: 8, scope_entity_id: 3 }])
+    });
+    const connections = server.connections.size;
+
+    const context = await client.reauthenticate(next);
+    assert.deepEqual(context, { profile_id: 8, scope_entity_id: 3 });
+    assert.equal(server.received('auth').at(-1).token, next);
+    assert.equal(server.connections.size, connections);
+    assert.equal(events.of('auth:changed').at(-1).previous.profile_id, null);
+    assert.equal(client.activeToken, next);
+});
+
+test('a rejected token leaves the session as it was', async () => {
+    const { client } = await setup();
+    await assert.rejects(client.reauthenticate('nope'), { message: 'Authentication failed' });
+    assert.equal(client.state, 'ready');
+});
+
+test('switchScope() trades the scope for a new token and re-authenticates with it', async () => {
+    const scoped = jwt({ profile_id: 7, scope_entity_id: 42 });
+    const { server, client } = await setup({
+        users: users(['t0k3n', { profile_id: 7 }], [scoped, { profile_id: 7, scope_entity_id: 42 }])
+    });
+    server.route('POST', '/api/profile/scope/switch.json', req => ({ success: true, token: req.body.scope_entity_id === 42 ? scoped : null }));
+
+    assert.deepEqual(await client.switchScope(42), { profile_id: 7, scope_entity_id: 42 });
+    server.route('POST', '/api/profile/scope/switch.json', () => ({ success: false, message: 'Not a member' }));
+    await assert.rejects(client.switchScope(5), { message: 'Not a member' });
+});
+
+test('the token is refreshed refreshLeewayMs before it expires', async () => {
+    const exp = Math.floor(Date.now() / 1000) + 120;
+    const first = jwt({ profile_id: 7, exp });
+    const second = jwt({ profile_id: 7, exp: exp + 3600 });
+    const calls = [];
+    const { server, client } = await setup({
+        token: first,
+        users: users([first, { profile_id: 7 }], [second, { profile_id: 7 }]),
+        refreshToken: async (current) => {
+            calls.push(current);
+            return second;
+        }
+    });
+
+    await advance(server, 50000);
+    assert.deepEqual(calls, []);
+    await advance(server, 15000);
+    assert.deepEqual(calls, [first]);
+    assert.equal(client.activeToken, second);
+});
+
+test('no refresh runs against a closed client; the next handshake schedules it again', async () => {
+    const exp = Math.floor(Date.now() / 1000) + 120;
+    const token = jwt({ profile_id: 7, exp });
+    const calls = [];
+    const { server, client } = await setup({
+        token,
+        reconnect: { strategy: 'exponential', baseMs: 100000, maxMs: 100000 },
+        users: users([token, { profile_id: 7 }]),
+        refreshToken: async (current) => {
+            calls.push(current);
+            return current;
+        }
+    });
+    server.drop();
+    await server.flush();
+    assert.equal(client.refreshTimer, null);
+    await server.timers.advance(90000);
+    assert.deepEqual(calls, []);
+
+    await advance(server, 10000);
+    assert.equal(client.state, 'ready');
+    assert.notEqual(client.refreshTimer, null);
+
+    client.disconnect();
+    assert.equal(client.refreshTimer, null);
+});
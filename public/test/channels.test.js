@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, advance } = require('./helpers.js');
+
+const calls = (server, route) => server.received('api').filter(frame => frame.route === route);
+
+test('a persistent channel is recorded too, and replayed after a drop', async () => {
+    const { server, client } = await setup({ reconnect: 'exponential' });
+    const seen = [];
+    const room = client.subscribe('room.1', { persistent: true });
+    room.onMessage(msg => seen.push(msg.message));
+    await room.ready;
+    assert.equal(server.received('subscribe').filter(frame => frame.channel === 'room.1').length, 1);
+    assert.equal(calls(server, '/api/ws/subscribe').at(-1).body.channel, 'room.1');
+
+    server.drop();
+    await server.flush();
+    server.publish('room.1', { text: 'while away' });
+    assert.equal(server.pendingFor(7, 'room.1').length, 1);
+
+    await advance(server, 1000);
+    await advance(server, 0);
+    assert.equal(client.state, 'ready');
+    assert.deepEqual(seen, [{ text: 'while away' }]);
+});
+
+test('by default only the native subscribe frame is sent', async () => {
+    const { server, client } = await setup();
+    const before = calls(server, '/api/ws/subscribe').length;
+    await client.subscribe('room.live').ready;
+
+    assert.equal(server.received('subscribe').filter(frame => frame.channel === 'room.live').length, 1);
+    assert.equal(calls(server, '/api/ws/subscribe').length, before);
+    assert.equal(server.pendingFor(7, 'room.live').length, 0);
+    server.publish('room.live', { text: 'later' });
+    assert.equal(server.pendingFor(7, 'room.live').length, 0);
+});
+
+test('unsubscribe() removes the persisted subscription, also when queued offline', async () => {
+    const { server, client } = await setup({ reconnect: 'exponential' });
+    const online = client.subscribe('room.a', { persistent: true });
+    const offline = client.subscribe('room.b', { persistent: true });
+    await Promise.all([online.ready, offline.ready]);
+
+    await online.unsubscribe();
+    assert.equal(server.subscriptions.get(7).has('room.a'), false);
+    server.publish('room.a', { text: 'gone' });
+    assert.equal(server.pendingFor(7, 'room.a').length, 0);
+
+    server.drop();
+    await server.flush();
+    const done = offline.unsubscribe();
+    await server.flush();
+    assert.equal(server.subscriptions.get(7).has('room.b'), true);
+
+    await advance(server, 1000);
+    await done;
+    assert.equal(server.subscriptions.get(7).has('room.b'), false);
+    assert.equal(client.subscriptionState('room.b'), null);
+});
+
+test('a native unsubscribe leaves the DB subscription of another device alone', async () => {
+    const { server, client } = await setup();
+    await client.request('/api/ws/subscribe', { channel: 'room.c' });
+    const room = client.subscribe('room.c');
+    await room.ready;
+
+    await room.unsubscribe();
+    assert.equal(server.received('unsubscribe').filter(frame => frame.channel === 'room.c').length, 1);
+    assert.equal(calls(server, '/api/ws/unsubscribe').length, 0);
+    assert.equal(server.subscriptions.get(7).has('room.c'), true);
+});
+
+test('a channel revoked by the server ends in the revoked state', async () => {
+    const { server, client } = await setup();
+    const room = client.subscribe('room.1');
+    await room.ready;
+
+    server.revoke('room.1');
+    await server.flush();
+    assert.equal(client.subscriptionState('room.1'), 'revoked');
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BintelxClient, BintelxMockServer, setup } = require('./helpers.js');
+
+const { SconDecoder } = BintelxClient;
+
+test('TOON bodies: scalars, nested objects, inline and tabular arrays', () => {
+    const text = [
+        'name: Chile',
+        'active: true',
+        '"weird key": "a:b, c"',
+        'tags[3]: a,"b,c",3',
+        'empty[0]:',
+        'meta:',
+        '  tz: America/Santiago',
+        '  nested:',
+        '    deep: null',
+        'rows[2]{id,name}:',
+        '  1,Ana',
+        '  2,"Bo \\"B\\""'
+    ].join('\n');
+    assert.deepEqual(SconDecoder.decode(text, { toon: true }), {
+        name: 'Chile',
+        active: true,
+        'weird key': 'a:b, c',
+        tags: ['a', 'b,c', 3],
+        empty: [],
+        meta: { tz: 'America/Santiago', nested: { deep: null } },
+        rows: [{ id: 1, name: 'Ana' }, { id: 2, name: 'Bo "B"' }]
+    });
+});
+
+test('a [?] length reads streamed rows until the block ends', () => {
+    assert.deepEqual(SconDecoder.decode('[?]{a,b}:\n  1,"x"\n  2,null\n', { toon: true }), [
+        { a: 1, b: 'x' },
+        { a: 2, b: null }
+    ]);
+});
+
+test('SCON definitions, references and minified bodies', () => {
+    const text = [
+        '#!scon/1.0',
+        's:err {type:object, properties:{message:{type:string}}}',
+        'error: @s:err',
+        'alt: @s:err | @s:err'
+    ].join('\n');
+    const schema = { type: 'object', properties: { message: { type: 'string' } } };
+    assert.deepEqual(SconDecoder.decode(text), { error: schema, alt: { oneOf: [schema, schema] } });
+    assert.deepEqual(SconDecoder.decode('a: 1;b:;c: 2;;d: 3'), { a: 1, b: { c: 2 }, d: 3 });
+});
+
+test('api_response bodies tagged with _fmt are decoded, the raw text is kept', async () => {
+    const { server, client } = await setup();
+    const body = 'rows[2]{id}:\n  1\n  2';
+    server.route('GET', '/api/orders/list.scon', () => BintelxMockServer.reply(body, 200, 'scon'));
+
+    const response = await client.request('/api/orders/list', {}, { method: 'GET', format: 'scon' });
+    assert.equal(server.received('api').at(-1).route, '/api/orders/list.scon');
+    assert.deepEqual(response.data, { rows: [{ id: 1 }, { id: 2 }] });
+    assert.equal(response._fmt, 'scon');
+    assert.equal(response._raw, body);
+});
+
+test('custom decoders and undecodable bodies', async () => {
+    const { server, client, events } = await setup();
+    server.route('GET', '/api/csv', () => BintelxMockServer.reply('a,b', 200, 'csv'));
+    server.route('GET', '/api/broken', () => BintelxMockServer.reply('x', 200, 'scon'));
+    client.registerDecoder('csv', text => text.split(','));
+    client.registerDecoder('scon', () => { throw new Error('bad body'); });
+
+    assert.deepEqual((await client.request('/api/csv', {}, { method: 'GET' })).data, ['a', 'b']);
+    const broken = await client.request('/api/broken', {}, { method: 'GET' });
+    assert.equal(broken.data, 'x');
+    assert.match(events.of('warn').at(-1).message, /Could not decode scon response: bad body/);
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BintelxClient, jwt, setup, createClient, record, advance } = require('./helpers.js');
+
+const channel = 'room:hr';
+// The client reads its own profile from the token claims
+const tokens = {
+    alice: jwt({ account_id: 1, profile_id: 7 }),
+    bob: jwt({ account_id: 2, profile_id: 8 }),
+    mallory: jwt({ account_id: 3, profile_id: 9 })
+};
+const users = {
+    [tokens.alice]: { account_id: 1, profile_id: 7 },
+    [tokens.bob]: { account_id: 2, profile_id: 8 },
+    [tokens.mallory]: { account_id: 3, profile_id: 9 }
+};
+
+function e2eOptions() {
+    return { channels: [channel], storage: new BintelxClient.MemoryQueueStorage() };
+}
+
+// Alice holds the first key; Bob joins and gets the rotated one
+async function room() {
+    const { server, client: alice, events: aliceEvents } = await setup({ users, token: tokens.alice, e2e: e2eOptions() });
+    const connect = async (token) => {
+        const client = createClient(server, { token: tokens[token], e2e: e2eOptions() });
+        const events = record(client);
+        await server.flush();
+        return { client, events };
+    };
+    const inbox = [];
+    await alice.e2e.join(channel);
+    alice.subscribe(channel).onMessage(msg => inbox.push(msg));
+    await advance(server, 3000);
+
+    const { client: bob, events: bobEvents } = await connect('bob');
+    await bob.e2e.join(channel);
+    bob.subscribe(channel);
+    await server.flush();
+    await advance(server, 250);
+    return { server, alice, aliceEvents, bob, bobEvents, inbox, connect };
+}
+
+// A 'key' frame sent by `client`, with a fresh key wrapped for `target` from the client's own device key
+async function forgedKey(client, target, kid, from) {
+    const crypto = client.e2e;
+    const raw = await crypto.subtle.exportKey('raw', await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']));
+    const iv = BintelxClient.ChannelCrypto.randomBytes(12);
+    const wrapKey = await crypto.wrappingKey(target.e2e.device.publicKey, channel, kid);
+    const ct = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: BintelxClient.ChannelCrypto.utf8(`${channel}|${kid}|${target.e2e.device.id}`) },
+        wrapKey,
+        raw
+    );
+    const wraps = { [target.e2e.device.id]: { iv: BintelxClient.ChannelCrypto.toBase64(iv), ct: BintelxClient.ChannelCrypto.toBase64(ct) } };
+    return { e2e: 'key', kid, from, public_key: crypto.device.jwk, roster: {}, wraps };
+}
+
+function publish(client, message) {
+    return client.request('/api/ws/publish', { channel, message });
+}
+
+test('members read each other; the server only stores ciphertext', async () => {
+    const { server, alice, bob, inbox } = await room();
+    assert.equal(bob.e2e.describe(channel).kid, alice.e2e.describe(channel).kid);
+    assert.deepEqual(alice.e2e.describe(channel).devices.map(device => device.profileId).sort(), [7, 8]);
+
+    await bob.publish(channel, { text: 'Q3 bonuses' });
+    await server.flush();
+    assert.deepEqual(inbox.at(-1).message, { text: 'Q3 bonuses' });
+    assert.equal(server.messages.some(row => row.payload.includes('Q3 bonuses')), false);
+});
+
+test('device announcements from profiles that are not members are ignored', async () => {
+    const { server, alice, aliceEvents, connect } = await room();
+    const { client: mallory } = await connect('mallory');
+    await mallory.e2e.start();
+
+    await publish(mallory, { e2e: 'device', device_id: 'dev_mallory', public_key: mallory.e2e.device.jwk });
+    await server.flush();
+    await advance(server, 250);
+
+    assert.deepEqual(aliceEvents.of('e2e:rejected').map(event => [event.profileId, event.reason]), [[9, 'not a member']]);
+    assert.equal(alice.e2e.describe(channel).devices.some(device => device.deviceId === 'dev_mallory'), false);
+    assert.equal(server.received('api').filter(frame => frame.route === '/api/channels/members' && frame.query?.channel === channel).length > 0, true);
+});
+
+test('key frames are only taken from known devices, with the public key already held for them', async () => {
+    const { server, alice, aliceEvents, bob, connect } = await room();
+    const { client: mallory } = await connect('mallory');
+    await mallory.e2e.start();
+    const before = alice.e2e.describe(channel).kid;
+
+    // Claims to be Bob's device, carrying Mallory's public key so the wrap would open
+    await publish(mallory, await forgedKey(mallory, alice, 'forged-1', bob.e2e.device.id));
+    // A member profile, but a device Alice has never seen, once she already holds a key
+    await publish(bob, await forgedKey(bob, alice, 'forged-2', 'dev_unknown'));
+    await server.flush();
+
+    assert.equal(alice.e2e.describe(channel).kid, before);
+    assert.deepEqual(aliceEvents.of('e2e:rejected').map(event => [event.deviceId, event.profileId, event.reason]), [
+        [bob.e2e.device.id, 9, 'untrusted sender'],
+        ['dev_unknown', 8, 'untrusted sender']
+    ]);
+});
+
+test('the newest key is the last to arrive, whatever created_at the sender claims', async () => {
+    const { server, alice, bob } = await room();
+    bob.use(async (ctx, next) => {
+        if (ctx.payload.body?.message?.e2e === 'key') ctx.payload.body.message.created_at = 1;
+        return next();
+    });
+
+    const { kid } = await bob.e2e.rotate(channel);
+    await server.flush();
+    assert.equal(alice.e2e.describe(channel).kid, kid);
+});
+
+test('a leave frame only removes a device of the sender\'s own profile', async () => {
+    const { server, alice, bob, connect } = await room();
+    const { client: mallory } = await connect('mallory');
+    const devices = () => alice.e2e.describe(channel).devices.map(device => device.deviceId);
+
+    await publish(mallory, { e2e: 'leave', device_id: bob.e2e.device.id });
+    await server.flush();
+    assert.equal(devices().includes(bob.e2e.device.id), true);
+
+    await bob.e2e.leave(channel);
+    await server.flush();
+    assert.equal(devices().includes(bob.e2e.device.id), false);
+});
@@ -0,0 +1,177 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, createClient, settled } = require('./helpers.js');
+
+const users = {
+    t0k3n: { account_id: 1, profile_id: 7 },
+    other: { account_id: 2, profile_id: 8 }
+};
+
+// package/edc routes over one response (42) of form 'vitals' (form_definition_id 3)
+function edcServer(server, options = {}) {
+    const store = { status: 'draft', fields: {}, writes: [] };
+    const fields = () => Object.fromEntries(Object.entries(store.fields).map(([id, data]) => [`edc.3.${id}`, data]));
+    const response = () => ({ success: true, metadata: { form_definition_id: 3, status: store.status }, fields: fields() });
+
+    server.route('GET', '/api/edc/v1/forms/{name}', () => ({
+        success: true,
+        data: { form_definition_id: 3, schema: { sections: [{ fields: [{ field_id: 'weight' }, { field_id: 'height' }] }] } }
+    }));
+    server.route('GET', '/api/edc/v1/responses/{id}', response);
+    server.route('POST', '/api/edc/v1/responses/{id}/snapshot', response);
+    server.route('PUT', '/api/edc/v1/responses/{id}/lock', () => {
+        store.status = 'locked';
+        return { success: true };
+    });
+    // EDC::saveResponseData(): the writer's profile and each field's version come back
+    server.route('POST', '/api/edc/v1/responses/{id}/data', (req) => {
+        if (store.status === 'locked') return { success: false, message: 'Response is locked' };
+        Object.entries(req.body.fields).forEach(([id, value]) => {
+            const previous = store.fields[id];
+            if (previous && previous.value === value) return;
+            store.fields[id] = { value, version: (previous?.version ?? 0) + 1, last_updated_by_profile_id: req.user.profile_id };
+        });
+        store.writes.push({ fields: req.body.fields, reason: req.body.reason, profile: req.user.profile_id });
+        options.onWrite?.(store);
+        const versions = Object.fromEntries(Object.keys(req.body.fields).map(id => [id, store.fields[id].version]));
+        return { success: true, fields_saved: Object.keys(req.body.fields).length, versions };
+    });
+    return store;
+}
+
+async function edcSetup(options = {}) {
+    const context = await setup({ users, reconnect: 'exponential', ...options });
+    const store = edcServer(context.server, options);
+    return { ...context, store };
+}
+
+test('edits are autosaved in one debounced batch; changing a saved field needs a reason', async () => {
+    const { server, client, store, timers } = await edcSetup();
+    const form = await client.edc.openResponse('vitals', { responseId: 42, debounceMs: 500 });
+
+    form.set('weight', 70);
+    form.set('height', 180);
+    await timers.advance(499);
+    assert.equal(store.writes.length, 0);
+    await timers.advance(1);
+    await server.flush();
+    await form.saving;
+    assert.deepEqual(store.writes, [{ fields: { weight: 70, height: 180 }, reason: 'Data entry', profile: 7 }]);
+    assert.equal(form.isDirty(), false);
+
+    assert.throws(() => form.set('weight', 71), { code: 'EREASON' });
+    form.set('weight', 71, { reason: 'Transcription error' });
+    await form.save();
+    assert.deepEqual(store.writes.at(-1), { fields: { weight: 71 }, reason: 'Transcription error', profile: 7 });
+});
+
+test('another device of the same profile editing the field is a conflict', async () => {
+    const { server, client, store } = await edcSetup();
+    const form = await client.edc.openResponse('vitals', { responseId: 42 });
+    form.set('weight', 70);
+    await form.save();
+
+    // Same token, so the same profile in the writer column
+    const other = createClient(server, { timers: server.timers });
+    await server.flush();
+    const elsewhere = await other.edc.openResponse('vitals', { responseId: 42 });
+    elsewhere.set('weight', 75, { reason: 'Re-measured' });
+    await elsewhere.save();
+    assert.equal(store.fields.weight.last_updated_by_profile_id, 7);
+
+    const conflicts = [];
+    form.on('conflict', conflict => conflicts.push(conflict));
+    form.set('weight', 72, { reason: 'Scale recalibrated' });
+    const result = await form.save();
+
+    assert.deepEqual(result.conflicts, ['weight']);
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].mine, 72);
+    assert.equal(conflicts[0].theirs.value, 75);
+    assert.equal(conflicts[0].theirs.profileId, 7);
+    assert.equal(store.fields.weight.value, 75);
+
+    form.resolve('weight', 'mine');
+    await form.save();
+    assert.equal(store.fields.weight.value, 72);
+});
+
+test('a write of this session that landed without a reply is not reported as a conflict', async () => {
+    let dropReply = true;
+    const { server, client, store } = await edcSetup({
+        // Applied on the server, but the connection goes before the reply does
+        onWrite: () => {
+            if (!dropReply) return;
+            dropReply = false;
+            server.drop();
+        }
+    });
+    const form = await client.edc.openResponse('vitals', { responseId: 42 });
+    const conflicts = [];
+    form.on('conflict', conflict => conflicts.push(conflict));
+
+    form.set('weight', 70);
+    const lost = settled(form.save());
+    await server.flush();
+    assert.equal(lost.current.status, 'rejected');
+    assert.equal(store.fields.weight.value, 70);
+
+    await server.timers.advance(1000);
+    await server.flush();
+    const result = await form.save();
+
+    assert.deepEqual(result, { saved: ['weight'], conflicts: [] });
+    assert.equal(conflicts.length, 0);
+    assert.equal(store.fields.weight.version, 1);
+});
+
+test('another user saving a value this session wrote earlier is still a conflict', async () => {
+    const { server, client, store } = await edcSetup();
+    const form = await client.edc.openResponse('vitals', { responseId: 42 });
+    form.set('weight', 70);
+    await form.save();
+    assert.equal(form.saved.get('weight').version, 1);
+
+    const other = createClient(server, { token: 'other' });
+    await server.flush();
+    const elsewhere = await other.edc.openResponse('vitals', { responseId: 42 });
+    elsewhere.set('weight', 75, { reason: 'Re-measured' });
+    await elsewhere.save();
+    elsewhere.set('weight', 70, { reason: 'Back to the first reading' });
+    await elsewhere.save();
+    assert.equal(store.fields.weight.version, 3);
+
+    form.set('weight', 72, { reason: 'Scale recalibrated' });
+    const result = await form.save();
+    assert.deepEqual(result.conflicts, ['weight']);
+    assert.equal(form.conflicts.get('weight').theirs.profileId, 8);
+    assert.equal(store.fields.weight.value, 70);
+});
+
+test('lock() saves what is pending and later writes throw ELOCKED', async () => {
+    const { client, store } = await edcSetup();
+    const form = await client.edc.openResponse('vitals', { responseId: 42 });
+    form.set('height', 180);
+
+    await form.lock();
+    assert.equal(store.status, 'locked');
+    assert.deepEqual(store.writes.map(write => write.fields), [{ height: 180 }]);
+    assert.equal(form.locked, true);
+    assert.throws(() => form.set('height', 181, { reason: 'Typo' }), { code: 'ELOCKED' });
+});
+
+test('lock() refuses while fields are held back by a conflict', async () => {
+    const { client, store } = await edcSetup();
+    const form = await client.edc.openResponse('vitals', { responseId: 42 });
+    form.set('weight', 70);
+    await form.save();
+    store.fields.weight = { value: 75, version: 2, last_updated_by_profile_id: 8 };
+
+    form.set('weight', 72, { reason: 'Scale recalibrated' });
+    form.set('height', 180);
+    await assert.rejects(form.lock(), { code: 'ECONFLICT', message: '1 field(s) still unsaved; resolve conflicts before locking' });
+    assert.equal(store.status, 'draft');
+    assert.deepEqual(store.writes.at(-1).fields, { height: 180 });
+});
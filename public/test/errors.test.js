@@ -0,0 +1,96 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BintelxClient, BintelxMockServer, setup, advance, settled } = require('./helpers.js');
+
+test('server status codes map to typed errors with context', async () => {
+    const { server, client } = await setup();
+    const cases = [
+        [401, BintelxClient.AuthError, false],
+        [403, BintelxClient.PermissionError, false],
+        [422, BintelxClient.ValidationError, false],
+        [429, BintelxClient.RateLimitError, true],
+        [500, BintelxClient.ServerError, true],
+        [501, BintelxClient.ServerError, false]
+    ];
+    for (const [status, ErrorClass, retryable] of cases) {
+        server.route('GET', `/api/fail/${status}`, () => BintelxMockServer.error(`failed with ${status}`, status));
+        await assert.rejects(client.request(`/api/fail/${status}`, {}, { method: 'GET' }), (err) => {
+            assert.ok(err instanceof ErrorClass, `${status} → ${err.name}`);
+            assert.ok(err instanceof BintelxClient.Error);
+            assert.equal(err.statusCode, status);
+            assert.equal(err.retryable, retryable);
+            assert.equal(err.route, `/api/fail/${status}`);
+            assert.match(err.correlationId, /^client_/);
+            assert.equal(err.payload.status_code, status);
+            return true;
+        });
+    }
+});
+
+test('a 429 carries retry_after', async () => {
+    const { server, client } = await setup();
+    server.route('GET', '/api/busy', () => BintelxMockServer.reply({ success: false, message: 'Slow down', retry_after: 3 }, 429));
+    await assert.rejects(client.request('/api/busy', {}, { method: 'GET' }), { name: 'BintelxRateLimitError', retryAfterMs: 3000 });
+});
+
+test('the GET retry policy is opt-in and skips writes and non-retryable errors', async () => {
+    const { server, client, events } = await setup({ retry: { retries: 2, baseDelayMs: 100 } });
+    let reads = 0;
+    let writes = 0;
+    server.route('GET', '/api/flaky', () => (++reads < 3 ? BintelxMockServer.error('down', 503) : { ok: true }));
+    server.route('POST', '/api/flaky', () => { writes++; return BintelxMockServer.error('down', 503); });
+    server.route('GET', '/api/bad', () => BintelxMockServer.error('nope', 422));
+
+    const read = settled(client.request('/api/flaky', {}, { method: 'GET' }));
+    for (let i = 0; i < 4 && !read.current; i++) await advance(server, 200);
+    assert.deepEqual(read.current.value.data, { ok: true });
+    assert.equal(reads, 3);
+    assert.deepEqual(events.of('retry').map(e => e.attempt), [1, 2]);
+
+    await assert.rejects(client.request('/api/flaky', {}, { method: 'POST' }), { statusCode: 503 });
+    assert.equal(writes, 1);
+    await assert.rejects(client.request('/api/bad', {}, { method: 'GET' }), { statusCode: 422 });
+    assert.equal(events.of('retry').length, 2);
+});
+
+test('a persisted request is resent after a retryable error and dropped after any other', async () => {
+    const { server, client, events } = await setup({ persistentQueue: true });
+    let runs = 0;
+    server.route('POST', '/api/orders', () => (++runs === 1 ? BintelxMockServer.error('db down', 500) : { id: runs }));
+    server.route('POST', '/api/invalid', () => BintelxMockServer.error('sku required', 422));
+
+    const order = settled(client.request('/api/orders', {}, { persist: true, idempotencyKey: 'order-000001' }));
+    await server.flush();
+    assert.equal(order.current, null);
+    assert.deepEqual(events.of('queue:retry').map(e => [e.key, e.attempt, e.delayMs, e.error.statusCode]), [['order-000001', 1, 1000, 500]]);
+    assert.equal(client.durableEntries.has('order-000001'), true);
+
+    await advance(server, 1000);
+    assert.deepEqual(order.current.value.data, { id: 2 });
+    assert.equal(client.durableEntries.size, 0);
+
+    await assert.rejects(client.request('/api/invalid', {}, { persist: true, idempotencyKey: 'bad-000001' }), { statusCode: 422 });
+    assert.deepEqual(events.of('queue:dropped').map(e => [e.key, e.reason]), [['bad-000001', 'rejected']]);
+    assert.equal(client.durableEntries.size, 0);
+});
+
+test('device_mismatch frames surface as AuthError; the second one ends the session', async () => {
+    const { server, client, events } = await setup();
+    server.deviceMismatch();
+    await server.flush();
+    const [first] = events.of('error');
+    assert.ok(first instanceof BintelxClient.AuthError);
+    assert.equal(first.retryable, false);
+    assert.equal(events.of('device:recovering').length, 1);
+    assert.notEqual(client.state, 'terminated');
+
+    await server.flush();
+    server.deviceMismatch();
+    await server.flush();
+    assert.equal(client.state, 'terminated');
+    const [ended] = events.of('session:ended');
+    assert.equal(ended.reason, 'device_mismatch');
+    assert.ok(ended.error instanceof BintelxClient.AuthError);
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { setup, advance } = require('./helpers.js');
+
+const CONTENT = 'abcdefghijklmnopqrstuvwxyz';
+const SHA = crypto.createHash('sha256').update(CONTENT).digest('hex');
+
+// package/files routes, answered as Response::json(['data' => ...])
+function filesBackend(server, { exists = false, chunkSize = 8, missing = null } = {}) {
+    const backend = { chunks: [], aborted: [], inits: 0, checks: [] };
+    const totalChunks = Math.ceil(CONTENT.length / chunkSize);
+    server.route('POST', '/api/files/check', (req) => {
+        backend.checks.push(req.body.hash);
+        return { data: exists ? { exists: true, document_id: 5 } : { exists: false } };
+    });
+    server.route('POST', '/api/files/upload/init', () => {
+        backend.inits++;
+        return { data: { success: true, upload_id: 'up1', chunk_size: chunkSize, total_chunks: totalChunks } };
+    });
+    server.route('PUT', '/api/files/upload/{id}/chunk', (req) => {
+        backend.chunks.push(Number(req.query.chunk_index));
+        return { data: { success: true } };
+    });
+    server.route('GET', '/api/files/upload/{id}/status', () => ({
+        data: { success: true, status: 'active', missing_chunks: missing || {} }
+    }));
+    server.route('POST', '/api/files/upload/{id}/complete', () => ({ data: { success: true, document_id: 9 } }));
+    server.route('POST', '/api/files/upload/{id}/abort', (req) => {
+        backend.aborted.push(req.params.id);
+        return { data: { success: true } };
+    });
+    return backend;
+}
+
+function installLocalStorage(t) {
+    const items = new Map();
+    globalThis.localStorage = {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+    t.after(() => { delete globalThis.localStorage; });
+    return items;
+}
+
+test('a file the server already has is not uploaded again', async () => {
+    const { server, client } = await setup({ files: { hashSliceSize: 5 } });
+    const backend = filesBackend(server, { exists: true });
+
+    const result = await client.files.upload(new Blob([CONTENT]), { name: 'a.txt' });
+    assert.deepEqual(backend.checks, [SHA]);
+    assert.equal(backend.inits, 0);
+    assert.deepEqual(result, { success: true, hash: SHA, document_id: 5, deduplicated: true });
+});
+
+test('chunks go up with bounded concurrency and a failed chunk is retried', async () => {
+    const { server, client, events } = await setup({ files: { concurrency: 2, retryDelayMs: 10 } });
+    const backend = filesBackend(server);
+    server.fault('/api/files/upload/up1/chunk', { status: 503 });
+
+    let result = null;
+    const upload = client.files.upload(new Blob([CONTENT]), { name: 'a.txt' }).then((r) => { result = r; });
+    for (let i = 0; i < 10 && !result; i++) await advance(server, 10);
+    await upload;
+
+    assert.equal(result.document_id, 9);
+    assert.deepEqual([...backend.chunks].sort(), [0, 1, 2, 3]);
+    const uploading = events.of('file:progress').filter(p => p.phase === 'uploading');
+    assert.deepEqual(uploading.at(-1), { phase: 'uploading', name: 'a.txt', upload_id: 'up1', loaded: 26, total: 26 });
+    assert.ok(uploading.every((p, i) => i === 0 || p.loaded >= uploading[i - 1].loaded));
+});
+
+test('after a reload the upload resumes from /status', async (t) => {
+    const items = installLocalStorage(t);
+    items.set(`bnx_upload:${SHA}`, JSON.stringify({ upload_id: 'up1', chunk_size: 8, size: CONTENT.length }));
+    const { server, client } = await setup();
+    // array_diff keeps keys: missing chunks arrive as an object
+    const backend = filesBackend(server, { missing: { 2: 2, 3: 3 } });
+
+    const result = await client.files.upload(new Blob([CONTENT]), { name: 'a.txt' });
+    assert.equal(result.document_id, 9);
+    assert.equal(backend.inits, 0);
+    assert.deepEqual(backend.chunks.sort(), [2, 3]);
+    assert.equal(items.has(`bnx_upload:${SHA}`), false);
+});
+
+test('aborting the signal cancels the server session', async () => {
+    const { server, client } = await setup({ files: { concurrency: 1 } });
+    const backend = filesBackend(server);
+    const controller = new AbortController();
+    server.route('PUT', '/api/files/upload/{id}/chunk', (req) => {
+        backend.chunks.push(Number(req.query.chunk_index));
+        controller.abort();
+        return { data: { success: true } };
+    });
+
+    await assert.rejects(
+        client.files.upload(new Blob([CONTENT]), { name: 'a.txt', signal: controller.signal }),
+        { name: 'AbortError', code: 'EABORTED' }
+    );
+    assert.deepEqual(backend.chunks, [0]);
+    assert.deepEqual(backend.aborted, ['up1']);
+});
+
+test('download streams the body and reports progress', async () => {
+    const { client, events } = await setup();
+    const seen = [];
+    client.httpTransport.fetch = async (url, init) => {
+        seen.push([url, init.headers.Authorization]);
+        return new Response(CONTENT, { headers: { 'content-type': 'text/plain', 'content-length': String(CONTENT.length) } });
+    };
+
+    const blob = await client.files.download(9, { filename: 'a.txt' });
+    assert.equal(await blob.text(), CONTENT);
+    assert.equal(blob.type, 'text/plain');
+    assert.deepEqual(seen, [['http://mock/ws/api/files/documents/9/download?filename=a.txt', 'Bearer t0k3n']]);
+    const last = events.of('file:progress').at(-1);
+    assert.deepEqual(last, { phase: 'downloading', document_id: 9, loaded: 26, total: 26 });
+});
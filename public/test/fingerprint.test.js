@@ -0,0 +1,100 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BintelxClient, FakeTimers, setup, settled } = require('./helpers.js');
+
+const Fingerprint = BintelxClient.Fingerprint;
+
+// A fingerprinter with only the given collectors and an in-memory store
+function fingerprinter(collectors, options = {}) {
+    const fp = new Fingerprint({ timers: new FakeTimers(), storage: null, ...options });
+    [...fp.collectors.keys()].forEach(name => fp.unregister(name));
+    Object.entries(collectors).forEach(([name, spec]) => fp.register(name, spec));
+    return fp;
+}
+
+const never = () => new Promise(() => {});
+
+test('a collector that times out is left out of the hash, not sent as a fixed string', async () => {
+    const fp = fingerprinter({
+        math: { collect: () => 'm1', weight: 2 },
+        audio: { collect: never, weight: 2 }
+    }, { timeoutMs: 500 });
+
+    const result = settled(fp.generate());
+    await fp.timers.advance(0);
+    assert.equal(fp.timers.pending(), 1);
+    await fp.timers.advance(500);
+
+    assert.deepEqual(result.current.value.components, { math: 'm1' });
+    assert.deepEqual(result.current.value.diagnostics.timedOut, ['audio']);
+    assert.equal(fp.timers.pending(), 0);
+});
+
+test('a timed-out collector reuses its cached value and does not count as drift', async () => {
+    let audio = () => 'a1';
+    const fp = fingerprinter({
+        math: { collect: () => 'm1', weight: 2 },
+        audio: { collect: () => audio(), weight: 2, timeoutMs: 200 }
+    });
+    await fp.generate();
+
+    audio = never;
+    const result = settled(fp.generate({ fresh: true }));
+    await fp.timers.advance(200);
+    const { components, diagnostics } = result.current.value;
+
+    assert.deepEqual(components, { math: 'm1', audio: 'a1' });
+    assert.equal(diagnostics.verdict, 'same');
+    assert.deepEqual(diagnostics.timedOut, ['audio']);
+});
+
+test('a result collected with a timed-out component is still served from the cache', async () => {
+    let runs = 0;
+    const fp = fingerprinter({
+        math: { collect: () => { runs++; return 'm1'; } },
+        audio: { collect: never, timeoutMs: 200 }
+    });
+    const first = settled(fp.generate());
+    await fp.timers.advance(200);
+    assert.equal(first.current.value.cached, false);
+
+    const again = await fp.generate();
+    assert.equal(again.cached, true);
+    assert.deepEqual(again.components, { math: 'm1' });
+    assert.equal(runs, 1);
+
+    fp.register('fonts', () => 'f1');
+    const grown = settled(fp.generate());
+    await fp.timers.advance(200);
+    assert.equal(grown.current.value.cached, false);
+    assert.equal(runs, 2);
+});
+
+test('weights score diagnose() only; weight 0 stays out of the components', async () => {
+    const values = { webgl: 'gpu-1', screen: '1920x1080', media: 'mic-1' };
+    const fp = fingerprinter({
+        webgl: { collect: () => values.webgl, weight: 3 },
+        screen: { collect: () => values.screen, weight: 1 },
+        media: { collect: () => values.media, weight: 0 }
+    });
+    const first = await fp.generate();
+    assert.deepEqual(Object.keys(first.components), ['webgl', 'screen']);
+
+    values.screen = '2560x1440';
+    values.media = 'mic-2';
+    const drift = await fp.diagnose();
+    assert.equal(drift.verdict, 'drift');
+    assert.deepEqual(drift.changed.map(change => change.name).sort(), ['media', 'screen']);
+    assert.equal(drift.score, 0.25);
+
+    values.webgl = 'gpu-2';
+    assert.equal((await fp.diagnose()).verdict, 'device-changed');
+});
+
+test('the client hands its timers to the browser fingerprinter', async () => {
+    const { client, timers } = await setup({ connect: false, fingerprint: false });
+    client.resolveFingerprint('browser').catch(() => {});
+    assert.equal(client.fingerprinter.timers, timers);
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, advance, settled } = require('./helpers.js');
+
+// API routes in the order the server got them, handshake included
+function sent(server, routes) {
+    return server.received('api').map(frame => frame.route).filter(route => routes.includes(route));
+}
+
+test('queued traffic drains by priority: the handshake, then system, then user traffic', async () => {
+    const { server, client } = await setup({ connect: false });
+    ['/api/low', '/api/normal', '/api/high', '/api/ws/ping'].forEach(route => server.route('GET', route, () => 'ok'));
+
+    client.request('/api/low', {}, { method: 'GET', priority: 'low' });
+    client.request('/api/normal', {}, { method: 'GET' });
+    client.request('/api/high', {}, { method: 'GET', priority: 'high' });
+    client.request('/api/ws/ping', {}, { method: 'GET' });
+    await server.flush();
+
+    assert.equal(client.state, 'ready');
+    assert.deepEqual(sent(server, ['/api/_demo/validate', '/api/ws/ping', '/api/high', '/api/normal', '/api/low']), [
+        '/api/_demo/validate', '/api/ws/ping', '/api/high', '/api/normal', '/api/low'
+    ]);
+});
+
+test('an open socket sends only the handshake until it is answered', async () => {
+    const { server, client, events } = await setup({ connect: false });
+    server.route('GET', '/api/items', () => []);
+    server.fault('/api/_demo/validate', { delayMs: 500 });
+
+    client.request('/api/items', {}, { method: 'GET' });
+    await server.flush();
+    assert.equal(client.state, 'connected');
+    assert.deepEqual(sent(server, ['/api/_demo/validate', '/api/items']), ['/api/_demo/validate']);
+
+    await advance(server, 500);
+    assert.equal(client.state, 'ready');
+    assert.deepEqual(sent(server, ['/api/_demo/validate', '/api/items']), ['/api/_demo/validate', '/api/items']);
+    assert.deepEqual(events.of('flow:resumed'), []);
+});
+
+test('maxInflight holds requests until a reply frees a slot', async () => {
+    const { server, client } = await setup({ maxInflight: 2 });
+    server.route('POST', '/api/jobs', req => req.body.n);
+    server.fault('/api/jobs', { delayMs: 500, times: 3 });
+
+    const replies = [1, 2, 3].map(n => settled(client.request('/api/jobs', { n })));
+    await server.flush();
+    assert.equal(sent(server, ['/api/jobs']).length, 2);
+    assert.equal(client.pendingQueue.length, 1);
+
+    await advance(server, 500);
+    assert.equal(sent(server, ['/api/jobs']).length, 3);
+    await advance(server, 500);
+    assert.deepEqual(replies.map(reply => reply.current.value.data), [1, 2, 3]);
+    assert.equal(client.inflightCount, 0);
+});
+
+test('a route over its token bucket waits; other routes keep going', async () => {
+    const { server, client } = await setup({ rateLimits: { '/api/entities/*': { rate: 2, burst: 2 } } });
+    server.route('POST', '/api/entities/ensure', () => 'ok');
+    server.route('GET', '/api/items', () => []);
+
+    for (let i = 0; i < 4; i++) client.request('/api/entities/ensure', { i });
+    client.request('/api/items', {}, { method: 'GET' });
+    await server.flush();
+    assert.equal(sent(server, ['/api/entities/ensure']).length, 2);
+    assert.deepEqual(sent(server, ['/api/items']), ['/api/items']);
+
+    await advance(server, 499);
+    assert.equal(sent(server, ['/api/entities/ensure']).length, 2);
+    await advance(server, 1);
+    assert.equal(sent(server, ['/api/entities/ensure']).length, 3);
+    await advance(server, 500);
+    assert.equal(sent(server, ['/api/entities/ensure']).length, 4);
+});
+
+test('sending pauses while the socket buffer is above maxBufferedBytes', async () => {
+    const { server, client, events } = await setup({ maxBufferedBytes: 1000, drainCheckMs: 50 });
+    server.route('GET', '/api/items', () => []);
+
+    client.ws.bufferedAmount = 5000;
+    const reply = settled(client.request('/api/items', {}, { method: 'GET' }));
+    await server.flush();
+    assert.deepEqual(sent(server, ['/api/items']), []);
+    assert.deepEqual(events.of('flow:paused'), [{ reason: 'buffered', bufferedAmount: 5000, queued: 1 }]);
+
+    await advance(server, 50);
+    assert.deepEqual(sent(server, ['/api/items']), []);
+    client.ws.bufferedAmount = 0;
+    await advance(server, 50);
+    assert.deepEqual(sent(server, ['/api/items']), ['/api/items']);
+    assert.equal(reply.current.status, 'fulfilled');
+    assert.equal(events.of('flow:resumed').length, 1);
+});
+
+test('a payload above maxPayloadBytes is rejected with 413 before it is sent', async () => {
+    const { server, client } = await setup({ maxPayloadBytes: 1024 });
+    server.route('POST', '/api/notes', () => 'ok');
+
+    const err = await client.request('/api/notes', { text: 'x'.repeat(2000) }).catch(error => error);
+    assert.equal(err.code, 'ETOOLARGE');
+    assert.equal(err.statusCode, 413);
+    assert.equal(err.limit, 1024);
+    assert.ok(err.bytes > 2000);
+    assert.deepEqual(sent(server, ['/api/notes']), []);
+
+    await client.request('/api/notes', { text: 'short' });
+    assert.deepEqual(sent(server, ['/api/notes']), ['/api/notes']);
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+// Shared setup for the node:test suites: one mock channel server, fake timers and a client wired to both.
+const BintelxClient = require('../bintelx.client.js');
+const BintelxMockServer = require('../bintelx.testing.js');
+
+const { FakeTimers } = BintelxMockServer;
+
+// Unsigned JWT in the Account::generateToken() layout ([METADATA, claims]); the mock does not verify it
+function jwt(claims = {}) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode([{ v: 1 }, claims])}.sig`;
+}
+
+/**
+ * Builds { timers, server, client, events }. Options not meant for the server go to
+ * the client; `connect: false` skips the flush that brings the client to 'ready'.
+ * Every emitted event is recorded in events as [name, payload].
+ */
+async function setup(options = {}) {
+    const {
+        users = { t0k3n: { account_id: 1, profile_id: 7 } },
+        server: serverOptions = {},
+        connect = true,
+        ...clientOptions
+    } = options;
+    const timers = options.timers || new FakeTimers();
+    const server = new BintelxMockServer({ timers, users, ...serverOptions });
+    const client = createClient(server, { timers, ...clientOptions });
+    const events = record(client);
+    if (connect) await server.flush();
+    return { timers, server, client, events };
+}
+
+function createClient(server, options = {}) {
+    return new BintelxClient({
+        url: 'ws://mock/ws/',
+        WebSocket: server.WebSocket,
+        fetch: server.fetch,
+        timers: server.timers,
+        token: 't0k3n',
+        fingerprint: false,
+        ...options
+    });
+}
+
+// Collects every emit(); silences the console fallback for 'warn' and 'error'
+function record(client) {
+    const events = [];
+    const emit = client.emit.bind(client);
+    client.emit = (event, payload) => {
+        events.push([event, payload]);
+        emit(event, payload);
+    };
+    client.on('warn', () => {});
+    client.on('error', () => {});
+    events.of = name => events.filter(([event]) => event === name).map(([, payload]) => payload);
+    return events;
+}
+
+// Steps the fake clock and lets the replies it triggers arrive
+async function advance(server, ms) {
+    await server.timers.advance(ms);
+    await server.flush();
+}
+
+// The settled outcome of a promise without awaiting it: { status, value | reason } or null while pending
+function settled(promise) {
+    const state = { current: null };
+    promise.then(
+        value => { state.current = { status: 'fulfilled', value }; },
+        reason => { state.current = { status: 'rejected', reason }; }
+    );
+    return state;
+}
+
+module.exports = {
+    BintelxClient,
+    BintelxMockServer,
+    FakeTimers,
+    jwt,
+    setup,
+    createClient,
+    record,
+    advance,
+    settled
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BintelxClient, setup, advance } = require('./helpers.js');
+
+test('a client without WebSocket needs httpFallback: true', () => {
+    assert.throws(() => new BintelxClient({ url: 'ws://mock/ws/', token: 't0k3n' }), /httpFallback: true/);
+});
+
+test('the HTTP fallback stays off unless enabled', async () => {
+    const { server, client, events } = await setup({ reconnect: 'exponential' });
+    server.refuse(5);
+    server.drop();
+    await server.flush();
+    for (let i = 0; i < 5; i++) await advance(server, 30000);
+
+    assert.equal(events.of('transport').length, 0);
+    assert.notEqual(client.transport, 'http');
+});
+
+test('by default the fallback goes to channel.server under the socket path, not app/api.php', async () => {
+    const { client } = await setup();
+    assert.equal(client.httpTransport.baseUrl, 'http://mock/ws');
+    assert.equal(client.deriveHttpUrl('wss://dev.local/ws/'), 'https://dev.local/ws');
+    assert.equal(client.deriveHttpUrl('ws://127.0.0.1:8000'), 'http://127.0.0.1:8000');
+});
+
+test('over HTTP, meta travels in X-Bintelx-Meta and replays come back marked', async () => {
+    const { server, client } = await setup({ WebSocket: null, httpFallback: true, persistentQueue: true });
+    const sent = [];
+    const fetch = client.httpTransport.fetch;
+    client.httpTransport.fetch = (url, init) => {
+        sent.push(init.headers['X-Bintelx-Meta']);
+        return fetch(url, init);
+    };
+    let runs = 0;
+    server.route('POST', '/api/orders', () => ({ id: ++runs }));
+    assert.equal(client.transport, 'http');
+
+    const first = await client.request('/api/orders', {}, { persist: true, idempotencyKey: 'order-000001' });
+    const again = await client.request('/api/orders', {}, { persist: true, idempotencyKey: 'order-000001' });
+    assert.deepEqual(JSON.parse(sent.at(-1)), { idempotency_key: 'order-000001' });
+    assert.deepEqual([first.data, first.replayed], [{ id: 1 }, undefined]);
+    assert.deepEqual([again.data, again.replayed], [{ id: 1 }, true]);
+    assert.equal(runs, 1);
+});
+
+test('unsubscribe over HTTP removes the persisted subscription', async () => {
+    const { server, client } = await setup({ WebSocket: null, httpFallback: true });
+    const room = client.subscribe('room.1');
+    await room.ready;
+    assert.equal(server.subscriptions.get(7).has('room.1'), true);
+
+    await room.unsubscribe();
+    assert.equal(server.subscriptions.get(7).has('room.1'), false);
+});
@@ -0,0 +1,85 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, advance } = require('./helpers.js');
+
+// Request answered after delayMs on the fake clock
+async function timed(server, client, route, delayMs, options = {}) {
+    server.fault(route, { delayMs, ...options });
+    const reply = client.request(route, {}, { method: 'GET' }).catch(err => err);
+    await server.flush();
+    await advance(server, delayMs);
+    return reply;
+}
+
+test('frames are recorded with correlation ids and round trips, tokens redacted', async () => {
+    const { server, client } = await setup({ inspector: true });
+    server.route('GET', '/api/orders/{id}', req => ({ id: req.params.id }));
+
+    await timed(server, client, '/api/orders/42', 300);
+
+    const handshake = client.inspector.entries.find(entry => entry.dir === 'out' && entry.route === '/api/_demo/validate');
+    assert.equal(handshake.payload.body.token, '[redacted]');
+    const out = client.inspector.entries.find(entry => entry.dir === 'out' && entry.route === '/api/orders/42');
+    const reply = client.inspector.entries.find(entry => entry.dir === 'in' && entry.correlationId === out.correlationId);
+    assert.equal(reply.status, 200);
+    assert.equal(reply.method, 'GET');
+    assert.equal(reply.rtt, 300);
+    assert.equal(JSON.stringify(client.inspector.export()).includes('t0k3n'), false);
+});
+
+test('metrics() aggregates latency percentiles and error rates per route', async () => {
+    const { server, client } = await setup({ inspector: true });
+    server.route('GET', '/api/orders/{id}', () => 'ok');
+
+    for (const [id, delayMs] of [[1, 100], [2, 200], [3, 300], [4, 400]]) {
+        await timed(server, client, `/api/orders/${id}`, delayMs);
+    }
+    await timed(server, client, '/api/orders/5', 50, { status: 500, message: 'boom' });
+
+    const metrics = client.metrics();
+    const orders = metrics.routes['GET /api/orders/:id'];
+    assert.equal(orders.count, 5);
+    assert.equal(orders.errors, 1);
+    assert.equal(orders.errorRate, 0.2);
+    assert.equal(orders.p50, 200);
+    assert.equal(orders.p99, 400);
+    assert.equal(orders.max, 400);
+    assert.equal(metrics.queue.depth, 0);
+});
+
+test('timeouts are counted and the export carries reconnects and subscription states', async () => {
+    const { server, client } = await setup({ inspector: true, reconnect: 'exponential' });
+    server.route('GET', '/api/slow', () => 'late');
+    server.fault('/api/slow', { ignore: true });
+    const slow = client.request('/api/slow', {}, { method: 'GET', timeoutMs: 500 }).catch(err => err);
+    await advance(server, 500);
+    assert.equal((await slow).code, 'ETIMEDOUT');
+    assert.equal(client.metrics().routes['GET /api/slow'].timeouts, 1);
+
+    await client.subscribeChannel('orders');
+    server.drop();
+    await server.flush();
+    await advance(server, 1000);
+
+    const report = JSON.parse(JSON.stringify(client.inspector.export()));
+    assert.equal(report.client.state, 'ready');
+    assert.equal(report.subscriptions.orders, 'active');
+    assert.equal(report.metrics.reconnects, 1);
+    assert.deepEqual(report.reconnects.map(entry => entry.type), ['reconnecting']);
+    assert.ok(report.entries.some(entry => entry.type === 'subscription:state' && entry.channel === 'orders' && entry.state === 'pending'));
+});
+
+test('the ring buffer keeps the last `size` entries and metrics() is null when off', async () => {
+    const { server, client } = await setup({ inspector: { size: 5 } });
+    server.route('GET', '/api/items', () => []);
+    for (let i = 0; i < 5; i++) await client.request('/api/items', {}, { method: 'GET' });
+
+    const { entries } = client.inspector;
+    assert.equal(entries.length, 5);
+    assert.equal(entries.at(-1).seq - entries[0].seq, 4);
+
+    const plain = await setup();
+    assert.equal(plain.client.metrics(), null);
+});
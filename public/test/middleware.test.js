@@ -0,0 +1,83 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, jwt } = require('./helpers.js');
+
+const frames = (server, route) => server.received('api').filter(frame => frame.route === route);
+
+test('token, fingerprint and decoding are default middleware', async () => {
+    const { client } = await setup();
+    assert.deepEqual(client.middleware.map(item => item.name), ['retry', 'token', 'fingerprint', 'decode']);
+});
+
+test('a request middleware can add headers and see the reply', async () => {
+    const { server, client } = await setup();
+    server.route('GET', '/api/items', req => ({ trace: req.frame.headers['X-Trace-Id'] }));
+    const seen = [];
+    client.use(async function trace(ctx, next) {
+        ctx.payload.headers = { ...(ctx.payload.headers || {}), 'X-Trace-Id': 'abc' };
+        const reply = await next();
+        seen.push([ctx.route, reply.status_code]);
+        return reply;
+    });
+
+    const response = await client.request('/api/items', {}, { method: 'GET' });
+    assert.deepEqual(response.data, { trace: 'abc' });
+    assert.deepEqual(seen, [['/api/items', 200]]);
+});
+
+test('not calling next() short-circuits without touching the wire', async () => {
+    const { server, client } = await setup();
+    const remove = client.use((ctx, next) => (ctx.route === '/api/cached' ? { data: 'from cache' } : next()));
+
+    assert.deepEqual(await client.request('/api/cached', {}, { method: 'GET' }), { data: 'from cache' });
+    assert.equal(frames(server, '/api/cached').length, 0);
+
+    remove();
+    await assert.rejects(client.request('/api/cached', {}, { method: 'GET' }), { statusCode: 404 });
+    assert.equal(frames(server, '/api/cached').length, 1);
+});
+
+test('calling next() again retries downstream, e.g. on 401 with a refreshed token', async () => {
+    const fresh = jwt({ account_id: 1, profile_id: 7 });
+    const { server, client } = await setup({ users: { t0k3n: { account_id: 1, profile_id: 7 }, [fresh]: { account_id: 1, profile_id: 7 } } });
+    server.route('GET', '/api/me', req => (req.frame.token === fresh
+        ? { ok: true }
+        : server.constructor.error('Token expired', 401)));
+    client.use({
+        name: 'refresh-on-401',
+        async request(ctx, next) {
+            try {
+                return await next();
+            } catch (err) {
+                if (err.statusCode !== 401 || ctx.options.token) throw err;
+                ctx.options.token = fresh;
+                return next();
+            }
+        }
+    }, { before: 'token' });
+
+    const response = await client.request('/api/me', {}, { method: 'GET' });
+    assert.deepEqual(response.data, { ok: true });
+    const sent = frames(server, '/api/me');
+    assert.deepEqual(sent.map(frame => frame.token), ['t0k3n', fresh]);
+    assert.notEqual(sent[0].correlation_id, sent[1].correlation_id);
+});
+
+test('a response middleware can transform incoming messages', async () => {
+    const { server, client } = await setup();
+    server.route('GET', '/api/price', () => ({ cents: 1250 }));
+    client.use({
+        name: 'money',
+        response(ctx, next) {
+            if (ctx.payload.type === 'api_response' && ctx.payload.data?.cents !== undefined) {
+                ctx.payload = { ...ctx.payload, data: { amount: ctx.payload.data.cents / 100 } };
+            }
+            return next();
+        }
+    });
+
+    const response = await client.request('/api/price', {}, { method: 'GET' });
+    assert.deepEqual(response.data, { amount: 12.5 });
+});
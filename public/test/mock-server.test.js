@@ -0,0 +1,107 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BintelxMockServer, FakeTimers, setup, advance } = require('./helpers.js');
+
+test('fake timers fire only from advance(), in order', async () => {
+    const timers = new FakeTimers(1000);
+    const fired = [];
+    timers.setTimeout(() => fired.push('b'), 20);
+    timers.setTimeout(() => fired.push('a'), 10);
+    const interval = timers.setInterval(() => fired.push('i'), 15);
+
+    assert.deepEqual(fired, []);
+    await timers.advance(30);
+    assert.deepEqual(fired, ['a', 'i', 'b', 'i']);
+    assert.equal(timers.now(), 1030);
+
+    timers.clearInterval(interval);
+    await timers.advance(100);
+    assert.equal(fired.length, 4);
+    assert.equal(timers.pending(), 0);
+});
+
+test('a client reaches ready through the handshake and can call scripted routes', async () => {
+    const { server, client } = await setup();
+    server.route('GET', '/api/orders/{id}', req => ({ id: req.params.id, user: req.user.profile_id }));
+
+    assert.equal(client.state, 'ready');
+    const response = await client.request('/api/orders/42', {}, { method: 'GET' });
+    assert.deepEqual(response.data, { id: '42', user: 7 });
+    assert.equal(server.received('api').filter(frame => frame.route === '/api/_demo/validate').length, 1);
+});
+
+test('the handshake reply has the AuthHandler::validateToken() shape', async () => {
+    const { server, client } = await setup({
+        users: { t0k3n: { account_id: 1, profile_id: 7, entity_id: 70, permissions: { 'orders/.*': 'write' } } }
+    });
+    const response = await client.request('/api/_demo/validate', { token: 't0k3n' });
+    assert.deepEqual(response.data, {
+        data: {
+            success: true,
+            message: 'Token is valid.',
+            data: {
+                accountId: 1,
+                profileId: 7,
+                primaryEntityId: 70,
+                permissions: { routes: { 'orders/.*': 'write' }, roles: [] }
+            }
+        }
+    });
+    server.users.t0k3n.permissions = undefined;
+    const fallback = await client.request('/api/_demo/validate', { token: 't0k3n' });
+    assert.deepEqual(fallback.data.data.data.permissions, { routes: { '*': 'private' }, roles: [] });
+});
+
+test('fault() fails, delays or drops the matching frame once', async () => {
+    const { server, client, timers } = await setup();
+    server.route('GET', '/api/slow', () => 'ok');
+
+    server.fault('/api/slow', { status: 503, message: 'busy' });
+    await assert.rejects(client.request('/api/slow', {}, { method: 'GET' }), { statusCode: 503 });
+
+    server.fault('/api/slow', { delayMs: 500 });
+    let done = false;
+    const slow = client.request('/api/slow', {}, { method: 'GET' }).then((r) => { done = true; return r; });
+    await server.flush();
+    assert.equal(done, false);
+    await timers.advance(500);
+    assert.equal((await slow).data, 'ok');
+
+    server.fault('/api/slow', { drop: true });
+    const dropped = client.request('/api/slow', {}, { method: 'GET' });
+    await assert.rejects(dropped, { code: 'ECONNCLOSED' });
+    assert.equal(client.state, 'disconnected');
+});
+
+test('refuse() fails connection attempts and stall() swallows replies', async () => {
+    const { server, client, events } = await setup({ reconnect: 'exponential' });
+    server.refuse(1);
+    server.drop();
+    await server.flush();
+    assert.equal(client.state, 'disconnected');
+    await advance(server, 1000);
+    assert.equal(client.state, 'disconnected');
+    assert.equal(events.of('close').at(-1).code, 1006);
+    await advance(server, 2000);
+    assert.equal(client.state, 'ready');
+
+    server.stall(true);
+    const ping = assert.rejects(client.ping({ timeoutMs: 200 }), { code: 'ETIMEDOUT' });
+    await server.timers.advance(200);
+    await ping;
+    assert.equal(server.received('ping').length, 1);
+});
+
+test('server.fetch serves the same routes over HTTP', async () => {
+    const server = new BintelxMockServer({ users: { t0k3n: { account_id: 1, profile_id: 7 } } });
+    server.route('GET', '/api/hello', req => ({ hello: req.user?.profile_id ?? null, q: req.query.x }));
+
+    const reply = await server.fetch('http://mock/api/hello?x=1', { headers: { Authorization: 'Bearer t0k3n' } });
+    assert.equal(reply.status, 200);
+    assert.deepEqual(await reply.json(), { hello: 7, q: '1' });
+
+    const missing = await server.fetch('http://mock/api/nope');
+    assert.equal(missing.status, 404);
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, advance } = require('./helpers.js');
+
+// Minimal window/document that count listeners per event
+function installGlobals(t) {
+    const targets = {};
+    for (const name of ['window', 'document']) {
+        const listeners = new Map();
+        targets[name] = {
+            listeners,
+            addEventListener(type, fn) {
+                if (!listeners.has(type)) listeners.set(type, new Set());
+                listeners.get(type).add(fn);
+            },
+            removeEventListener(type, fn) {
+                listeners.get(type)?.delete(fn);
+            },
+            dispatch(type) {
+                [...(listeners.get(type) || [])].forEach(fn => fn({ type }));
+            },
+            count(type) {
+                return listeners.get(type)?.size || 0;
+            }
+        };
+    }
+    targets.document.visibilityState = 'visible';
+    globalThis.window = targets.window;
+    globalThis.document = targets.document;
+    t.after(() => {
+        delete globalThis.window;
+        delete globalThis.document;
+    });
+    return targets;
+}
+
+test('network listeners are bound once across reconnects', async (t) => {
+    const { window, document } = installGlobals(t);
+    const { server, client } = await setup({ reconnect: 'exponential' });
+    assert.equal(window.count('online'), 1);
+    assert.equal(window.count('offline'), 1);
+    assert.equal(document.count('visibilitychange'), 1);
+
+    for (let i = 0; i < 3; i++) {
+        server.drop();
+        await server.flush();
+        await advance(server, 1000);
+        assert.equal(client.state, 'ready');
+    }
+    assert.equal(window.count('online'), 1);
+    assert.equal(window.count('offline'), 1);
+    assert.equal(document.count('visibilitychange'), 1);
+});
+
+test('disconnect() removes the listeners and connect() binds them again', async (t) => {
+    const { window, document } = installGlobals(t);
+    const { server, client, events } = await setup();
+
+    client.disconnect();
+    assert.equal(window.count('online'), 0);
+    assert.equal(window.count('offline'), 0);
+    assert.equal(document.count('visibilitychange'), 0);
+    window.dispatch('online');
+    await server.flush();
+    assert.equal(client.state, 'disconnected');
+    assert.equal(events.of('network').length, 0);
+
+    client.connect();
+    await server.flush();
+    assert.equal(client.state, 'ready');
+    assert.equal(window.count('online'), 1);
+
+    window.dispatch('offline');
+    await server.flush();
+    assert.deepEqual(events.of('network'), [{ online: false }]);
+    assert.equal(client.state, 'disconnected');
+});
+
+test('endSession() removes the listeners', async (t) => {
+    const { window, document } = installGlobals(t);
+    const { server, client } = await setup();
+    server.system('sys.session.logout', { reason: 'revoked' });
+    await server.flush();
+
+    assert.equal(client.state, 'terminated');
+    assert.equal(window.count('online'), 0);
+    assert.equal(document.count('visibilitychange'), 0);
+});
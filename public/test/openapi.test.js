@@ -0,0 +1,108 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OpenApiCodegen = require('../../app/openapi-codegen.js');
+
+// Shaped like OpenApiGenerator output for a few package routes
+const spec = {
+    openapi: '3.1.0',
+    info: { title: 'Bintelx API', version: '1.0.0' },
+    paths: {
+        '/api/entities/{id}/update': {
+            post: {
+                summary: 'Update an entity',
+                security: [{ bearer: [] }],
+                requestBody: {
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                properties: { name: { type: 'string' }, status: { type: 'string', enum: ['active', 'inactive'] } },
+                                required: ['name']
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        '/api/edc/v1/forms/{formDefId}/publish': { post: { summary: 'Publish a form' } },
+        '/api/entities/{id}': {
+            get: {
+                summary: 'Read an entity',
+                parameters: [{ in: 'query', name: 'expand', required: false, schema: { type: 'boolean' } }]
+            }
+        },
+        '/ws/ping': { ws: { summary: 'Ping' } }
+    }
+};
+
+// Evaluates the generated module as a CommonJS file would
+function load(codegen) {
+    const module = { exports: {} };
+    new Function('module', codegen.renderJs())(module);
+    return module.exports;
+}
+
+function fakeClient() {
+    const calls = [];
+    return {
+        calls,
+        request(route, body, options) {
+            calls.push({ route, body, options });
+            return Promise.resolve({ data: { ok: true } });
+        }
+    };
+}
+
+test('operations are named from the literal path segments', () => {
+    const codegen = new OpenApiCodegen(spec);
+    const ids = Object.fromEntries(codegen.operations.map(op => [op.id, `${op.method} ${op.path}`]));
+    assert.deepEqual(ids, {
+        'entities.update': 'POST /api/entities/{id}/update',
+        'edc.forms.publish': 'POST /api/edc/v1/forms/{formDefId}/publish',
+        'entities.get': 'GET /api/entities/{id}',
+        'ws.ping': 'POST /api/ws/ping'
+    });
+});
+
+test('generated methods fill path parameters and send body or query', async () => {
+    const BintelxApi = load(new OpenApiCodegen(spec));
+    const client = fakeClient();
+    const api = new BintelxApi(client);
+
+    assert.deepEqual(await api.entities.update(42, { name: 'Acme' }), { ok: true });
+    await api.edc.forms.publish('f/1');
+    await api.entities.get(42, { expand: true }, { timeoutMs: 500 });
+
+    assert.deepEqual(client.calls.map(({ route, body, options }) => [route, body, options]), [
+        ['/api/entities/42/update', { name: 'Acme' }, { method: 'POST' }],
+        ['/api/edc/v1/forms/f%2F1/publish', {}, { method: 'POST' }],
+        ['/api/entities/42', {}, { timeoutMs: 500, method: 'GET', query: { expand: true } }]
+    ]);
+});
+
+test('validate: true rejects requests that do not match the schema', () => {
+    const BintelxApi = load(new OpenApiCodegen(spec));
+    const client = fakeClient();
+    const api = new BintelxApi(client, { validate: true });
+
+    assert.throws(() => api.entities.update(undefined, { status: 'gone' }), (err) => {
+        assert.equal(err.name, 'TypeError');
+        assert.deepEqual(err.errors, [
+            'id: required path parameter',
+            'body.name: required',
+            'body.status: expected one of active, inactive'
+        ]);
+        return true;
+    });
+    assert.throws(() => api.entities.get(1, { expand: 'yes' }), /query\.expand: expected boolean/);
+    assert.equal(client.calls.length, 0);
+});
+
+test('the .d.ts types path params, body and query', () => {
+    const dts = new OpenApiCodegen(spec).renderDts();
+    assert.match(dts, /update\(id: BintelxApi\.PathParam, body: \{ name: string; status\?: "active" \| "inactive"; \[key: string\]: unknown \}, options\?: BintelxApi\.RequestOptions\)/);
+    assert.match(dts, /publish\(formDefId: BintelxApi\.PathParam, body\?: Record<string, unknown>/);
+    assert.match(dts, /get\(id: BintelxApi\.PathParam, query\?: \{ expand\?: boolean; \[key: string\]: unknown \}/);
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const pkg = require('../package.json');
+const { BintelxClient, BintelxMockServer } = require('./helpers.js');
+
+test('the ESM entries are only exported to Node.js', () => {
+    assert.equal(pkg.module, undefined);
+    assert.deepEqual(pkg.exports['.'], {
+        node: { import: './bintelx.client.mjs', require: './bintelx.client.js' },
+        default: './bintelx.client.js'
+    });
+    assert.deepEqual(pkg.exports['./testing'], {
+        node: { import: './bintelx.testing.mjs', require: './bintelx.testing.js' },
+        default: './bintelx.testing.js'
+    });
+});
+
+test('import and require resolve to the same classes', async () => {
+    const esm = await import('bintelx-client');
+    const testing = await import('bintelx-client/testing');
+    assert.equal(esm.default, BintelxClient);
+    assert.equal(esm.TimeoutError, BintelxClient.TimeoutError);
+    assert.equal(testing.default, BintelxMockServer);
+    assert.equal(require('bintelx-client'), BintelxClient);
+});
+
+test('under Node.js without a WebSocket the client fails loudly', () => {
+    const saved = globalThis.WebSocket;
+    delete globalThis.WebSocket;
+    try {
+        assert.throws(() => new BintelxClient({ url: 'ws://mock/ws/', token: 't0k3n' }), /options\.WebSocket/);
+        const server = new BintelxMockServer();
+        const client = new BintelxClient({
+            url: 'ws://mock/ws/', token: 't0k3n', httpFallback: true, fetch: server.fetch, timers: server.timers
+        });
+        assert.equal(client.transport, 'http');
+        client.disconnect();
+    } finally {
+        if (saved) globalThis.WebSocket = saved;
+    }
+});
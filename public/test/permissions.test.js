@@ -0,0 +1,57 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup } = require('./helpers.js');
+
+const users = { t0k3n: { account_id: 1, profile_id: 7, permissions: { 'orders/.*': 'write', 'reports/.*': 'read' } } };
+
+test('can() reads the route map out of the handshake permissions', async () => {
+    const { client } = await setup({ users });
+
+    assert.deepEqual(client.permissions, { 'orders/.*': 'write', 'reports/.*': 'read' });
+    assert.equal(client.can('/api/orders/5', 'POST'), true);
+    assert.equal(client.can('/api/reports/daily', 'GET'), true);
+    assert.equal(client.can('/api/reports/daily', 'POST'), false);
+    assert.equal(client.can('/api/users/1', 'GET'), false);
+    assert.equal(client.can('/api/users/1', 'GET', { scope: 'private' }), false);
+});
+
+test('a profile without route permissions gets the server default of private everywhere', async () => {
+    const { client } = await setup({ users: { t0k3n: { account_id: 1, profile_id: 7 } } });
+
+    assert.deepEqual(client.permissions, { '*': 'private' });
+    assert.equal(client.can('/api/orders/5', 'GET', { scope: 'private' }), true);
+    assert.equal(client.can('/api/orders/5', 'GET'), false);
+});
+
+test('sys.permissions.update pushes are read the same way and emit the diff', async () => {
+    const { server, client, events } = await setup({ users });
+
+    server.system('sys.permissions.update', { permissions: { routes: { 'orders/.*': 'read', 'users/.*': 'read' }, roles: [] } });
+    await server.flush();
+
+    assert.deepEqual(client.permissions, { 'orders/.*': 'read', 'users/.*': 'read' });
+    assert.equal(client.can('/api/orders/5', 'POST'), false);
+    assert.equal(client.can('/api/users/1', 'GET'), true);
+    const change = events.of('permissions:changed').at(-1);
+    assert.deepEqual(change.added, { 'users/.*': 'read' });
+    assert.deepEqual(change.removed, { 'reports/.*': 'read' });
+    assert.deepEqual(change.changed, { 'orders/.*': { from: 'write', to: 'read' } });
+
+    server.system('sys.permissions.update', { permissions: { routes: [], roles: [] } });
+    await server.flush();
+    assert.deepEqual(client.permissions, {});
+});
+
+test('a push without a map reloads it through the handshake route', async () => {
+    const { server, client } = await setup({ users });
+    server.users.t0k3n.permissions = { 'audit/.*': 'read' };
+
+    server.system('sys.permissions.update');
+    await server.flush();
+
+    assert.deepEqual(client.permissions, { 'audit/.*': 'read' });
+    assert.equal(client.can('/api/orders/5', 'GET'), false);
+    assert.equal(client.can('/api/audit/log', 'GET'), true);
+});
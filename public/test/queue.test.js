@@ -0,0 +1,115 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BintelxClient, setup, createClient, record, advance, settled } = require('./helpers.js');
+
+const KEY = 'order-000001';
+
+test('a persisted request whose reply was lost is answered from the stored response', async () => {
+    const { server, client, events } = await setup({ reconnect: 'exponential', persistentQueue: true });
+    let runs = 0;
+    server.route('POST', '/api/orders', () => ({ id: ++runs }));
+    server.fault('/api/orders', { delayMs: 500 });
+
+    const outcome = settled(client.request('/api/orders', { sku: 'a' }, { persist: true, idempotencyKey: KEY }));
+    await server.flush();
+    assert.equal(runs, 1);
+    server.drop();
+    await server.flush();
+    await advance(server, 1000);
+
+    assert.equal(outcome.current.status, 'fulfilled');
+    assert.deepEqual(outcome.current.value.data, { id: 1 });
+    assert.equal(runs, 1);
+    const sent = server.received('api').filter(frame => frame.route === '/api/orders');
+    assert.deepEqual(sent.map(frame => frame.meta.idempotency_key), [KEY, KEY]);
+    assert.deepEqual(events.of('queue:flushed').map(e => [e.key, e.replayed, e.partial]), [[KEY, true, false]]);
+});
+
+test('a stored response too large to keep is replayed as partial', async () => {
+    const { server, client, events } = await setup({
+        reconnect: 'exponential',
+        persistentQueue: true,
+        server: { idempotencyMaxBytes: 256 }
+    });
+    server.route('POST', '/api/report', () => ({ rows: 'x'.repeat(1000) }));
+    server.fault('/api/report', { delayMs: 500 });
+
+    const outcome = settled(client.request('/api/report', {}, { persist: true, idempotencyKey: KEY }));
+    await server.flush();
+    server.drop();
+    await server.flush();
+    await advance(server, 1000);
+
+    assert.equal(outcome.current.status, 'fulfilled');
+    assert.equal(outcome.current.value.data, undefined);
+    assert.equal(events.of('queue:flushed')[0].partial, true);
+});
+
+test('the same key arriving while the first request runs gets a retryable 503', async () => {
+    const { server, client } = await setup({ persistentQueue: new BintelxClient.MemoryQueueStorage() });
+    const other = createClient(server, { persistentQueue: new BintelxClient.MemoryQueueStorage() });
+    const otherEvents = record(other);
+    await server.flush();
+    let release;
+    let runs = 0;
+    server.route('POST', '/api/slow', () => {
+        runs++;
+        return new Promise((resolve) => { release = resolve; });
+    });
+
+    const first = settled(client.request('/api/slow', {}, { persist: true, idempotencyKey: KEY }));
+    await server.flush();
+    const second = settled(other.request('/api/slow', {}, { persist: true, idempotencyKey: KEY }));
+    await server.flush();
+    const [retry] = otherEvents.of('queue:retry');
+    assert.equal(retry.error.statusCode, 503);
+    assert.equal(retry.delayMs, 1000);
+    assert.equal(second.current, null);
+
+    release({ done: true });
+    await server.flush();
+    assert.deepEqual(first.current.value.data, { done: true });
+    await advance(server, 1000);
+    assert.equal(second.current.value.replayed, true);
+    assert.deepEqual(second.current.value.data, { done: true });
+    assert.equal(runs, 1);
+});
+
+test('a persisted request caught by disconnect() stays pending and goes out after reconnect()', async () => {
+    const storage = new BintelxClient.MemoryQueueStorage();
+    const { server, client, events } = await setup({ connect: false, persistentQueue: storage });
+    server.route('POST', '/api/orders', () => ({ id: 1 }));
+    // No handshake reply: the request waits in the queue
+    server.fault('/api/_demo/validate', { ignore: true });
+
+    const outcome = settled(client.request('/api/orders', { sku: 'a' }, { persist: true, idempotencyKey: KEY }));
+    await server.flush();
+    client.disconnect();
+    await server.flush();
+    assert.equal(outcome.current, null);
+    assert.deepEqual((await storage.load()).map(entry => entry.key), [KEY]);
+
+    client.reconnect();
+    await server.flush();
+    assert.deepEqual(outcome.current.value.data, { id: 1 });
+    assert.deepEqual(await storage.load(), []);
+    assert.equal(server.received('api').filter(frame => frame.route === '/api/orders').length, 1);
+    assert.deepEqual(events.of('queue:flushed').map(event => event.key), [KEY]);
+});
+
+test('a parked persisted request is rejected when the session ends', async () => {
+    const storage = new BintelxClient.MemoryQueueStorage();
+    const { server, client } = await setup({ connect: false, persistentQueue: storage });
+    server.fault('/api/_demo/validate', { ignore: true });
+
+    const outcome = settled(client.request('/api/orders', {}, { persist: true, idempotencyKey: KEY }));
+    await server.flush();
+    client.disconnect();
+    await server.flush();
+    client.logout();
+    await server.flush();
+    assert.equal(outcome.current.status, 'rejected');
+    assert.deepEqual(await storage.load(), []);
+});
@@ -0,0 +1,94 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, advance } = require('./helpers.js');
+
+const urls = ['ws://a.mock/ws/', 'ws://b.mock/ws/'];
+
+function socketUrls(server) {
+    return [...server.connections.values()].map(conn => conn.socket.url);
+}
+
+test('a dropped session retries its server; a failed attempt rotates to the next one', async () => {
+    const { server, client, events } = await setup({ url: urls, reconnect: 'exponential' });
+    assert.deepEqual(socketUrls(server), [urls[0]]);
+
+    server.drop();
+    await server.flush();
+    assert.deepEqual(events.of('reconnecting').at(-1), { in: 1000, attempt: 1, url: urls[0] });
+
+    server.refuse(1);
+    await advance(server, 1000);
+    assert.deepEqual(events.of('endpoint'), [{ url: urls[1], previous: urls[0], reason: 'connect failed' }]);
+    assert.equal(client.endpoints[0].failures, 1);
+
+    await advance(server, 2000);
+    assert.equal(client.state, 'ready');
+    assert.deepEqual(socketUrls(server), [urls[1]]);
+    assert.equal(client.endpoints[1].failures, 0);
+});
+
+test('close codes: 1012 rotates, 4001 waits for a new token, 1008 stops', async () => {
+    const { server, client, events } = await setup({ url: urls, reconnect: 'exponential' });
+
+    server.close(1012, 'restarting');
+    await advance(server, 1000);
+    assert.equal(client.state, 'ready');
+    assert.deepEqual(socketUrls(server), [urls[1]]);
+    assert.equal(events.of('endpoint').at(-1).reason, 'close 1012');
+
+    server.close(4001, 'unauthorized');
+    await advance(server, 60000);
+    assert.equal(client.state, 'disconnected');
+    assert.deepEqual(events.of('reconnect:paused'), [{ code: 4001, reason: 'token', url: urls[1] }]);
+    assert.equal(server.connections.size, 0);
+    await client.setToken('t0k3n');
+    assert.equal(client.state, 'ready');
+
+    server.close(1008, 'policy');
+    await advance(server, 60000);
+    assert.equal(client.state, 'failed');
+    assert.equal(events.of('reconnect:failed').at(-1).code, 1008);
+});
+
+test('maxAttempts ends in failed until reconnect() is called', async () => {
+    const { server, client, events } = await setup({ reconnect: { strategy: 'exponential', maxAttempts: 2 } });
+    server.refuse(3);
+    server.drop();
+    await advance(server, 1000);
+    await advance(server, 2000);
+    assert.equal(client.state, 'failed');
+    assert.deepEqual(events.of('reconnect:failed'), [{ attempts: 2, code: null, reason: 'max attempts', url: 'ws://mock/ws/' }]);
+
+    server.refuse(0);
+    client.reconnect();
+    await server.flush();
+    assert.equal(client.state, 'ready');
+});
+
+test('jitter strategies spread the delay; a custom strategy gets the attempt context', async (t) => {
+    t.mock.method(Math, 'random', () => 0.5);
+    const full = await setup({ reconnect: { strategy: 'full-jitter', baseMs: 1000 } });
+    full.server.drop();
+    await full.server.flush();
+    assert.equal(full.events.of('reconnecting').at(-1).in, 500);
+
+    const decorrelated = await setup({ reconnect: { strategy: 'decorrelated-jitter', baseMs: 1000 } });
+    decorrelated.server.refuse(1);
+    decorrelated.server.drop();
+    await decorrelated.server.flush();
+    assert.equal(decorrelated.events.of('reconnecting').at(-1).in, 2000);
+    await advance(decorrelated.server, 2000);
+    // upper bound is three times the previous delay
+    assert.equal(decorrelated.events.of('reconnecting').at(-1).in, 3500);
+
+    const seen = [];
+    const custom = await setup({ reconnect: (context) => { seen.push(context); return context.attempt < 2 ? 250 : null; } });
+    custom.server.refuse(2);
+    custom.server.drop();
+    await advance(custom.server, 250);
+    assert.deepEqual(seen[0], { attempt: 1, previousMs: 0, baseMs: 1000, maxMs: 30000, url: 'ws://mock/ws/' });
+    assert.equal(seen[1].previousMs, 250);
+    assert.equal(custom.client.state, 'failed');
+});
@@ -0,0 +1,71 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup } = require('./helpers.js');
+
+// Persistent subscription on the server, so publishes while away are replayed
+async function subscribed(options = {}) {
+    const ctx = await setup({ reconnect: 'exponential', ...options });
+    await ctx.client.request('/api/ws/subscribe', { channel: 'orders' });
+    const seen = [];
+    ctx.client.subscribe('orders').onMessage(msg => seen.push(msg.message.n));
+    await ctx.server.flush();
+    return { ...ctx, seen };
+}
+
+test('pending and live messages come out once each, oldest first', async () => {
+    const { server, client, seen } = await subscribed();
+    server.fault('/api/ws/pending', { delayMs: 100 });
+    server.publish('orders', { n: 1 });
+    const pending = client.fetchPending();
+    await server.flush();
+    // Live while the replay is in flight: held back, and n: 1 arrives twice
+    server.publish('orders', { n: 2 });
+    await server.flush();
+    assert.deepEqual(seen, []);
+
+    await server.timers.advance(100);
+    await pending;
+    await server.flush();
+    assert.deepEqual(seen, [1, 2]);
+});
+
+test('a slow replay holds live messages for replayHoldMs at most', async () => {
+    const { server, client, seen } = await subscribed({ replayHoldMs: 500 });
+    server.publish('orders', { n: 1 });
+    await server.flush();
+    assert.deepEqual(seen, [1]);
+
+    server.fault('/api/ws/pending', { delayMs: 10000 });
+    const pending = client.fetchPending();
+    await server.flush();
+    server.publish('orders', { n: 2 });
+    await server.flush();
+    assert.deepEqual(seen, [1]);
+
+    await server.timers.advance(500);
+    assert.deepEqual(seen, [1, 2]);
+    server.publish('orders', { n: 3 });
+    await server.flush();
+    assert.deepEqual(seen, [1, 2, 3]);
+
+    await server.timers.advance(9500);
+    await pending;
+    assert.deepEqual(seen, [1, 2, 3]);
+});
+
+test('second, millisecond and microsecond timestamps are ordered by whole seconds', async () => {
+    const { client } = await setup();
+    const seen = [];
+    client.on('channel:message', msg => seen.push(msg.message_id));
+
+    const replayed = client.normalizePendingMessage({
+        message_id: 'stored', channel: 'c', payload: '{}', created_at: '2026-01-01 10:00:00.900000'
+    });
+    const live = { type: 'message', message_id: 'live', channel: 'c', timestamp: Date.parse('2026-01-01T10:00:00Z') / 1000 };
+    const older = { type: 'message', message_id: 'older', channel: 'c', timestamp: Date.parse('2026-01-01T09:59:59Z') };
+    client.replayBuffer = [live, older];
+    client.mergeReplay([replayed]);
+    assert.deepEqual(seen, ['older', 'stored', 'live']);
+});
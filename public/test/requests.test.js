@@ -0,0 +1,76 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BintelxClient, setup, advance, settled } = require('./helpers.js');
+
+test('requests made while offline stay pending and go out after reconnect', async () => {
+    const { server, client } = await setup({ reconnect: 'exponential' });
+    server.route('GET', '/api/items', () => ['a']);
+    server.drop();
+    await server.flush();
+    assert.equal(client.state, 'disconnected');
+
+    const outcome = settled(client.request('/api/items', {}, { method: 'GET' }));
+    await server.flush();
+    assert.equal(outcome.current, null);
+
+    await advance(server, 1000);
+    assert.equal(outcome.current.status, 'fulfilled');
+    assert.deepEqual(outcome.current.value.data, ['a']);
+});
+
+test('a request without a reply rejects with TimeoutError after timeoutMs', async () => {
+    const { server, client, timers } = await setup();
+    server.route('GET', '/api/slow', () => 'late');
+    server.fault('/api/slow', { ignore: true });
+
+    const outcome = settled(client.request('/api/slow', {}, { method: 'GET', timeoutMs: 500 }));
+    await timers.advance(499);
+    assert.equal(outcome.current, null);
+    await timers.advance(1);
+    assert.ok(outcome.current.reason instanceof BintelxClient.TimeoutError);
+    assert.equal(outcome.current.reason.code, 'ETIMEDOUT');
+    assert.equal(client.correlationResolvers.size, 0);
+});
+
+test('closePolicy decides between rejecting and resending in-flight requests', async () => {
+    const { server, client } = await setup({ reconnect: 'exponential' });
+    let calls = 0;
+    server.route('POST', '/api/work', () => ++calls);
+    server.fault('/api/work', { ignore: true, times: 2 });
+
+    const rejected = settled(client.request('/api/work', {}, { closePolicy: 'reject' }));
+    const requeued = settled(client.request('/api/work', {}, { closePolicy: 'requeue' }));
+    await server.flush();
+    server.drop();
+    await server.flush();
+
+    assert.equal(rejected.current.status, 'rejected');
+    assert.equal(rejected.current.reason.code, 'ECONNCLOSED');
+    assert.equal(requeued.current, null);
+
+    await advance(server, 1000);
+    assert.equal(requeued.current.status, 'fulfilled');
+    assert.equal(requeued.current.value.data, 1);
+});
+
+test('disconnect() rejects requests that were still queued', async () => {
+    const { server, client } = await setup({ requestTimeoutMs: 0 });
+    server.drop();
+    await server.flush();
+
+    const queued = client.request('/api/items', {}, { method: 'GET' });
+    await server.flush();
+    assert.equal(client.pendingQueue.length, 1);
+
+    client.disconnect();
+    await assert.rejects(queued, (err) => {
+        assert.ok(err instanceof BintelxClient.TransportError);
+        assert.equal(err.code, 'ECONNCLOSED');
+        assert.equal(err.route, '/api/items');
+        return true;
+    });
+    assert.equal(client.pendingQueue.length, 0);
+    assert.equal(client.correlationResolvers.size, 0);
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BintelxClient, setup, advance, settled } = require('./helpers.js');
+
+function handshakes(server) {
+    return server.received('api').filter(frame => frame.route === '/api/_demo/validate').length;
+}
+
+// Stands in for the browser's localStorage while a test runs
+function fakeStorage(t, entries = {}) {
+    const items = new Map(Object.entries(entries));
+    globalThis.localStorage = {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+    t.after(() => { delete globalThis.localStorage; });
+    return items;
+}
+
+test('sys.session.logout tears the session down and nothing reconnects until setToken()', async (t) => {
+    const storage = fakeStorage(t, { bnxt: 't0k3n' });
+    const ended = [];
+    const { server, client, events } = await setup({ reconnect: 'exponential', onSessionEnd: end => ended.push(end) });
+    server.route('POST', '/api/work', () => 'done');
+    server.fault('/api/work', { ignore: true });
+    await client.subscribeChannel('orders');
+    const inflight = settled(client.request('/api/work', {}));
+    await server.flush();
+
+    server.system('sys.session.logout', { reason: 'revoked' });
+    await server.flush();
+
+    assert.equal(client.state, 'terminated');
+    assert.equal(client.cachedToken, null);
+    assert.equal(storage.has('bnxt'), false);
+    assert.equal(inflight.current.reason.code, 'ELOGGEDOUT');
+    assert.equal(client.activeSubscriptions.has('orders'), false);
+    assert.ok(client.activeSubscriptions.has('sys.session.logout'));
+    assert.equal(ended.length, 1);
+    assert.equal(ended[0].reason, 'logout');
+    assert.deepEqual(events.of('session:ended'), ended);
+
+    const before = handshakes(server);
+    await advance(server, 60000);
+    assert.equal(client.state, 'terminated');
+    assert.equal(handshakes(server), before);
+
+    await client.setToken('t0k3n');
+    assert.equal(client.state, 'ready');
+    assert.equal(handshakes(server), before + 1);
+});
+
+test('logout() ends the session locally the same way', async () => {
+    const { server, client, events } = await setup();
+    server.drop();
+    await server.flush();
+    const queued = settled(client.request('/api/items', {}, { method: 'GET' }));
+    await server.flush();
+
+    client.logout();
+    await server.flush();
+    assert.equal(client.state, 'terminated');
+    assert.equal(client.pendingQueue.length, 0);
+    assert.ok(queued.current.reason instanceof BintelxClient.AuthError);
+    assert.equal(events.of('close').at(-1).manual, true);
+});
+
+test('a device mismatch is recovered once by re-fingerprinting and authenticating again', async () => {
+    const { server, client, events } = await setup();
+    const before = handshakes(server);
+
+    server.deviceMismatch();
+    await server.flush();
+    assert.equal(client.state, 'ready');
+    assert.equal(handshakes(server), before + 1);
+    assert.equal(events.of('device:recovering').length, 1);
+    assert.equal(events.of('session:ended').length, 0);
+});
+
+test('a failed recovery is terminal and calls onSessionEnd; a new token lifts it', async () => {
+    const ended = [];
+    const { server, client } = await setup({ reconnect: 'exponential', onSessionEnd: end => ended.push(end) });
+    server.deviceMismatch();
+    await server.flush();
+    server.deviceMismatch();
+    await server.flush();
+
+    assert.equal(client.state, 'terminated');
+    assert.equal(ended.length, 1);
+    assert.equal(ended[0].reason, 'device_mismatch');
+    assert.ok(ended[0].error instanceof BintelxClient.AuthError);
+    await advance(server, 60000);
+    assert.equal(client.state, 'terminated');
+
+    await client.setToken('t0k3n');
+    assert.equal(client.state, 'ready');
+    assert.equal(client.deviceRecovery, null);
+});
@@ -0,0 +1,103 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, advance, jwt } = require('./helpers.js');
+
+test('consumers of a channel are ref-counted', async () => {
+    const { server, client } = await setup();
+    const first = client.subscribe('chat.general');
+    const second = client.subscribe('chat.general');
+    await first.ready;
+    assert.equal(server.received('subscribe').filter(frame => frame.channel === 'chat.general').length, 1);
+
+    await first.unsubscribe();
+    assert.equal(client.subscriptionState('chat.general'), 'active');
+    assert.equal(server.received('unsubscribe').length, 0);
+
+    await second.unsubscribe();
+    assert.equal(client.subscriptionState('chat.general'), null);
+    assert.equal(server.received('unsubscribe').length, 1);
+});
+
+test('patterns only match channels subscribed elsewhere', async () => {
+    const { server, client } = await setup();
+    const seen = [];
+    const before = server.received('subscribe').length;
+    client.subscribe('room:*').onMessage(msg => seen.push(msg.channel));
+    await server.flush();
+    assert.equal(server.received('subscribe').length, before);
+
+    server.publish('room:1', { n: 1 });
+    await server.flush();
+    assert.deepEqual(seen, []);
+
+    await client.subscribe('room:1').ready;
+    server.publish('room:1', { n: 2 });
+    server.publish('lobby', { n: 3 });
+    await server.flush();
+    assert.deepEqual(seen, ['room:1']);
+});
+
+test('parallel for-await loops each see every message', async () => {
+    const { server, client } = await setup();
+    const sub = client.subscribe('chat.general');
+    await sub.ready;
+
+    const take = async (count) => {
+        const got = [];
+        for await (const msg of sub) {
+            got.push(msg.message.n);
+            if (got.length === count) break;
+        }
+        return got;
+    };
+    const first = take(2);
+    const second = take(3);
+    [1, 2, 3].forEach(n => server.publish('chat.general', { n }));
+    await server.flush();
+
+    assert.deepEqual(await first, [1, 2]);
+    assert.deepEqual(await second, [1, 2, 3]);
+    await server.flush();
+    // The last loop to break released the channel
+    assert.equal(client.subscriptionState('chat.general'), null);
+});
+
+test('a refused channel is retried by a new subscribe()', async () => {
+    const { server, client } = await setup();
+    server.fault('subscribe', { status: 503, message: 'Channel table full' });
+    const first = client.subscribe('chat.x');
+    await assert.rejects(first.ready, { message: 'Channel table full' });
+    assert.equal(client.subscriptionState('chat.x'), 'failed');
+
+    const second = client.subscribe('chat.x');
+    await second.ready;
+    assert.equal(client.subscriptionState('chat.x'), 'active');
+    assert.equal(first.state, 'active');
+});
+
+test('a refused channel is retried on the next ready and after a re-auth', async () => {
+    const token = jwt({ profile_id: 7 });
+    const { server, client } = await setup({
+        reconnect: 'exponential',
+        users: { t0k3n: { account_id: 1, profile_id: 7 }, [token]: { account_id: 1, profile_id: 7 } }
+    });
+    server.fault('subscribe', { status: 503, message: 'Channel table full' });
+    client.subscribe('chat.x').ready.catch(() => {});
+    await server.flush();
+    assert.equal(client.subscriptionState('chat.x'), 'failed');
+
+    server.drop();
+    await server.flush();
+    await advance(server, 1000);
+    assert.equal(client.subscriptionState('chat.x'), 'active');
+
+    server.fault('subscribe', { status: 503, message: 'Channel table full' });
+    client.subscribe('chat.y').ready.catch(() => {});
+    await server.flush();
+    assert.equal(client.subscriptionState('chat.y'), 'failed');
+    await client.reauthenticate(token);
+    await server.flush();
+    assert.equal(client.subscriptionState('chat.y'), 'active');
+});
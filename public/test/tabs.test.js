@@ -0,0 +1,175 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BintelxMockServer, FakeTimers, createClient, record, advance, settled } = require('./helpers.js');
+
+// In-process stand-ins for BroadcastChannel and navigator.locks; hold() parks messages until release()
+class FakeBus {
+    constructor() {
+        this.channels = new Set();
+        this.held = null;
+        this.lockQueue = [];
+        this.lockHeld = false;
+    }
+
+    channelClass() {
+        const bus = this;
+        return class FakeBroadcastChannel {
+            constructor(name) {
+                this.name = name;
+                this.onmessage = null;
+                bus.channels.add(this);
+            }
+
+            postMessage(data) {
+                const message = structuredClone(data);
+                const deliver = () => bus.channels.forEach((channel) => {
+                    if (channel !== this && channel.name === this.name) channel.onmessage?.({ data: message });
+                });
+                if (bus.held) {
+                    bus.held.push(deliver);
+                } else {
+                    queueMicrotask(deliver);
+                }
+            }
+
+            close() {
+                bus.channels.delete(this);
+            }
+        };
+    }
+
+    locks() {
+        return {
+            request: (name, options, callback) => new Promise((resolve, reject) => {
+                const waiter = { callback, resolve, reject };
+                options.signal?.addEventListener('abort', () => {
+                    const i = this.lockQueue.indexOf(waiter);
+                    if (i === -1) return;
+                    this.lockQueue.splice(i, 1);
+                    reject(Object.assign(new Error('aborted'), { name: 'AbortError' }));
+                });
+                this.lockQueue.push(waiter);
+                this.grant();
+            })
+        };
+    }
+
+    grant() {
+        if (this.lockHeld || !this.lockQueue.length) return;
+        const waiter = this.lockQueue.shift();
+        this.lockHeld = true;
+        Promise.resolve(waiter.callback()).then(waiter.resolve, waiter.reject).finally(() => {
+            this.lockHeld = false;
+            this.grant();
+        });
+    }
+
+    hold() {
+        this.held = [];
+    }
+
+    release() {
+        const held = this.held;
+        this.held = null;
+        held.forEach(deliver => deliver());
+    }
+}
+
+async function tabs(t, options = {}) {
+    const bus = new FakeBus();
+    const previous = { BroadcastChannel: globalThis.BroadcastChannel, navigator: Object.getOwnPropertyDescriptor(globalThis, 'navigator') };
+    globalThis.BroadcastChannel = bus.channelClass();
+    Object.defineProperty(globalThis, 'navigator', { value: { locks: bus.locks() }, configurable: true, writable: true });
+    t.after(() => {
+        globalThis.BroadcastChannel = previous.BroadcastChannel;
+        if (previous.navigator) {
+            Object.defineProperty(globalThis, 'navigator', previous.navigator);
+        } else {
+            delete globalThis.navigator;
+        }
+    });
+
+    const timers = new FakeTimers();
+    const server = new BintelxMockServer({ timers, users: { t0k3n: { account_id: 1, profile_id: 7 } } });
+    const leader = createClient(server, { shareAcrossTabs: true, ...options.leader });
+    const leaderEvents = record(leader);
+    await server.flush();
+    const follower = createClient(server, { shareAcrossTabs: true, ...options.follower });
+    const followerEvents = record(follower);
+    await server.flush();
+    t.after(() => {
+        follower.tabs.stop();
+        leader.tabs.stop();
+    });
+    return { bus, timers, server, leader, follower, leaderEvents, followerEvents };
+}
+
+test('one tab owns the socket and the other proxies its requests through it', async (t) => {
+    const { server, leader, follower } = await tabs(t);
+    server.route('GET', '/api/items', req => ({ user: req.user.profile_id }));
+
+    assert.ok(leader.tabs.isLeader());
+    assert.equal(follower.transport, 'tab');
+    assert.equal(follower.state, 'ready');
+    assert.equal(server.connections.size, 1);
+
+    const response = await follower.request('/api/items', {}, { method: 'GET' });
+    assert.deepEqual(response.data, { user: 7 });
+});
+
+test('every uncorrelated frame reaches the follower; replies to the leader do not', async (t) => {
+    const { server, leader, follower, followerEvents } = await tabs(t);
+    server.route('GET', '/api/items', () => ['a']);
+    await follower.subscribeChannel('orders');
+    await server.flush();
+    assert.equal(follower.subscriptionState('orders'), 'active');
+
+    await leader.request('/api/items', {}, { method: 'GET' });
+    server.send({ type: 'notice', text: 'maintenance at 22:00' });
+    server.revoke('orders');
+    await server.flush();
+
+    const seen = followerEvents.of('message');
+    assert.ok(seen.some(frame => frame.type === 'notice'));
+    assert.ok(!seen.some(frame => frame._l?.includes('/api/items')));
+    assert.equal(follower.subscriptionState('orders'), 'revoked');
+});
+
+test('proxied requests wait in the leader queue under its rate limits', async (t) => {
+    const { server, follower } = await tabs(t, { leader: { rateLimits: { '/api/items': { rate: 1, burst: 1 } } } });
+    server.route('GET', '/api/items', () => 'ok');
+
+    const first = settled(follower.request('/api/items', {}, { method: 'GET' }));
+    const second = settled(follower.request('/api/items', {}, { method: 'GET' }));
+    await server.flush();
+    assert.equal(first.current.status, 'fulfilled');
+    assert.equal(second.current, null);
+    assert.equal(server.received('api').filter(frame => frame.route === '/api/items').length, 1);
+
+    await advance(server, 1000);
+    assert.equal(second.current.status, 'fulfilled');
+});
+
+test('a request reaching a leader without a socket is settled by the follower, not dropped', async (t) => {
+    const { bus, server, follower } = await tabs(t, { leader: { reconnect: 'exponential' } });
+    server.route('POST', '/api/work', () => 'done');
+
+    bus.hold();
+    const rejected = settled(follower.request('/api/work', {}, { closePolicy: 'reject' }));
+    const requeued = settled(follower.request('/api/work', {}, { closePolicy: 'requeue', timeoutMs: 0 }));
+    await server.flush();
+    server.drop();
+    bus.release();
+    await server.flush();
+
+    assert.equal(rejected.current.status, 'rejected');
+    assert.equal(rejected.current.reason.code, 'ECONNCLOSED');
+    assert.equal(requeued.current, null);
+    assert.equal(server.received('api').filter(frame => frame.route === '/api/work').length, 0);
+
+    await advance(server, 1000);
+    assert.equal(requeued.current.status, 'fulfilled');
+    assert.equal(server.received('api').filter(frame => frame.route === '/api/work').length, 1);
+});